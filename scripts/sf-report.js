@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * Summary report from a store-level export, without the browser
+ *
+ *   npm run report -- export.csv                      JSON on stdout
+ *   npm run report -- export.json --year 2025 --out report.html
+ *
+ * The input holds the table's raw rows: a CSV with a header row (the columns
+ * the dashboard's file source takes) or JSON, either an array of rows or
+ * { "rows": [...] }. The numbers go through the same code as the dashboard
+ * (src/metrics.js, src/dataSources/rowSource.js), so they match it unscoped
+ * with the whole year selected.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { basename, extname } from 'node:path';
+import { parseArgs } from 'node:util';
+import { buildDataset, yearMetrics } from '../src/metrics.js';
+import { monthlyTotals, storeCounts, storeMonths, merchantRows, parseRowsCsv } from '../src/dataSources/rowSource.js';
+import { getMerchant, MERCHANTS } from '../src/merchants.js';
+import { formatCurrency } from '../src/utils.js';
+
+const USAGE = `Usage: npm run report -- <file.csv|file.json> [options]
+
+  --merchant <id>    ${MERCHANTS.map(m => m.id).join(' | ')}: store universe and row filter from src/merchants.js
+  --year <yyyy>      Year to report (default: the latest in the file)
+  --format <fmt>     json | html (default: from --out, else json)
+  --out <file>       Write to a file instead of stdout
+  --top <n>          Stores listed in the HTML report (default 20; JSON lists all)`;
+
+function fail(message) {
+  console.error(`${message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+function readRows(file) {
+  const text = readFileSync(file, 'utf8');
+  if (extname(file).toLowerCase() !== '.json') return parseRowsCsv(text);
+  const body = JSON.parse(text);
+  if (Array.isArray(body)) return body;
+  if (Array.isArray(body?.rows)) return body.rows;
+  throw new Error(`${file} holds neither an array of rows nor { "rows": [...] }`);
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+const pick = (m, keys) => Object.fromEntries(keys.map(key => [key, m[key]]));
+const PERIOD_KEYS = ['incoming', 'approved', 'trx', 'gmv', 'storesWithIncoming', 'storesWithTrx', 'aov', 'approval', 'conversion', 'penetration'];
+const STORE_KEYS = ['code', 'name', 'totalIncoming', 'totalApproved', 'totalTrx', 'totalGMV', 'avgApproval', 'avgConversion', 'prevIncoming', 'prevTrx', 'prevGMV'];
+
+function buildReport(rows, { file, merchant, year }) {
+  const scoped = merchant ? merchantRows(rows.filter(row => !row.merchant || row.merchant === merchant.id), merchant) : rows;
+  const dataset = buildDataset({ totals: monthlyTotals(scoped), storeCounts: storeCounts(scoped), storeMonths: storeMonths(scoped) }, merchant || {});
+  if (dataset.monthlyData.length === 0) throw new Error('No rows with a month to report on');
+  if (year && !dataset.monthlyData.some(m => m.year === year)) throw new Error(`No ${year} data in the file`);
+  const metrics = yearMetrics(dataset, year || undefined);
+  const period = (m) => m && pick(m, PERIOD_KEYS);
+
+  return {
+    source: basename(file),
+    merchant: merchant ? { id: merchant.id, name: merchant.name } : null,
+    generatedAt: new Date().toISOString(),
+    year: metrics.year,
+    years: metrics.years,
+    totalStores: metrics.totalStores,
+    storesWithSF: metrics.months[metrics.months.length - 1].storesWithSF,
+    rejectedRows: dataset.rejected.length,
+    totals: { ...period(metrics.totals), prev: period(metrics.totals.prev) },
+    quarters: metrics.quarters.map(q => ({ quarter: q.quarter, months: q.months, ...period(q), prev: period(q.prev) })),
+    months: metrics.months.map(m => ({ month: m.month, label: m.label, ...period(m), prev: period(m.prev) })),
+    stores: metrics.stores.map(s => ({
+      ...pick(s, STORE_KEYS),
+      months: Object.fromEntries(metrics.months.map(m => [m.month, s.data[m.month] || null])),
+    })),
+  };
+}
+
+// ============================================================================
+// HTML
+// ============================================================================
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+const count = (value) => (value === null || value === undefined ? '-' : value.toLocaleString('en-US'));
+const pct = (value) => (value === null || value === undefined ? '-' : `${value.toFixed(1)}%`);
+const yoy = (current, previous) => (previous ? ` <small>${current >= previous ? '+' : ''}${(((current - previous) / previous) * 100).toFixed(1)}%</small>` : '');
+
+const PERIOD_ROWS = [
+  ['# Stores w/ Incoming', p => count(p.storesWithIncoming)],
+  ['# Stores w/ Trx', p => count(p.storesWithTrx)],
+  ['% Stores w/ Trx', p => pct(p.penetration)],
+  ['Incoming', p => count(p.incoming) + yoy(p.incoming, p.prev?.incoming)],
+  ['Approved', p => count(p.approved)],
+  ['Trx', p => count(p.trx) + yoy(p.trx, p.prev?.trx)],
+  ['GMV', p => formatCurrency(p.gmv) + yoy(p.gmv, p.prev?.gmv)],
+  ['AOV', p => formatCurrency(p.aov)],
+  ['Appr %', p => pct(p.approval)],
+  ['Conv %', p => pct(p.conversion)],
+];
+
+const periodTable = (title, periods) => `
+<h2>${escapeHtml(title)}</h2>
+<table>
+  <tr><th></th>${periods.map(p => `<th>${escapeHtml(p.label)}</th>`).join('')}</tr>
+  ${PERIOD_ROWS.map(([label, cell]) => `<tr><th>${label}</th>${periods.map(p => `<td>${cell(p)}</td>`).join('')}</tr>`).join('\n  ')}
+</table>`;
+
+function renderHtml(report, top) {
+  const title = `${report.merchant?.name ?? report.source} • ${report.year} summary`;
+  const stores = report.stores.slice(0, top);
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font: 12px/1.4 system-ui, sans-serif; color: #0f172a; margin: 24px; }
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  h2 { font-size: 11px; text-transform: uppercase; letter-spacing: .05em; color: #475569; margin: 24px 0 6px; }
+  p { color: #64748b; margin: 0; }
+  table { border-collapse: collapse; }
+  th, td { padding: 4px 8px; border-bottom: 1px solid #e2e8f0; text-align: right; white-space: nowrap; }
+  th:first-child { text-align: left; }
+  tr:first-child th { background: #f1f5f9; }
+  small { color: #64748b; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(report.source)} • ${count(report.totalStores)} stores, ${count(report.storesWithSF)} with SF+ in ${report.year} • generated ${escapeHtml(report.generatedAt)}${report.rejectedRows ? ` • ${count(report.rejectedRows)} rows left out or zeroed (see the dashboard's Data panel)` : ''}</p>
+${periodTable('Quarterly', [
+    ...report.quarters.map(q => ({ ...q, label: q.quarter })),
+    { ...report.totals, label: `${report.year} total` },
+  ])}
+${periodTable('Monthly', report.months)}
+<h2>Top ${stores.length} stores by trx</h2>
+<table>
+  <tr><th>Store</th><th>Code</th><th>Incoming</th><th>Trx</th><th>GMV</th><th>Appr %</th><th>Conv %</th></tr>
+  ${stores.map(s => `<tr><th>${escapeHtml(s.name)}</th><td>${escapeHtml(s.code)}</td><td>${count(s.totalIncoming)}</td><td>${count(s.totalTrx)}${yoy(s.totalTrx, s.prevTrx)}</td><td>${formatCurrency(s.totalGMV)}</td><td>${pct(s.totalIncoming ? s.avgApproval : null)}</td><td>${pct(s.totalIncoming ? s.avgConversion : null)}</td></tr>`).join('\n  ')}
+</table>
+</body>
+</html>
+`;
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      merchant: { type: 'string' },
+      year: { type: 'string' },
+      format: { type: 'string' },
+      out: { type: 'string' },
+      top: { type: 'string', default: '20' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+} catch (err) {
+  fail(err.message);
+}
+const { values: options, positionals: [file] } = args;
+
+if (options.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+if (!file) fail('No input file');
+if (options.merchant && !MERCHANTS.some(m => m.id === options.merchant)) fail(`Unknown merchant "${options.merchant}"`);
+if (options.year && !/^\d{4}$/.test(options.year)) fail(`--year takes a year like 2026, not "${options.year}"`);
+const format = options.format || (options.out && extname(options.out).toLowerCase() === '.html' ? 'html' : 'json');
+if (!['json', 'html'].includes(format)) fail(`Unknown format "${format}"`);
+
+try {
+  const report = buildReport(readRows(file), {
+    file,
+    merchant: options.merchant ? getMerchant(options.merchant) : null,
+    year: options.year ? Number(options.year) : null,
+  });
+  const output = format === 'html' ? renderHtml(report, Number(options.top) || 20) : `${JSON.stringify(report, null, 2)}\n`;
+  if (options.out) {
+    writeFileSync(options.out, output);
+    console.error(`Wrote ${options.out} (${report.year}, ${report.stores.length} stores)`);
+  } else {
+    process.stdout.write(output);
+  }
+} catch (err) {
+  console.error(`Report failed: ${err.message}`);
+  process.exit(1);
+}
@@ -1,339 +1,940 @@
 /**
- * FRT × Samsung Finance+ Store Performance Dashboard
- * With Supabase Realtime Sync
+ * Samsung Finance+ Store Performance Dashboard
+ * With Supabase Realtime Sync (or another data source, see dataSources/)
  * 
  * Features:
  * - Auto-fetch data from Supabase on load
  * - Manual refresh button
- * - Auto-refresh every 5 minutes (configurable)
+ * - Realtime updates via postgres_changes, applied as deltas
+ * - Falls back to polling every 5 minutes (configurable) when the socket drops
+ * - Starts from the last dataset saved in IndexedDB, then refreshes in the background
  * - Loading states
- * - Error handling
+ * - Error handling: failed refreshes keep the data on screen and retry with backoff
+ * - Merchant switcher (?merchant=) and cross-merchant summary (?view=summary)
+ * - Store drill-down panel (/store/:dealer_code)
+ * - CSV/XLSX export per table and a PDF snapshot of the whole dashboard
+ * - Presentation / print mode for business reviews (?mode=present)
+ * - Side-by-side comparison of 2–5 stores or of two periods
+ * - Rank movement, top movers and an office TV leaderboard (?mode=tv)
  */
 
-import React, { useState, useMemo, useEffect, useCallback } from 'react';
-import { createClient } from '@supabase/supabase-js';
-import { TrendingUp, TrendingDown, Minus, Store, Search, Zap, ArrowUpDown, ChevronUp, ChevronDown, RefreshCw, Wifi, WifiOff, Clock } from 'lucide-react';
-
-// ============================================================================
-// SUPABASE CONFIGURATION
-// ============================================================================
-const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL || 'https://xwgnwyqdojljjfglbytw.supabase.co';
-const SUPABASE_ANON_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY || 'YOUR_ANON_KEY_HERE';
-
-const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
+import React, { useState, useMemo, useEffect, useCallback, useRef } from 'react';
+import { flushSync } from 'react-dom';
+import { Store, Search, Zap, RefreshCw, WifiOff, Clock, AlertTriangle, LayoutGrid, FileDown, CalendarRange, Target, X, MapPin, FolderTree, LogOut, UserCircle, SlidersHorizontal, ShieldCheck, Presentation, GitCompare, Tv } from 'lucide-react';
+import { MERCHANTS, getMerchant } from './merchants';
+import { dataSource } from './dataSources';
+import { readCache, writeCache } from './cache';
+import { useAuth, visibleMerchants, merchantForUser, accessLabel, hasFullAccess } from './auth';
+import { formatCurrency, formatTime, formatDateTime, readUrlParam, pushUrlParams, replaceUrlParams, storePath, readStoreRoute, getYear, shiftMonth, monthProgress } from './utils';
+import { TrendIcon, RateBadge, YoYDelta, TargetBadge, TierBadge, ThresholdLegend, Projection, ForecastValue, RealtimeBadge, ExportButtons, PageShell } from './components/ui';
+import StoreDetailPanel from './components/StoreDetailPanel';
+import ComparePanel from './components/ComparePanel';
+import MoversPanel from './components/MoversPanel';
+import LeaderboardTV, { LEADERBOARD_PARAMS } from './components/LeaderboardTV';
+import SavedViews from './components/SavedViews';
+import StoreGrid from './components/StoreGrid';
+import ColumnChooser from './components/ColumnChooser';
+import AlertsPanel from './components/AlertsPanel';
+import CohortPanel from './components/CohortPanel';
+import FunnelPanel from './components/FunnelPanel';
+import ThresholdSettings from './components/ThresholdSettings';
+import DataQualityPanel from './components/DataQualityPanel';
+import TierMigration from './components/TierMigration';
+import PresentationView from './components/PresentationView';
+import { buildPeriodTable, buildStoreTable, buildCohortTable, downloadTable, downloadPdfSnapshot } from './export';
+import { parseTargetsCsv, indexTargets, sumTargets } from './targets';
+import { buildForecast, forecastPeriod, quarterMonths } from './forecast';
+import { buildMonthlyData, toMonthEntry, sumMonth, mergeStoreRows, enrichStores, buildStoreRows, sumStoreData, buildScopedMonthlyData, buildQuarterlyData, summarizeMerchant, summarizeMonths, priorYearSummary, aov, approvalRate, conversionRate, penetrationRate, QUARTERS } from './metrics';
+import { detectAlerts, ALERT_RULES } from './alerts';
+import { buildCohorts, buildActivity } from './cohorts';
+import { previousPeriod } from './funnel';
+import { tierCounts, storeTier, describeTier } from './tiers';
+import { rankHistory, rankMetricForSort, rankChange } from './leaderboard';
+import { readStoreRow, checkDataset, sourceFindings, countIssues, SAMPLE_LIMIT } from './dataQuality';
+import { createThresholdResolver, normalizeSettings, THRESHOLD_METRICS, SEGMENT_TYPES } from './thresholds';
+import { parseStoreMasterCsv, indexStoreMaster, isScoped, inScope, scopeOptions, groupPath, MASTER_FIELDS, MASTER_KEYS, GROUPINGS, UNASSIGNED } from './storeMaster';
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
+// Merchant-specific settings (table, store universe, thresholds, branding) live in merchants.js
 const CONFIG = {
-  MERCHANT_NAME: "FRT",
-  MERCHANT_FULL_NAME: "FPT Retail",
-  TABLE_NAME: "KVVN_SF_FRT_Store_Level",
-  TOTAL_STORES: 625, // Fixed total number of FRT stores
-  AUTO_REFRESH_INTERVAL: 5 * 60 * 1000, // 5 minutes
-  THRESHOLDS: {
-    approval: [60, 50],
-    conversion: [40, 30],
-    storePenetration: [70, 50]
-  }
+  AUTO_REFRESH_INTERVAL: 5 * 60 * 1000, // 5 minutes, only while the realtime channel is down
+  REALTIME_BATCH_MS: 500, // Coalesce bursts of row changes into one re-render
+  SEARCH_DEBOUNCE_MS: 200, // Filter the store grid once typing pauses
+  RETRY_BASE_MS: 5 * 1000, // First retry after a failed refresh, doubling on every further failure
+  RETRY_MAX_MS: 5 * 60 * 1000,
+  FULL_RESYNC_MS: 60 * 60 * 1000, // Reload every store-month hourly, whatever incremental refreshes missed
 };
 
 // ============================================================================
-// HELPER FUNCTIONS
+// DATA FETCHING
 // ============================================================================
-const formatCurrency = (value) => {
-  if (!value) return '-';
-  if (value >= 1e9) return `${(value / 1e9).toFixed(1)}B`;
-  if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
-  if (value >= 1e3) return `${(value / 1e3).toFixed(0)}K`;
-  return value.toLocaleString();
-};
+async function fetchMonthlyData(merchant) {
+  // Monthly totals and distinct-store counts come aggregated from the data source
+  const [totals, storeCounts] = await Promise.all([
+    dataSource.monthlyTotals(merchant),
+    dataSource.storeCounts(merchant)
+  ]);
+  
+  return { monthlyData: buildMonthlyData(totals, storeCounts, merchant) };
+}
 
-const formatTime = (date) => {
-  return date.toLocaleTimeString('vi-VN', { hour: '2-digit', minute: '2-digit' });
-};
+async function fetchStoreData(merchant, since = null) {
+  // One row per store and month; with `since`, only store-months changed after it
+  return dataSource.storeMonths(merchant, since);
+}
 
-const TrendIcon = ({ current, previous, className = "" }) => {
-  if (previous === undefined || previous === null || current === previous) 
-    return <Minus className={`w-2.5 h-2.5 text-slate-500 ${className}`} />;
-  if (current > previous) 
-    return <TrendingUp className={`w-2.5 h-2.5 text-emerald-400 ${className}`} />;
-  return <TrendingDown className={`w-2.5 h-2.5 text-rose-400 ${className}`} />;
-};
+// Monthly targets (network rows have dealer_code = null). Optional: without
+// the table or any rows the dashboard just shows no attainment.
+async function fetchTargets(merchant) {
+  try {
+    return await dataSource.targets(merchant);
+  } catch (err) {
+    console.warn('Targets unavailable:', err.message);
+    return [];
+  }
+}
 
-const RateBadge = ({ value, thresholds = [60, 50] }) => {
-  if (value === null || value === undefined) return <span className="text-slate-600">-</span>;
-  const color = value >= thresholds[0] 
-    ? 'bg-emerald-500/20 text-emerald-400' 
-    : value >= thresholds[1] 
-      ? 'bg-amber-500/20 text-amber-400' 
-      : 'bg-rose-500/20 text-rose-400';
-  return <span className={`px-1.5 py-0.5 rounded text-[10px] ${color}`}>{value.toFixed(0)}%</span>;
-};
+// Region / area / manager / province per store. Optional like targets: without
+// the table every store is "Unassigned" and the scope filters stay empty.
+async function fetchStoreMaster(merchant) {
+  try {
+    return await dataSource.storeMaster(merchant);
+  } catch (err) {
+    console.warn('Store master unavailable:', err.message);
+    return [];
+  }
+}
 
-const MiniSparkline = ({ data, color = "#22d3ee" }) => {
-  if (!data || data.length < 2) return <div className="w-10 h-5" />;
-  const max = Math.max(...data);
-  const min = Math.min(...data);
-  const range = max - min || 1;
-  const points = data.map((v, i) => `${(i / (data.length - 1)) * 40},${20 - ((v - min) / range) * 16}`).join(' ');
-  
-  return (
-    <svg viewBox="0 0 40 20" className="w-10 h-5 flex-shrink-0">
-      <polyline fill="none" stroke={color} strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round" points={points} />
-    </svg>
-  );
-};
+// Rate bands edited in the app: the row for everyone (user_id null) and the user's own.
+// Optional like targets: without the table the bands in merchants.js apply.
+async function fetchThresholdSettings(merchant) {
+  try {
+    return await dataSource.thresholdSettings(merchant);
+  } catch (err) {
+    console.warn('Threshold settings unavailable:', err.message);
+    return [];
+  }
+}
 
-const SortIcon = ({ field, sortConfig }) => {
-  if (sortConfig.key !== field) return <ArrowUpDown className="w-2.5 h-2.5 text-slate-600" />;
-  return sortConfig.direction === 'desc' 
-    ? <ChevronDown className="w-2.5 h-2.5 text-cyan-400" />
-    : <ChevronUp className="w-2.5 h-2.5 text-cyan-400" />;
+// Raw-row checks on the store-level table. Optional like targets: without the
+// function the diagnostics panel only shows what the loaded data reveals.
+async function fetchDataQuality(merchant) {
+  try {
+    return sourceFindings(await dataSource.dataQuality(merchant, SAMPLE_LIMIT));
+  } catch (err) {
+    console.warn('Source data checks unavailable:', err.message);
+    return null;
+  }
+}
+
+// Store rows nested under collapsible group rows (region → area). A group row is a
+// summed pseudo-store, so the grid draws its subtotals like any store, tagged with
+// `group`; groups are ordered by the same comparator as the stores.
+const buildGroupedRows = (stores, master, levels, collapsed, months, monthlyIndex, compare) => {
+  const walk = (rows, depth, parentKey) => {
+    if (depth === levels.length) return rows;
+    const level = levels[depth];
+    const members = {};
+    rows.forEach(store => (members[master[store.code]?.[level] || UNASSIGNED] ||= []).push(store));
+
+    return Object.entries(members)
+      .map(([label, groupStores]) => {
+        const key = `${parentKey ? `${parentKey}/` : ''}${level}:${label}`;
+        const [row] = buildStoreRows([{ code: key, name: label, data: sumStoreData(groupStores) }], months, monthlyIndex);
+        // Every level sits under a region, so the group's stores share one (for its rate bands)
+        const region = master[groupStores[0].code]?.region ?? null;
+        return { ...row, group: { key, level, label, depth, region, count: groupStores.length, collapsed: collapsed.has(key) }, groupStores };
+      })
+      .sort(compare)
+      .flatMap(({ groupStores, ...row }) => [row, ...(row.group.collapsed ? [] : walk(groupStores, depth + 1, row.group.key))]);
+  };
+  return walk(stores, 0, '');
 };
 
 // ============================================================================
-// DATA FETCHING
+// REALTIME DELTAS
 // ============================================================================
-async function fetchAllData(tableName, selectColumns) {
-  // Fetch ALL data using pagination (Supabase has 1000 row default limit)
-  const allData = [];
-  const pageSize = 1000;
-  let offset = 0;
-  let hasMore = true;
-  
-  while (hasMore) {
-    const { data, error } = await supabase
-      .from(tableName)
-      .select(selectColumns)
-      .range(offset, offset + pageSize - 1);
-    
-    if (error) throw error;
-    
-    if (data && data.length > 0) {
-      allData.push(...data);
-      offset += pageSize;
-      hasMore = data.length === pageSize;
-    } else {
-      hasMore = false;
-    }
-  }
-  
-  return allData;
-}
+// A raw table row's contribution to its store-month (from readStoreRow); sign -1 removes it
+const rowDelta = (cell, sign) => ({
+  incoming: sign * cell.incoming,
+  approved: sign * cell.approved,
+  trx: sign * cell.trx,
+  gmv: sign * cell.gmv
+});
 
-async function fetchMonthlyData() {
-  // Fetch all raw data using pagination
-  const data = await fetchAllData(
-    CONFIG.TABLE_NAME, 
-    'application_month, dealer_code, net_incoming, approved, trx_settled, gmv'
-  );
-  
-  console.log(`Fetched ${data.length} rows from ${CONFIG.TABLE_NAME}`); // Debug log
+// True when a realtime payload's old row carries values (needs replica identity full)
+const hasRowValues = (row) => row && row.application_month !== undefined && row.dealer_code !== undefined;
+
+// Applies a batch of postgres_changes payloads ({ oldRow, newRow }) to the loaded
+// dataset. Store-months are adjusted by delta; the touched months' totals and the
+// touched years' # Stores w/ SF+ are then recounted from storeMonthlyData, which
+// holds every store-month after a full load.
+function applyRowChanges(dataset, merchant, changes) {
+  const storeMonthlyData = { ...dataset.storeMonthlyData };
+  const storeMap = Object.fromEntries(dataset.stores.map(store => [store.code, store]));
+  const touchedMonths = new Set();
+  const rejected = [...(dataset.rejected || [])];
   
-  // Calculate # Stores w/ SF+ (unique stores with incoming in the whole year)
-  const storesWithSFYTD = new Set();
-  data.forEach(row => {
-    if (row.net_incoming > 0) {
-      storesWithSFYTD.add(row.dealer_code);
-    }
+  changes.forEach(({ oldRow, newRow }) => {
+    [[oldRow, -1], [newRow, 1]].forEach(([row, sign]) => {
+      if (!row) return;
+      // A row without a month or store code was never counted, so there is nothing to undo either
+      const { problems, ...values } = readStoreRow(row, true);
+      if (sign > 0) problems.forEach(check => rejected.push({ check, row }));
+      if (!values.code || !values.month) return;
+      const { month } = values;
+      const delta = rowDelta(values, sign);
+      const cell = storeMonthlyData[row.dealer_code]?.[month] || { incoming: 0, approved: 0, trx: 0, gmv: 0 };
+      
+      storeMonthlyData[row.dealer_code] = {
+        ...storeMonthlyData[row.dealer_code],
+        [month]: {
+          incoming: cell.incoming + delta.incoming,
+          approved: cell.approved + delta.approved,
+          trx: cell.trx + delta.trx,
+          gmv: cell.gmv + delta.gmv
+        }
+      };
+      if (!storeMap[row.dealer_code]) {
+        storeMap[row.dealer_code] = { code: row.dealer_code, name: row.submerchant || row.dealer_code };
+      }
+      touchedMonths.add(month);
+    });
   });
-  const storesWithSFCount = storesWithSFYTD.size;
   
-  // Group by month
-  const monthlyMap = {};
-  const storeMonthlyData = {};
+  const stores = Object.values(storeMap);
+  const totalStores = merchant.totalStores || stores.length;
+  const storeMonths = Object.values(storeMonthlyData);
   
-  data.forEach(row => {
-    const month = row.application_month.substring(0, 7); // YYYY-MM
-    
-    // Monthly aggregates
-    if (!monthlyMap[month]) {
-      monthlyMap[month] = {
-        month,
-        storesWithIncoming: new Set(),
-        storesWithTrx: new Set(),
-        incoming: 0,
-        approved: 0,
-        trx: 0,
-        gmv: 0
-      };
-    }
-    
-    if (row.net_incoming > 0) monthlyMap[month].storesWithIncoming.add(row.dealer_code);
-    if (row.trx_settled > 0) monthlyMap[month].storesWithTrx.add(row.dealer_code);
-    monthlyMap[month].incoming += row.net_incoming || 0;
-    monthlyMap[month].approved += row.approved || 0;
-    monthlyMap[month].trx += row.trx_settled || 0;
-    monthlyMap[month].gmv += parseFloat(row.gmv) || 0;
-    
-    // Store-level data
-    if (!storeMonthlyData[row.dealer_code]) {
-      storeMonthlyData[row.dealer_code] = {};
-    }
-    storeMonthlyData[row.dealer_code][month] = {
-      incoming: row.net_incoming || 0,
-      approved: row.approved || 0,
-      trx: row.trx_settled || 0,
-      gmv: parseFloat(row.gmv) || 0
-    };
+  const storesWithSFByYear = {};
+  new Set([...touchedMonths].map(getYear)).forEach(year => {
+    storesWithSFByYear[year] = storeMonths.filter(months =>
+      Object.entries(months).some(([month, d]) => getYear(month) === year && d.incoming > 0)
+    ).length;
   });
   
-  // Convert to arrays with correct logic
-  const monthlyData = Object.values(monthlyMap)
+  const monthMap = Object.fromEntries(dataset.monthlyData.map(m => [m.month, m]));
+  touchedMonths.forEach(month => {
+    monthMap[month] = toMonthEntry(month, sumMonth(storeMonths, month), totalStores, 0);
+  });
+  
+  const monthlyData = Object.values(monthMap)
     .map(m => ({
-      month: m.month,
-      label: new Date(m.month + '-01').toLocaleDateString('en-US', { month: 'short', year: '2-digit' }),
-      quarter: `Q${Math.ceil((new Date(m.month + '-01').getMonth() + 1) / 3)}`,
-      totalStores: CONFIG.TOTAL_STORES, // Fixed: 625
-      storesWithSF: storesWithSFCount, // Fixed: unique stores with incoming in year
-      storesWithIncoming: m.storesWithIncoming.size, // Monthly: stores with incoming > 0
-      storesWithTrx: m.storesWithTrx.size, // Monthly: stores with trx > 0
-      incoming: m.incoming,
-      approved: m.approved,
-      trx: m.trx,
-      gmv: m.gmv
+      ...m,
+      totalStores,
+      storesWithSF: storesWithSFByYear[m.year] ?? m.storesWithSF
     }))
     .sort((a, b) => a.month.localeCompare(b.month));
   
-  return { monthlyData, storeMonthlyData, storesWithSFCount };
+  return { ...dataset, stores, storeMonthlyData, monthlyData, rejected };
 }
 
-async function fetchStoreData() {
-  const data = await fetchAllData(
-    CONFIG.TABLE_NAME,
-    'dealer_code, submerchant'
+// ============================================================================
+// CROSS-MERCHANT SUMMARY
+// ============================================================================
+// merchants: the ones the signed-in user has access to
+function MerchantSummary({ merchants, onSelect }) {
+  const [rows, setRows] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    
+    // One failing merchant table shouldn't hide the others
+    Promise.all(merchants.map(async (merchant) => {
+      try {
+        const { monthlyData } = await fetchMonthlyData(merchant);
+        return { merchant, ...summarizeMerchant(monthlyData) };
+      } catch (err) {
+        console.error(`Error fetching ${merchant.table}:`, err);
+        return { merchant, error: err.message };
+      }
+    })).then(result => {
+      if (!cancelled) setRows(result);
+    });
+    
+    return () => { cancelled = true; };
+  }, [merchants]);
+
+  if (!rows) {
+    return (
+      <div className="flex items-center justify-center py-16 text-slate-400">
+        <RefreshCw className="w-5 h-5 text-cyan-400 animate-spin mr-2" /> Loading merchants...
+      </div>
+    );
+  }
+
+  const maxGMV = Math.max(...rows.map(r => r.gmv || 0), 1);
+
+  return (
+    <section>
+      <h2 className="text-[10px] font-medium text-slate-400 uppercase tracking-wider mb-2">🏬 Merchant Comparison</h2>
+      <div className="bg-slate-900/50 rounded-xl border border-white/10 overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="bg-slate-800/50 text-slate-400">
+                <th className="text-left p-2 min-w-[160px] font-medium">Merchant</th>
+                <th className="p-2 text-center font-medium"># Stores</th>
+                <th className="p-2 text-center font-medium"># Stores w/ SF+</th>
+                <th className="p-2 text-center font-medium">% Stores w/ Trx</th>
+                <th className="p-2 text-center font-medium">Incoming</th>
+                <th className="p-2 text-center font-medium">Trx</th>
+                <th className="p-2 text-center font-medium">Appr %</th>
+                <th className="p-2 text-center font-medium">Conv %</th>
+                <th className="p-2 text-left font-medium min-w-[160px]">GMV</th>
+                <th className="p-2 text-center font-medium">AOV</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(({ merchant, error, ...r }) => (
+                <tr
+                  key={merchant.id}
+                  onClick={() => onSelect(merchant.id)}
+                  className="border-t border-white/5 hover:bg-white/5 cursor-pointer"
+                >
+                  <td className="p-2">
+                    <div className="flex items-center gap-2">
+                      <div className={`w-1.5 h-6 rounded-full bg-gradient-to-b ${merchant.branding.gradient}`} />
+                      <div>
+                        <p className="font-medium text-white text-[11px]">{merchant.name}</p>
+                        <p className="text-[9px] text-slate-500">{merchant.fullName}{r.year ? ` • ${r.year} YTD` : ''}</p>
+                      </div>
+                    </div>
+                  </td>
+                  {error ? (
+                    <td colSpan={9} className="p-2 text-center text-rose-400">{error}</td>
+                  ) : (
+                    <>
+                      <td className="p-2 text-center text-slate-300">{r.totalStores.toLocaleString()}</td>
+                      <td className="p-2 text-center text-slate-300">
+                        {r.storesWithSF} <span className="text-slate-500 text-[9px]">({r.totalStores ? ((r.storesWithSF / r.totalStores) * 100).toFixed(0) : 0}%)</span>
+                      </td>
+                      <td className="p-2 text-center">
+                        <RateBadge value={r.penetration} thresholds={merchant.thresholds.storePenetration} />
+                        {r.latestLabel && <span className="block text-[9px] text-slate-500">{r.latestLabel}</span>}
+                      </td>
+                      <td className="p-2 text-center text-slate-300">{r.incoming.toLocaleString()}</td>
+                      <td className="p-2 text-center font-semibold text-white">{r.trx.toLocaleString()}</td>
+                      <td className="p-2 text-center"><RateBadge value={r.approval} thresholds={merchant.thresholds.approval} /></td>
+                      <td className="p-2 text-center"><RateBadge value={r.conversion} thresholds={merchant.thresholds.conversion} /></td>
+                      <td className="p-2">
+                        <div className="flex items-center gap-2">
+                          <div className="flex-1 h-1.5 bg-white/5 rounded-full overflow-hidden">
+                            <div className={`h-full ${merchant.branding.bar}`} style={{ width: `${(r.gmv / maxGMV) * 100}%` }} />
+                          </div>
+                          <span className="text-cyan-300 w-12 text-right">{formatCurrency(r.gmv)}</span>
+                        </div>
+                      </td>
+                      <td className="p-2 text-center text-slate-300">{formatCurrency(r.aov)}</td>
+                    </>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+      <p className="text-[9px] text-slate-600 mt-2 text-center">
+        Latest year per merchant • % Stores w/ Trx is the latest month • Click a merchant to open its dashboard
+      </p>
+    </section>
   );
-  
-  // Get unique stores
-  const storeMap = {};
-  data.forEach(row => {
-    if (!storeMap[row.dealer_code]) {
-      storeMap[row.dealer_code] = {
-        code: row.dealer_code,
-        name: row.submerchant || row.dealer_code
-      };
-    }
-  });
-  
-  return Object.values(storeMap);
 }
 
+// ============================================================================
+// URL STATE
+// ============================================================================
+// Store grid metric columns; `cols` lists the visible keys, `pin` the pinned ones
+const STORE_METRICS = [
+  { key: 'incoming', label: 'Inc', totalKey: 'totalIncoming' },
+  { key: 'trx', label: 'Trx', totalKey: 'totalTrx' },
+  { key: 'gmv', label: 'GMV', totalKey: 'totalGMV' },
+  { key: 'appr', label: 'Apr%', totalKey: 'avgApproval' },
+  { key: 'conv', label: 'Cnv%', totalKey: 'avgConversion' },
+];
+const ALL_METRIC_KEYS = STORE_METRICS.map(m => m.key);
+const DEFAULT_SORT = { key: 'totalTrx', direction: 'desc' };
+const ROW_LIMITS = [10, 25, 50, 100];
+const TARGETS_STORAGE_PREFIX = 'sf-dashboard:targets:';
+const MASTER_STORAGE_PREFIX = 'sf-dashboard:store-master:';
+const NO_SCOPE = Object.fromEntries(MASTER_KEYS.map(key => [key, null]));
+const MONTH_PARAM = /^\d{4}-\d{2}$/;
+const DISPLAY_MODES = ['present', 'tv'];
+
+// Everything a shared link or saved view restores. Month sort keys may be written
+// as `latest_<metric>` so a link keeps meaning "the newest month" as data arrives.
+const readUrlState = () => {
+  const year = parseInt(readUrlParam('year'), 10);
+  const limit = parseInt(readUrlParam('limit'), 10);
+  const cols = (readUrlParam('cols') || '').split(',');
+  const visibleMetrics = ALL_METRIC_KEYS.filter(key => cols.includes(key));
+  const pins = (readUrlParam('pin') || '').split(',');
+  const monthParam = (key) => (MONTH_PARAM.test(readUrlParam(key) || '') ? readUrlParam(key) : null);
+  return {
+    merchantId: getMerchant(readUrlParam('merchant')).id,
+    view: readUrlParam('view') === 'summary' ? 'summary' : 'dashboard',
+    displayMode: DISPLAY_MODES.includes(readUrlParam('mode')) ? readUrlParam('mode') : null,
+    searchTerm: readUrlParam('q') || '',
+    sortConfig: readUrlParam('sort')
+      ? { key: readUrlParam('sort'), direction: readUrlParam('dir') === 'asc' ? 'asc' : 'desc' }
+      : DEFAULT_SORT,
+    selectedYear: Number.isNaN(year) ? null : year,
+    visibleMetrics: visibleMetrics.length ? visibleMetrics : ALL_METRIC_KEYS,
+    pinnedMetrics: ALL_METRIC_KEYS.filter(key => pins.includes(key) && (!visibleMetrics.length || visibleMetrics.includes(key))),
+    monthRange: { from: monthParam('from'), to: monthParam('to') },
+    rowLimit: limit > 0 ? limit : null,
+    scope: Object.fromEntries(MASTER_KEYS.map(key => [key, readUrlParam(key) || null])),
+    groupBy: GROUPINGS[readUrlParam('group')] ? readUrlParam('group') : null,
+  };
+};
+
 // ============================================================================
 // MAIN COMPONENT
 // ============================================================================
-export default function FRTDashboard() {
+export default function Dashboard() {
   const [monthlyData, setMonthlyData] = useState([]);
   const [storeData, setStoreData] = useState([]);
   const [storeMonthlyData, setStoreMonthlyData] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [lastUpdated, setLastUpdated] = useState(null);
+  const [lastUpdated, setLastUpdated] = useState(null); // When the data on screen was fetched
+  const [isCached, setIsCached] = useState(false); // Data on screen came from the offline cache
+  const [refreshError, setRefreshError] = useState(null); // { message, delay, retryAt, dismissed } while data stays on screen
   const [isRefreshing, setIsRefreshing] = useState(false);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [sortConfig, setSortConfig] = useState({ key: 'totalTrx', direction: 'desc' });
+  const [initialUrlState] = useState(readUrlState);
+  const [searchInput, setSearchInput] = useState(initialUrlState.searchTerm);
+  const [searchTerm, setSearchTerm] = useState(initialUrlState.searchTerm); // searchInput, debounced
+  const [sortConfig, setSortConfig] = useState(initialUrlState.sortConfig);
+  const [selectedYear, setSelectedYear] = useState(initialUrlState.selectedYear); // null = latest year in the data
+  const [visibleMetrics, setVisibleMetrics] = useState(initialUrlState.visibleMetrics);
+  const [pinnedMetrics, setPinnedMetrics] = useState(initialUrlState.pinnedMetrics);
+  const [monthRange, setMonthRange] = useState(initialUrlState.monthRange); // 'YYYY-MM' bounds, null = open
+  const [rowLimit, setRowLimit] = useState(initialUrlState.rowLimit); // null = all stores
+  const [scope, setScope] = useState(initialUrlState.scope); // Store master filters, null = any
+  const [groupBy, setGroupBy] = useState(initialUrlState.groupBy); // Key of GROUPINGS, null = flat list
+  const [collapsedGroups, setCollapsedGroups] = useState(() => new Set());
+  const [merchantId, setMerchantId] = useState(initialUrlState.merchantId);
+  const [view, setView] = useState(initialUrlState.view);
+  const [displayMode, setDisplayMode] = useState(initialUrlState.displayMode); // present (presentation / print) | tv (leaderboard), null = dashboard
+  const [selectedStoreCode, setSelectedStoreCode] = useState(readStoreRoute);
+  const requestRef = useRef(0);
+  const failuresRef = useRef(0); // Failed refreshes in a row, for the retry backoff
+  const datasetRef = useRef(null); // Loaded data: { merchantId, stores, storeMonthlyData, monthlyData, syncedAt, fullSyncAt }
+  const [realtimeStatus, setRealtimeStatus] = useState('connecting');
+  const [isExportingPdf, setIsExportingPdf] = useState(false);
+  const [targetRows, setTargetRows] = useState([]); // From sf_targets
+  const [uploadedTargets, setUploadedTargets] = useState(null); // { name, rows } from a CSV, overrides sf_targets
+  const [targetsError, setTargetsError] = useState(null);
+  const [masterRows, setMasterRows] = useState([]); // From sf_store_master
+  const [uploadedMaster, setUploadedMaster] = useState(null); // { name, rows } from a CSV, overrides sf_store_master
+  const [masterError, setMasterError] = useState(null);
+  const [thresholdRows, setThresholdRows] = useState([]); // From sf_threshold_settings: shared and own
+  const [showThresholds, setShowThresholds] = useState(false);
+  const [compareCodes, setCompareCodes] = useState(null); // Stores the comparison panel opened with, null = closed
+  const [rejectedRows, setRejectedRows] = useState([]); // Rows flagged while loading: [{ check, row }]
+  const [sourceChecks, setSourceChecks] = useState(undefined); // sf_data_quality findings, undefined = checking, null = unavailable
+  const [showDataQuality, setShowDataQuality] = useState(false);
+  const [dormantMonths, setDormantMonths] = useState(ALERT_RULES.DORMANT_MONTHS);
+  const [highlightedStore, setHighlightedStore] = useState(null); // Grid row an alert jumped to
+  const snapshotRef = useRef(null);
+  const storeSectionRef = useRef(null);
+
+  // Only merchants the user has a grant for; users limited to some regions count their
+  // visible stores instead of the merchant's fixed store universe
+  const { session, access, signOut } = useAuth();
+  const userId = session.user.id;
+  const userMerchants = useMemo(() => visibleMerchants(MERCHANTS, access).map(m => merchantForUser(m, access)), [access]);
+  const merchant = userMerchants.find(m => m.id === merchantId) || userMerchants[0];
+
+  // Re-reads every URL-backed setting; used by back/forward and when a saved view is applied
+  const syncFromUrl = useCallback(() => {
+    const state = readUrlState();
+    setMerchantId(state.merchantId);
+    setView(state.view);
+    setDisplayMode(state.displayMode);
+    setSearchInput(state.searchTerm);
+    setSearchTerm(state.searchTerm);
+    setSortConfig(state.sortConfig);
+    setSelectedYear(state.selectedYear);
+    setVisibleMetrics(state.visibleMetrics);
+    setPinnedMetrics(state.pinnedMetrics);
+    setMonthRange(state.monthRange);
+    setRowLimit(state.rowLimit);
+    setScope(state.scope);
+    setGroupBy(state.groupBy);
+    setSelectedStoreCode(readStoreRoute());
+  }, []);
+
+  useEffect(() => {
+    window.addEventListener('popstate', syncFromUrl);
+    return () => window.removeEventListener('popstate', syncFromUrl);
+  }, [syncFromUrl]);
+
+  // Show the loading screen whenever the merchant changes, however it was switched
+  const loadedMerchantRef = useRef(merchantId);
+  useEffect(() => {
+    if (loadedMerchantRef.current === merchantId) return;
+    loadedMerchantRef.current = merchantId;
+    setLoading(true);
+    setRefreshError(null);
+    failuresRef.current = 0;
+  }, [merchantId]);
 
-  // Fetch all data
-  const fetchData = useCallback(async (showRefreshing = true) => {
+  const selectMerchant = (id) => {
+    pushUrlParams({ merchant: id, view: null, mode: null, year: null, from: null, to: null, ...NO_SCOPE }, '/');
+    setView('dashboard');
+    setDisplayMode(null);
+    setSelectedStoreCode(null);
+    if (id === merchantId) return;
+    setMerchantId(id);
+    selectYear(null);
+    setScope(NO_SCOPE); // Regions and areas are per merchant
+  };
+
+  // A month range belongs to one year, so switching years clears it
+  const selectYear = (year) => {
+    setSelectedYear(year);
+    setMonthRange({ from: null, to: null });
+  };
+
+  const showSummary = () => {
+    pushUrlParams({ view: 'summary', mode: null }, '/');
+    setView('summary');
+    setDisplayMode(null);
+    setSelectedStoreCode(null);
+  };
+
+  const openStore = useCallback((code) => {
+    pushUrlParams({}, storePath(code));
+    setSelectedStoreCode(code);
+  }, []);
+
+  const openDisplay = (mode) => {
+    pushUrlParams({ mode }, '/');
+    setDisplayMode(mode);
+    setSelectedStoreCode(null);
+    setCompareCodes(null);
+  };
+
+  const closeDisplay = useCallback(() => {
+    pushUrlParams({ mode: null, ...Object.fromEntries(LEADERBOARD_PARAMS.map(key => [key, null])) });
+    setDisplayMode(null);
+  }, []);
+
+  const closeThresholds = useCallback(() => setShowThresholds(false), []);
+  const closeDataQuality = useCallback(() => setShowDataQuality(false), []);
+
+  const closeStore = useCallback(() => {
+    pushUrlParams({}, '/');
+    setSelectedStoreCode(null);
+  }, []);
+
+  const closeCompare = useCallback(() => setCompareCodes(null), []);
+
+  // From the drill-down: the store becomes the base of the comparison
+  const compareStore = useCallback((code) => {
+    closeStore();
+    setCompareCodes([code]);
+  }, [closeStore]);
+
+  const commitDataset = useCallback((dataset) => {
+    datasetRef.current = dataset;
+    setMonthlyData(dataset.monthlyData);
+    setStoreData(enrichStores(dataset.stores, dataset.storeMonthlyData));
+    setStoreMonthlyData(dataset.storeMonthlyData);
+    setRejectedRows(dataset.rejected || []);
+  }, []);
+
+  // Fetch all data; full = reload every store-month rather than what changed
+  const fetchData = useCallback(async (showRefreshing = true, full = false) => {
+    // Ignore responses that land after the user has switched merchant
+    const requestId = ++requestRef.current;
     if (showRefreshing) setIsRefreshing(true);
     setError(null);
     
+    // Follow-up refreshes of the same merchant only fetch store-months changed since the last load,
+    // from sources that report deleted store-months too, until the next full reload is due
+    const current = datasetRef.current?.merchantId === merchant.id ? datasetRef.current : null;
+    const since = !full && dataSource.incremental && current?.syncedAt && Date.now() - current.fullSyncAt < CONFIG.FULL_RESYNC_MS
+      ? current.syncedAt
+      : null;
+    
     try {
-      const [{ monthlyData: monthly, storeMonthlyData: storeMonthly, storesWithSFCount }, stores] = await Promise.all([
-        fetchMonthlyData(),
-        fetchStoreData()
+      const [{ monthlyData: monthly }, storeRows] = await Promise.all([
+        fetchMonthlyData(merchant),
+        fetchStoreData(merchant, since)
       ]);
+      if (requestId !== requestRef.current) return;
       
-      // Merge store monthly data
-      const enrichedStores = stores.map(store => ({
-        ...store,
-        data: storeMonthly[store.code] || {}
-      }));
+      // Merge into the latest dataset, which realtime changes may have moved on meanwhile
+      const previous = since && datasetRef.current?.merchantId === merchant.id ? datasetRef.current : undefined;
+      const { stores, storeMonthlyData: storeMonthly, syncedAt, rejected } = mergeStoreRows(storeRows, previous);
       
-      setMonthlyData(monthly);
-      setStoreData(enrichedStores);
-      setStoreMonthlyData(storeMonthly);
+      const fullSyncAt = previous ? previous.fullSyncAt : Date.now();
+      const dataset = { merchantId: merchant.id, stores, storeMonthlyData: storeMonthly, monthlyData: monthly, syncedAt, fullSyncAt, rejected };
+      commitDataset(dataset);
       setLastUpdated(new Date());
+      setIsCached(false);
+      setRefreshError(null);
+      failuresRef.current = 0;
+      writeCache(userId, `dataset:${merchant.id}`, dataset);
     } catch (err) {
+      if (requestId !== requestRef.current) return;
       console.error('Error fetching data:', err);
-      setError(err.message);
+      // With data on screen, keep it and retry in the background; the full error screen is for a first load
+      if (datasetRef.current?.merchantId === merchant.id) {
+        const delay = Math.min(CONFIG.RETRY_BASE_MS * 2 ** failuresRef.current++, CONFIG.RETRY_MAX_MS);
+        setRefreshError({ message: err.message, delay, retryAt: Date.now() + delay, dismissed: false });
+      } else {
+        setError(err.message);
+      }
     } finally {
-      setLoading(false);
-      setIsRefreshing(false);
+      if (requestId === requestRef.current) {
+        setLoading(false);
+        setIsRefreshing(false);
+      }
     }
-  }, []);
+  }, [merchant, userId, commitDataset]);
+
+  // Initial fetch (the summary view fetches its own data). A dataset saved by an
+  // earlier visit shows right away while the fetch runs.
+  useEffect(() => {
+    if (view !== 'dashboard') return;
+    let active = true;
+    const loadCached = datasetRef.current?.merchantId === merchant.id
+      ? Promise.resolve(false)
+      : readCache(userId, `dataset:${merchant.id}`).then(cached => {
+        if (!active || !cached || datasetRef.current?.merchantId === merchant.id) return false;
+        // syncedAt dropped: the user's access may have changed since, so reload in full
+        commitDataset({ ...cached.value, syncedAt: null });
+        setLastUpdated(new Date(cached.savedAt));
+        setIsCached(true);
+        setError(null);
+        setLoading(false);
+        return true;
+      });
+    loadCached.then(shown => {
+      if (active) fetchData(shown);
+    });
+    return () => { active = false; };
+  }, [fetchData, view, merchant, userId, commitDataset]);
+
+  // Retry a failed refresh once its backoff delay is up, or as soon as the browser is back online
+  useEffect(() => {
+    if (!refreshError || view !== 'dashboard') return;
+    const retry = () => fetchData(true);
+    const timer = setTimeout(retry, Math.max(0, refreshError.retryAt - Date.now()));
+    window.addEventListener('online', retry);
+    return () => {
+      clearTimeout(timer);
+      window.removeEventListener('online', retry);
+    };
+  }, [refreshError, fetchData, view]);
+
+  // Targets: sf_targets, unless a CSV was uploaded for this merchant (kept in localStorage)
+  useEffect(() => {
+    let active = true;
+    setTargetRows([]);
+    setTargetsError(null);
+    try {
+      setUploadedTargets(JSON.parse(localStorage.getItem(`${TARGETS_STORAGE_PREFIX}${merchant.id}`)));
+    } catch {
+      setUploadedTargets(null);
+    }
+    fetchTargets(merchant).then(rows => {
+      if (active) setTargetRows(rows);
+    });
+    return () => { active = false; };
+  }, [merchant]);
+
+  const uploadTargets = async (file) => {
+    try {
+      const rows = parseTargetsCsv(await file.text());
+      const uploaded = { name: file.name, rows };
+      localStorage.setItem(`${TARGETS_STORAGE_PREFIX}${merchant.id}`, JSON.stringify(uploaded));
+      setUploadedTargets(uploaded);
+      setTargetsError(null);
+    } catch (err) {
+      setTargetsError(err.message);
+    }
+  };
+
+  const clearUploadedTargets = () => {
+    localStorage.removeItem(`${TARGETS_STORAGE_PREFIX}${merchant.id}`);
+    setUploadedTargets(null);
+  };
+
+  // Store master: sf_store_master, unless a CSV was uploaded for this merchant (kept in localStorage)
+  useEffect(() => {
+    let active = true;
+    setMasterRows([]);
+    setMasterError(null);
+    try {
+      setUploadedMaster(JSON.parse(localStorage.getItem(`${MASTER_STORAGE_PREFIX}${merchant.id}`)));
+    } catch {
+      setUploadedMaster(null);
+    }
+    fetchStoreMaster(merchant).then(rows => {
+      if (active) setMasterRows(rows);
+    });
+    return () => { active = false; };
+  }, [merchant]);
+
+  // Rate bands: the user's own settings, else the shared ones, else merchants.js
+  const loadThresholds = useCallback(() => fetchThresholdSettings(merchant).then(setThresholdRows), [merchant]);
+
+  useEffect(() => {
+    setThresholdRows([]);
+    loadThresholds();
+  }, [loadThresholds]);
+
+  // Data quality: raw-row checks in Postgres, re-run from the diagnostics panel
+  const loadDataQuality = useCallback(() => {
+    setSourceChecks(undefined);
+    return fetchDataQuality(merchant).then(setSourceChecks);
+  }, [merchant]);
+
+  useEffect(() => {
+    if (view === 'dashboard') loadDataQuality();
+  }, [loadDataQuality, view]);
+
+  const saveThresholds = async (settings, target) => {
+    await dataSource.saveThresholdSettings(merchant, target === 'user' ? session.user.id : null, settings, session.user.email);
+    await loadThresholds();
+  };
+
+  const resetThresholds = async (target) => {
+    await dataSource.deleteThresholdSettings(merchant, target === 'user' ? session.user.id : null);
+    await loadThresholds();
+  };
+
+  const uploadStoreMaster = async (file) => {
+    try {
+      const rows = parseStoreMasterCsv(await file.text());
+      const uploaded = { name: file.name, rows };
+      localStorage.setItem(`${MASTER_STORAGE_PREFIX}${merchant.id}`, JSON.stringify(uploaded));
+      setUploadedMaster(uploaded);
+      setMasterError(null);
+    } catch (err) {
+      setMasterError(err.message);
+    }
+  };
+
+  const clearUploadedMaster = () => {
+    localStorage.removeItem(`${MASTER_STORAGE_PREFIX}${merchant.id}`);
+    setUploadedMaster(null);
+  };
 
-  // Initial fetch and auto-refresh
+  // Realtime: apply inserts/updates on the store-level table as deltas. Sources
+  // without realtime stay 'offline', so the polling below keeps them fresh.
   useEffect(() => {
-    fetchData(false);
+    if (view !== 'dashboard') return;
+    if (!dataSource.subscribe) {
+      setRealtimeStatus('offline');
+      return;
+    }
+    let active = true;
+    let wasConnected = false;
+    let pending = [];
+    let flushTimer = null;
+    setRealtimeStatus('connecting');
+    
+    const flush = () => {
+      flushTimer = null;
+      const changes = pending;
+      pending = [];
+      // Before the first load finishes there is nothing to patch; that load includes these rows
+      const dataset = datasetRef.current;
+      if (!dataset || dataset.merchantId !== merchant.id) return;
+      // Under row-level security events come without the old row values, so
+      // neither can be undone as a delta: a delete reloads every store-month, an
+      // update fetches just the store-months changed since the last sync
+      if (changes.some(c => !c.newRow)) {
+        fetchData(false, true);
+        return;
+      }
+      if (changes.some(c => c.oldRow && !hasRowValues(c.oldRow))) {
+        fetchData(false);
+        return;
+      }
+      commitDataset(applyRowChanges(dataset, merchant, changes));
+      setLastUpdated(new Date());
+    };
+    
+    const onChange = (payload) => {
+      pending.push({
+        oldRow: payload.eventType === 'INSERT' ? null : payload.old,
+        newRow: payload.eventType === 'DELETE' ? null : payload.new
+      });
+      if (!flushTimer) flushTimer = setTimeout(flush, CONFIG.REALTIME_BATCH_MS);
+    };
+    
+    const unsubscribe = dataSource.subscribe(merchant, onChange, (status) => {
+      if (!active) return;
+      // Catch up on anything that changed while the socket was down
+      if (status === 'connected' && wasConnected) fetchData(false);
+      if (status === 'connected') wasConnected = true;
+      setRealtimeStatus(status);
+    });
+    
+    const onOffline = () => setRealtimeStatus('offline');
+    window.addEventListener('offline', onOffline);
+    
+    return () => {
+      active = false;
+      clearTimeout(flushTimer);
+      window.removeEventListener('offline', onOffline);
+      unsubscribe();
+    };
+  }, [merchant, view, fetchData, commitDataset]);
+
+  // Refreshes in between only see what their source reports as changed, so reload
+  // every store-month now and then, whatever the realtime channel is doing
+  useEffect(() => {
+    if (view !== 'dashboard') return;
+    
+    const interval = setInterval(() => {
+      fetchData(false, true);
+    }, CONFIG.FULL_RESYNC_MS);
+    
+    return () => clearInterval(interval);
+  }, [fetchData, view]);
+
+  // Fall back to polling whenever the realtime channel isn't connected
+  useEffect(() => {
+    if (view !== 'dashboard' || realtimeStatus === 'connected') return;
     
     const interval = setInterval(() => {
       fetchData(true);
     }, CONFIG.AUTO_REFRESH_INTERVAL);
     
     return () => clearInterval(interval);
-  }, [fetchData]);
+  }, [fetchData, view, realtimeStatus]);
+
+  // Store master scope: with a filter set, every metric below is recounted from the matching stores
+  const master = useMemo(() => indexStoreMaster(uploadedMaster?.rows ?? masterRows), [uploadedMaster, masterRows]);
+  const scoped = isScoped(scope);
+  const scopedStoreData = useMemo(
+    () => (scoped ? storeData.filter(s => inScope(master[s.code], scope)) : storeData),
+    [storeData, master, scope, scoped]
+  );
+  const scopedMonthlyData = useMemo(() => {
+    if (!scoped) return monthlyData;
+    const scopeStores = Object.values(master).filter(info => inScope(info, scope)).length;
+    return buildScopedMonthlyData(scopedStoreData, monthlyData.map(m => m.month), scopeStores);
+  }, [scoped, monthlyData, master, scope, scopedStoreData]);
+  const masterOptions = useMemo(() => scopeOptions(master, scope), [master, scope]);
+
+  const setScopeField = (key, value) => {
+    // An area belongs to one region
+    setScope(prev => ({ ...prev, [key]: value, ...(key === 'region' ? { area: null } : {}) }));
+  };
 
   // Calculate derived data
-  const months = useMemo(() => monthlyData.map(m => m.month), [monthlyData]);
-  const quarters = ['Q1', 'Q2', 'Q3', 'Q4'];
-
-  const quarterlyData = useMemo(() => {
-    return quarters.map(q => {
-      const qMonths = monthlyData.filter(m => m.quarter === q);
-      if (qMonths.length === 0) return null;
-      const lastMonth = qMonths[qMonths.length - 1];
-      return {
-        quarter: q,
-        incoming: qMonths.reduce((s, m) => s + m.incoming, 0),
-        approved: qMonths.reduce((s, m) => s + m.approved, 0),
-        trx: qMonths.reduce((s, m) => s + m.trx, 0),
-        gmv: qMonths.reduce((s, m) => s + m.gmv, 0),
-        totalStores: CONFIG.TOTAL_STORES,
-        storesWithSF: lastMonth.storesWithSF, // Same for all months (YTD unique)
-        storesWithIncoming: Math.round(qMonths.reduce((s, m) => s + m.storesWithIncoming, 0) / qMonths.length),
-        storesWithTrx: Math.round(qMonths.reduce((s, m) => s + m.storesWithTrx, 0) / qMonths.length),
-      };
-    }).filter(Boolean);
-  }, [monthlyData]);
-
-  const processedStores = useMemo(() => {
-    return storeData.map(store => {
-      const totalIncoming = Object.values(store.data).reduce((sum, d) => sum + (d.incoming || 0), 0);
-      const totalApproved = Object.values(store.data).reduce((sum, d) => sum + (d.approved || 0), 0);
-      const totalTrx = Object.values(store.data).reduce((sum, d) => sum + (d.trx || 0), 0);
-      const totalGMV = Object.values(store.data).reduce((sum, d) => sum + (d.gmv || 0), 0);
-      
-      const monthlyMetrics = {};
-      months.forEach(m => {
-        const d = store.data[m];
-        if (d) {
-          monthlyMetrics[`${m}_incoming`] = d.incoming || 0;
-          monthlyMetrics[`${m}_trx`] = d.trx || 0;
-          monthlyMetrics[`${m}_gmv`] = d.gmv || 0;
-          monthlyMetrics[`${m}_appr`] = d.incoming ? (d.approved / d.incoming) * 100 : 0;
-          monthlyMetrics[`${m}_conv`] = d.incoming ? (d.trx / d.incoming) * 100 : 0;
-        } else {
-          monthlyMetrics[`${m}_incoming`] = 0;
-          monthlyMetrics[`${m}_trx`] = 0;
-          monthlyMetrics[`${m}_gmv`] = 0;
-          monthlyMetrics[`${m}_appr`] = 0;
-          monthlyMetrics[`${m}_conv`] = 0;
-        }
-      });
-      
-      return {
-        ...store,
-        totalIncoming,
-        totalApproved,
-        totalTrx,
-        totalGMV,
-        avgConversion: totalIncoming ? (totalTrx / totalIncoming) * 100 : 0,
-        avgApproval: totalIncoming ? (totalApproved / totalIncoming) * 100 : 0,
-        ...monthlyMetrics,
-      };
-    });
-  }, [storeData, months]);
+  const years = useMemo(() => [...new Set(scopedMonthlyData.map(m => m.year))], [scopedMonthlyData]);
+  const activeYear = years.includes(selectedYear) ? selectedYear : years[years.length - 1];
+
+  // Lookup by 'YYYY-MM' so any month can find its previous month or same month last year
+  const monthlyIndex = useMemo(
+    () => Object.fromEntries(scopedMonthlyData.map(m => [m.month, m])),
+    [scopedMonthlyData]
+  );
+  const yearMonthlyData = useMemo(
+    () => scopedMonthlyData.filter(m => m.year === activeYear),
+    [scopedMonthlyData, activeYear]
+  );
+
+  const months = useMemo(() => yearMonthlyData.map(m => m.month), [yearMonthlyData]);
+
+  // Store grid month range; falls back to the whole year when the range matches none of its months
+  const rangeMonthlyData = useMemo(() => {
+    const inRange = yearMonthlyData.filter(m =>
+      (!monthRange.from || m.month >= monthRange.from) && (!monthRange.to || m.month <= monthRange.to)
+    );
+    return inRange.length ? inRange : yearMonthlyData;
+  }, [yearMonthlyData, monthRange]);
+  const rangeMonths = useMemo(() => rangeMonthlyData.map(m => m.month), [rangeMonthlyData]);
+  const isFullRange = rangeMonths.length === months.length;
+  const rangeLabel = isFullRange
+    ? 'Total'
+    : `${rangeMonthlyData[0].label} – ${rangeMonthlyData[rangeMonthlyData.length - 1].label}`;
+  const totalStores = scoped ? (scopedMonthlyData[0]?.totalStores ?? 0) : (monthlyData[0]?.totalStores || merchant.totalStores || 0);
+
+  const targets = useMemo(() => indexTargets(uploadedTargets?.rows ?? targetRows), [uploadedTargets, targetRows]);
+  // Network targets don't apply to a region or area
+  const networkTarget = (monthKeys, key) => (scoped ? null : sumTargets(targets.network, monthKeys, key));
+  const penetration = (storesWithTrx) => penetrationRate(storesWithTrx, totalStores);
+  // Share of the store base as a label, '-' with no stores in scope (or no count)
+  const storeShare = (count) => {
+    const pct = count === undefined ? null : penetrationRate(count, totalStores);
+    return pct === null ? '-' : `${pct.toFixed(0)}%`;
+  };
+
+  // Month-end projection + rest-of-year forecast (only reaches into the latest year)
+  const forecast = useMemo(() => buildForecast(scopedMonthlyData), [scopedMonthlyData]);
+  const monthForecast = (month) => forecast?.months[month] ?? null;
+  // Trend arrows compare the month in progress by its projection, not its partial actual
+  const trendValue = (m, key) => monthForecast(m.month)?.[key].value ?? m[key];
+
+  const quarterlyData = useMemo(
+    () => buildQuarterlyData(yearMonthlyData, { year: activeYear, totalStores, monthlyIndex, forecast }),
+    [yearMonthlyData, activeYear, totalStores, forecast, monthlyIndex]
+  );
+
+  // Quarters of the year with no data yet, forecast only
+  const forecastQuarters = useMemo(() => QUARTERS
+    .filter(q => !quarterlyData.some(d => d.quarter === q))
+    .map(q => ({ quarter: q, forecast: forecastPeriod(forecast, quarterMonths(activeYear, q), monthlyIndex) }))
+    .filter(q => q.forecast),
+  [quarterlyData, forecast, activeYear, monthlyIndex]);
+  const yearForecast = useMemo(
+    () => forecastPeriod(forecast, QUARTERS.flatMap(q => quarterMonths(activeYear, q)), monthlyIndex),
+    [forecast, activeYear, monthlyIndex]
+  );
+  // Forecast-only quarter columns; rows without a forecast show "-"
+  const forecastCells = (render) => forecastQuarters.map(f => (
+    <td key={f.quarter} className="p-2 text-center border-l border-dashed border-violet-400/30 bg-violet-500/5">
+      {render ? render(f) : <span className="text-slate-600">-</span>}
+    </td>
+  ));
+
+  // Full-year totals (store drill-down) and totals over the picked month range (grid)
+  const yearStores = useMemo(
+    () => buildStoreRows(storeData, months, monthlyIndex),
+    [storeData, months, monthlyIndex]
+  );
+  const processedStores = useMemo(
+    () => (rangeMonths.length === months.length && !scoped ? yearStores : buildStoreRows(scopedStoreData, rangeMonths, monthlyIndex)),
+    [yearStores, scopedStoreData, scoped, rangeMonths, months, monthlyIndex]
+  );
+
+  // Presentation mode covers the whole year for the scoped stores, whatever the grid's month range
+  const presentationStores = useMemo(
+    () => (displayMode !== 'present' ? [] : scoped ? buildStoreRows(scopedStoreData, months, monthlyIndex) : yearStores),
+    [displayMode, scoped, scopedStoreData, months, monthlyIndex, yearStores]
+  );
+
+  useEffect(() => {
+    const timer = setTimeout(() => setSearchTerm(searchInput), CONFIG.SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  // `latest_conv` etc. resolve to the newest month shown in the grid
+  const latestMonthKey = rangeMonths[rangeMonths.length - 1];
+  const activeSort = useMemo(() => ({
+    ...sortConfig,
+    key: latestMonthKey && sortConfig.key.startsWith('latest_')
+      ? `${latestMonthKey}_${sortConfig.key.slice('latest_'.length)}`
+      : sortConfig.key
+  }), [sortConfig, latestMonthKey]);
+
+  const compareRows = useCallback((a, b) => {
+    const aVal = a[activeSort.key] || 0;
+    const bVal = b[activeSort.key] || 0;
+    return activeSort.direction === 'asc' ? aVal - bVal : bVal - aVal;
+  }, [activeSort.key, activeSort.direction]);
 
   const filteredStores = useMemo(() => {
     let filtered = processedStores.filter(s => 
@@ -341,42 +942,371 @@ export default function FRTDashboard() {
       s.name.toLowerCase().includes(searchTerm.toLowerCase())
     );
     
-    if (sortConfig.key) {
-      filtered.sort((a, b) => {
-        const aVal = a[sortConfig.key] || 0;
-        const bVal = b[sortConfig.key] || 0;
-        return sortConfig.direction === 'asc' ? aVal - bVal : bVal - aVal;
-      });
+    if (activeSort.key) {
+      filtered.sort(compareRows);
     }
     return filtered;
-  }, [processedStores, searchTerm, sortConfig]);
+  }, [processedStores, searchTerm, activeSort.key, compareRows]);
+
+  // Top/bottom N: the limit applies after sorting, so ascending sort gives the bottom N
+  const visibleStores = useMemo(
+    () => (rowLimit ? filteredStores.slice(0, rowLimit) : filteredStores),
+    [filteredStores, rowLimit]
+  );
+
+  // Grid rows: the visible stores, nested under region / area subtotals when grouped
+  const gridRows = useMemo(
+    () => (groupBy
+      ? buildGroupedRows(visibleStores, master, GROUPINGS[groupBy], collapsedGroups, rangeMonths, monthlyIndex, compareRows)
+      : visibleStores),
+    [groupBy, visibleStores, master, collapsedGroups, rangeMonths, monthlyIndex, compareRows]
+  );
+
+  const toggleGroup = useCallback((key) => {
+    setCollapsedGroups(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  }, []);
+
+  // Alerts judge the latest complete month; the month in progress would read as a drop
+  const allMonths = useMemo(() => scopedMonthlyData.map(m => m.month), [scopedMonthlyData]);
+  const alertMonth = forecast?.partialMonth ? allMonths[allMonths.length - 2] : allMonths[allMonths.length - 1];
+  const alerts = useMemo(
+    () => (alertMonth ? detectAlerts(scopedStoreData, allMonths, alertMonth, { dormantMonths }) : []),
+    [scopedStoreData, allMonths, alertMonth, dormantMonths]
+  );
+
+  // Activation cohorts span every loaded month, not just the selected year
+  const cohorts = useMemo(() => buildCohorts(scopedStoreData, allMonths), [scopedStoreData, allMonths]);
+  const storeActivity = useMemo(() => buildActivity(scopedStoreData, allMonths), [scopedStoreData, allMonths]);
+  const monthLabel = (month) => monthlyIndex[month]?.label ?? month;
+
+  // Store tiers over the year (scope applies, search doesn't); the grid badge uses its
+  // latest complete month
+  const monthlyTiers = useMemo(() => tierCounts(processedStores, months, merchant.tiers), [processedStores, months, merchant.tiers]);
+  const migrationMonths = useMemo(() => months.filter(m => monthlyIndex[shiftMonth(m, -1)]), [months, monthlyIndex]);
+  const tierMonth = latestMonthKey === forecast?.partialMonth && rangeMonths.length > 1 ? rangeMonths[rangeMonths.length - 2] : latestMonthKey;
+  const storeTiers = useMemo(
+    () => (tierMonth ? Object.fromEntries(processedStores.map(s => [s.code, storeTier(s, tierMonth, merchant.tiers)])) : {}),
+    [processedStores, tierMonth, merchant.tiers]
+  );
+
+  // Store ranks per month on trx / GMV / conversion within the scope. The grid's arrows
+  // follow its sort column in the tier month; the movers panel uses the alert month.
+  const ranks = useMemo(() => rankHistory(scopedStoreData, allMonths), [scopedStoreData, allMonths]);
+  const gridRankMetric = rankMetricForSort(activeSort.key);
+  const storeRanks = useMemo(() => {
+    const current = ranks[gridRankMetric.key][tierMonth];
+    const previous = tierMonth && ranks[gridRankMetric.key][shiftMonth(tierMonth, -1)];
+    if (!current || !previous) return {};
+    return Object.fromEntries(Object.entries(current.ranks).map(([code, r]) => [code, { rank: r.rank, change: rankChange(r, previous.ranks[code]) }]));
+  }, [ranks, gridRankMetric, tierMonth]);
+
+  const ownThresholds = thresholdRows.find(r => r.user_id === session.user.id);
+  const sharedThresholds = thresholdRows.find(r => r.user_id === null);
+  const thresholdSource = ownThresholds ? 'user' : sharedThresholds ? 'global' : 'default';
+  const thresholdSettings = (ownThresholds ?? sharedThresholds)?.settings ?? null;
+  const thresholdsFor = useMemo(
+    () => createThresholdResolver(merchant.thresholds, thresholdSettings),
+    [merchant.thresholds, thresholdSettings]
+  );
+  // Network tables follow the scoped region; grid rows their own region and tier
+  const thresholds = thresholdsFor({ region: scope.region });
+  const rowThresholds = useCallback((row) => thresholdsFor(row.group
+    ? { region: row.group.region }
+    : { region: master[row.code]?.region, tier: storeTiers[row.code]?.key }
+  ), [thresholdsFor, master, storeTiers]);
+  const regionNames = useMemo(
+    () => [...new Set(Object.values(master).map(info => info.region).filter(Boolean))].sort((a, b) => a.localeCompare(b)),
+    [master]
+  );
+  // Data quality: what the loaded data reveals, plus the source-table checks
+  const loadedChecks = useMemo(
+    () => checkDataset({ storeMonthlyData, monthlyData, rejected: rejectedRows }),
+    [storeMonthlyData, monthlyData, rejectedRows]
+  );
+  const issueCount = countIssues(loadedChecks) + countIssues(sourceChecks || []);
+  const periodName = (keys) => (keys.length === 1 ? monthLabel(keys[0]) : `${monthLabel(keys[0])} – ${monthLabel(keys[keys.length - 1])}`);
+
+  // Jump to a store's grid row, dropping the search / row limit when they hide it
+  const focusStore = (code) => {
+    if (!filteredStores.some(s => s.code === code)) {
+      setSearchInput('');
+      setSearchTerm('');
+    }
+    if (!visibleStores.some(s => s.code === code)) setRowLimit(null);
+    if (groupBy) {
+      setCollapsedGroups(prev => {
+        const next = new Set(prev);
+        groupPath(master[code], GROUPINGS[groupBy]).forEach(key => next.delete(key));
+        return next;
+      });
+    }
+    setHighlightedStore(code);
+    storeSectionRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
+  useEffect(() => {
+    if (!highlightedStore) return;
+    const timer = setTimeout(() => setHighlightedStore(null), 4000);
+    return () => clearTimeout(timer);
+  }, [highlightedStore]);
 
   const handleSort = (key) => {
-    setSortConfig(prev => ({
-      key,
-      direction: prev.key === key && prev.direction === 'desc' ? 'asc' : 'desc'
-    }));
+    // Sorting by the newest month is stored as `latest_*` so shared links follow new data
+    const sortKey = latestMonthKey && key.startsWith(`${latestMonthKey}_`)
+      ? `latest_${key.slice(latestMonthKey.length + 1)}`
+      : key;
+    setSortConfig({
+      key: sortKey,
+      direction: activeSort.key === key && activeSort.direction === 'desc' ? 'asc' : 'desc'
+    });
+  };
+
+  const toggleMetric = (key) => {
+    if (!visibleMetrics.includes(key)) {
+      setVisibleMetrics(ALL_METRIC_KEYS.filter(k => k === key || visibleMetrics.includes(k)));
+    } else if (visibleMetrics.length > 1) { // Keep at least one column
+      setVisibleMetrics(visibleMetrics.filter(k => k !== key));
+      setPinnedMetrics(prev => prev.filter(k => k !== key));
+    }
   };
 
-  const totals = useMemo(() => ({
-    incoming: monthlyData.reduce((sum, m) => sum + m.incoming, 0),
-    approved: monthlyData.reduce((sum, m) => sum + m.approved, 0),
-    trx: monthlyData.reduce((sum, m) => sum + m.trx, 0),
-    gmv: monthlyData.reduce((sum, m) => sum + m.gmv, 0),
-  }), [monthlyData]);
+  const togglePinned = (key) => {
+    setPinnedMetrics(prev => (prev.includes(key) ? prev.filter(k => k !== key) : ALL_METRIC_KEYS.filter(k => k === key || prev.includes(k))));
+  };
+
+  // Mirror the dashboard's view settings into the query string (defaults are left out)
+  useEffect(() => {
+    if (view !== 'dashboard') return;
+    const isDefaultSort = sortConfig.key === DEFAULT_SORT.key && sortConfig.direction === DEFAULT_SORT.direction;
+    replaceUrlParams({
+      q: searchTerm || null,
+      sort: isDefaultSort ? null : sortConfig.key,
+      dir: isDefaultSort ? null : sortConfig.direction,
+      year: selectedYear,
+      cols: visibleMetrics.length === ALL_METRIC_KEYS.length ? null : visibleMetrics.join(','),
+      pin: pinnedMetrics.length ? pinnedMetrics.join(',') : null,
+      from: monthRange.from,
+      to: monthRange.to,
+      limit: rowLimit,
+      ...scope,
+      group: groupBy,
+    });
+  }, [view, searchTerm, sortConfig, selectedYear, visibleMetrics, pinnedMetrics, monthRange, rowLimit, scope, groupBy]);
 
-  const latestMonth = monthlyData[monthlyData.length - 1];
+  const totals = useMemo(() => summarizeMonths(yearMonthlyData), [yearMonthlyData]);
+  const prevTotals = useMemo(() => priorYearSummary(yearMonthlyData, monthlyIndex), [yearMonthlyData, monthlyIndex]);
+
+  const latestMonth = yearMonthlyData[yearMonthlyData.length - 1];
+
+  const storeMetrics = useMemo(() => STORE_METRICS.filter(m => visibleMetrics.includes(m.key)), [visibleMetrics]);
+
+  // ============================================================================
+  // EXPORT
+  // ============================================================================
+  const exportName = (table) => `${merchant.id}_${table}_${activeYear}_${new Date().toISOString().slice(0, 10)}`;
+
+  // The total columns show only the year-level store count, like on screen
+  const totalColumn = { ...totals, storesWithSF: latestMonth?.storesWithSF, storesWithIncoming: undefined, storesWithTrx: undefined };
+
+  const exportQuarterly = (format) => downloadTable(
+    format,
+    exportName('quarterly'),
+    'Quarterly Overview',
+    buildPeriodTable(`${activeYear} YTD`, totalColumn, quarterlyData.map(q => ({ ...q, label: `${q.quarter} ${q.year}` })), totalStores)
+  ).catch(err => console.error('Export failed:', err));
+
+  const exportMonthly = (format) => downloadTable(
+    format,
+    exportName('monthly'),
+    'Monthly Metrics',
+    buildPeriodTable('Total', totalColumn, yearMonthlyData, totalStores)
+  ).catch(err => console.error('Export failed:', err));
+
+  // Exactly what the grid shows: current search, sort order, row limit, month range and columns
+  const exportStores = (format) => downloadTable(
+    format,
+    exportName('stores'),
+    'Store Performance',
+    buildStoreTable(visibleStores, rangeMonths, rangeMonthlyData.map(m => m.label), visibleMetrics, rangeLabel),
+    2
+  ).catch(err => console.error('Export failed:', err));
+
+  const exportCohorts = (format, metric) => downloadTable(
+    format,
+    exportName('cohorts'),
+    'Activation Cohorts',
+    buildCohortTable(cohorts, storeActivity, metric, monthLabel)
+  ).catch(err => console.error('Export failed:', err));
+
+  const exportPdf = async () => {
+    // Render the whole store grid (not just the virtualized window) before the snapshot
+    flushSync(() => setIsExportingPdf(true));
+    try {
+      await downloadPdfSnapshot(snapshotRef.current, exportName('dashboard'));
+    } catch (err) {
+      console.error('PDF snapshot failed:', err);
+    } finally {
+      setIsExportingPdf(false);
+    }
+  };
 
   // ============================================================================
   // RENDER
   // ============================================================================
 
+  const header = (
+    <header className="mb-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="flex items-center gap-2 mb-1">
+            <div className={`p-1.5 bg-gradient-to-br ${view === 'summary' ? 'from-cyan-400 to-blue-500' : merchant.branding.gradient} rounded-lg`}>
+              <Zap className="w-4 h-4 text-white" />
+            </div>
+            <h1 className="text-lg font-bold tracking-tight bg-gradient-to-r from-white to-slate-400 bg-clip-text text-transparent">
+              {view === 'summary' ? 'All Merchants' : merchant.name} × Samsung Finance+
+            </h1>
+            {view === 'dashboard' && dataSource.subscribe && <RealtimeBadge status={realtimeStatus} />}
+          </div>
+          <p className="text-[10px] text-slate-500">
+            {view === 'summary' ? 'Merchant Comparison' : `Store Performance Dashboard • ${merchant.fullName}`}
+          </p>
+        </div>
+        
+        {/* Merchant Switcher & Refresh Controls */}
+        <div className="flex items-center gap-3">
+          <div className="flex items-center bg-white/5 border border-white/10 rounded-lg p-0.5">
+            {userMerchants.map(m => (
+              <button
+                key={m.id}
+                onClick={() => selectMerchant(m.id)}
+                className={`px-2 py-1 rounded-md text-[11px] transition-colors ${view === 'dashboard' && m.id === merchant.id ? 'bg-white/10 text-white' : 'text-slate-400 hover:text-white'}`}
+              >
+                {m.name}
+              </button>
+            ))}
+            <button
+              onClick={showSummary}
+              title="Compare all merchants"
+              className={`px-2 py-1 rounded-md transition-colors ${view === 'summary' ? 'bg-white/10 text-white' : 'text-slate-400 hover:text-white'}`}
+            >
+              <LayoutGrid className="w-3 h-3" />
+            </button>
+          </div>
+          <SavedViews onApply={syncFromUrl} />
+          {view === 'dashboard' && (
+            <>
+              {years.length > 0 && (
+                <select
+                  value={activeYear}
+                  onChange={(e) => selectYear(parseInt(e.target.value, 10))}
+                  className="px-2 py-1.5 bg-white/5 border border-white/10 rounded-lg text-[11px] text-slate-300 focus:outline-none focus:border-cyan-500/50"
+                >
+                  {years.map(y => (
+                    <option key={y} value={y} className="bg-slate-900">{y}</option>
+                  ))}
+                </select>
+              )}
+              {lastUpdated && (
+                <div className="flex items-center gap-1 text-[10px] text-slate-500">
+                  <Clock className="w-3 h-3" />
+                  Updated {formatTime(lastUpdated)}
+                </div>
+              )}
+              <button
+                onClick={() => setShowDataQuality(true)}
+                title={issueCount ? `${issueCount} rows flagged by the data-quality checks` : 'Data-quality checks: nothing flagged'}
+                className="flex items-center gap-1.5 px-3 py-1.5 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-[11px] text-slate-300 transition-colors"
+              >
+                <ShieldCheck className={`w-3 h-3 ${issueCount ? 'text-amber-400' : 'text-emerald-400'}`} />
+                Data
+                {issueCount > 0 && <span className="px-1 bg-amber-500/20 text-amber-300 rounded text-[9px]">{issueCount}</span>}
+              </button>
+              <button
+                onClick={() => setShowThresholds(true)}
+                title="Edit the green / amber bands of the rate badges"
+                className="flex items-center gap-1.5 px-3 py-1.5 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-[11px] text-slate-300 transition-colors"
+              >
+                <SlidersHorizontal className="w-3 h-3" />
+                Bands
+              </button>
+              <button
+                onClick={() => setCompareCodes(visibleStores.slice(0, 2).map(s => s.code))}
+                title="Compare 2–5 stores, or two periods, side by side"
+                className="flex items-center gap-1.5 px-3 py-1.5 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-[11px] text-slate-300 transition-colors"
+              >
+                <GitCompare className="w-3 h-3" />
+                Compare
+              </button>
+              <button
+                onClick={() => openDisplay('tv')}
+                title="Full-screen top-stores leaderboard for the office TV"
+                className="flex items-center gap-1.5 px-3 py-1.5 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-[11px] text-slate-300 transition-colors"
+              >
+                <Tv className="w-3 h-3" />
+                TV
+              </button>
+              <button
+                onClick={() => openDisplay('present')}
+                title="Light, paginated layout for review meetings and printing"
+                className="flex items-center gap-1.5 px-3 py-1.5 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-[11px] text-slate-300 transition-colors"
+              >
+                <Presentation className="w-3 h-3" />
+                Present
+              </button>
+              <button
+                onClick={exportPdf}
+                disabled={isExportingPdf}
+                title="Download a PDF snapshot of the dashboard"
+                className="flex items-center gap-1.5 px-3 py-1.5 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-[11px] text-slate-300 transition-colors disabled:opacity-50"
+              >
+                <FileDown className={`w-3 h-3 ${isExportingPdf ? 'animate-pulse' : ''}`} />
+                {isExportingPdf ? 'Exporting...' : 'PDF'}
+              </button>
+              <button
+                onClick={() => fetchData()}
+                disabled={isRefreshing}
+                className="flex items-center gap-1.5 px-3 py-1.5 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-[11px] text-slate-300 transition-colors disabled:opacity-50"
+              >
+                <RefreshCw className={`w-3 h-3 ${isRefreshing ? 'animate-spin' : ''}`} />
+                {isRefreshing ? 'Refreshing...' : 'Refresh'}
+              </button>
+            </>
+          )}
+          <div className="flex items-center gap-1 text-[10px] text-slate-400" title={signOut ? `Signed in as ${session.user.email}` : `${dataSource.label}: no sign-in, every store visible`}>
+            <UserCircle className="w-3 h-3" />
+            <span className="max-w-[140px] truncate">{session.user.email}</span>
+            {view === 'dashboard' && <span className="text-slate-500">• {accessLabel(access, merchant.id)}</span>}
+            {signOut && (
+              <button onClick={signOut} title="Sign out" className="p-1 rounded hover:bg-white/10 hover:text-white transition-colors">
+                <LogOut className="w-3 h-3" />
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </header>
+  );
+
+  if (view === 'summary') {
+    return (
+      <PageShell>
+        {header}
+        <MerchantSummary merchants={userMerchants} onSelect={selectMerchant} />
+      </PageShell>
+    );
+  }
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 flex items-center justify-center">
         <div className="text-center">
           <RefreshCw className="w-8 h-8 text-cyan-400 animate-spin mx-auto mb-4" />
-          <p className="text-slate-400">Loading dashboard...</p>
+          <p className="text-slate-400">Loading {merchant.name} dashboard...</p>
         </div>
       </div>
     );
@@ -389,487 +1319,797 @@ export default function FRTDashboard() {
           <WifiOff className="w-8 h-8 text-rose-400 mx-auto mb-4" />
           <h2 className="text-rose-400 font-semibold mb-2">Connection Error</h2>
           <p className="text-slate-400 text-sm mb-4">{error}</p>
-          <button 
-            onClick={() => fetchData()}
-            className="px-4 py-2 bg-cyan-500 hover:bg-cyan-600 text-white rounded-lg text-sm transition-colors"
-          >
-            Try Again
-          </button>
+          <div className="flex items-center justify-center gap-2">
+            <button 
+              onClick={() => fetchData()}
+              className="px-4 py-2 bg-cyan-500 hover:bg-cyan-600 text-white rounded-lg text-sm transition-colors"
+            >
+              Try Again
+            </button>
+            <button 
+              onClick={showSummary}
+              className="px-4 py-2 bg-white/5 hover:bg-white/10 border border-white/10 text-slate-300 rounded-lg text-sm transition-colors"
+            >
+              All Merchants
+            </button>
+          </div>
         </div>
       </div>
     );
   }
 
+  const accessScope = hasFullAccess(access, merchant.id) ? null : accessLabel(access, merchant.id);
+  const scopeLabel = [accessScope, ...MASTER_FIELDS.map(f => scope[f.key])].filter(Boolean).join(' • ') || null;
+
+  if (displayMode === 'present') {
+    return (
+      <PresentationView
+        merchant={merchant}
+        year={activeYear}
+        scopeLabel={scopeLabel}
+        lastUpdated={lastUpdated}
+        totalStores={totalStores}
+        totals={totals}
+        prevTotals={prevTotals}
+        quarterlyData={quarterlyData}
+        months={yearMonthlyData}
+        monthlyIndex={monthlyIndex}
+        stores={presentationStores}
+        master={master}
+        thresholds={thresholds}
+        onExit={closeDisplay}
+      />
+    );
+  }
+
+  if (displayMode === 'tv') {
+    return (
+      <LeaderboardTV
+        merchant={merchant}
+        scopeLabel={scopeLabel}
+        storeData={scopedStoreData}
+        months={allMonths}
+        monthlyIndex={monthlyIndex}
+        partialMonth={forecast?.partialMonth}
+        master={master}
+        lastUpdated={lastUpdated}
+        onExit={closeDisplay}
+      />
+    );
+  }
+
+  const retryIn = refreshError && (refreshError.delay < 60 * 1000 ? `${refreshError.delay / 1000}s` : `${Math.round(refreshError.delay / 60000)} min`);
+
   return (
-    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 text-white text-xs">
-      {/* Background Effects */}
-      <div className="fixed inset-0 overflow-hidden pointer-events-none">
-        <div className="absolute top-0 right-0 w-[600px] h-[600px] bg-cyan-500/5 rounded-full blur-3xl" />
-        <div className="absolute bottom-0 left-0 w-[400px] h-[400px] bg-blue-600/5 rounded-full blur-3xl" />
-      </div>
+    <PageShell contentRef={snapshotRef}>
+      {header}
 
-      <div className="relative max-w-[1900px] mx-auto p-4">
-        {/* Header */}
-        <header className="mb-4">
-          <div className="flex items-center justify-between">
-            <div>
-              <div className="flex items-center gap-2 mb-1">
-                <div className="p-1.5 bg-gradient-to-br from-cyan-400 to-blue-500 rounded-lg">
-                  <Zap className="w-4 h-4 text-white" />
-                </div>
-                <h1 className="text-lg font-bold tracking-tight bg-gradient-to-r from-white to-slate-400 bg-clip-text text-transparent">
-                  {CONFIG.MERCHANT_NAME} × Samsung Finance+
-                </h1>
-                <span className="px-2 py-0.5 bg-emerald-500/20 text-emerald-400 rounded-full text-[10px] flex items-center gap-1">
-                  <Wifi className="w-2.5 h-2.5" /> Live
-                </span>
-              </div>
-              <p className="text-[10px] text-slate-500">Store Performance Dashboard • {CONFIG.MERCHANT_FULL_NAME}</p>
-            </div>
-            
-            {/* Refresh Controls */}
-            <div className="flex items-center gap-3">
-              {lastUpdated && (
-                <div className="flex items-center gap-1 text-[10px] text-slate-500">
-                  <Clock className="w-3 h-3" />
-                  Updated {formatTime(lastUpdated)}
-                </div>
-              )}
-              <button
-                onClick={() => fetchData()}
-                disabled={isRefreshing}
-                className="flex items-center gap-1.5 px-3 py-1.5 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-[11px] text-slate-300 transition-colors disabled:opacity-50"
-              >
-                <RefreshCw className={`w-3 h-3 ${isRefreshing ? 'animate-spin' : ''}`} />
-                {isRefreshing ? 'Refreshing...' : 'Refresh'}
-              </button>
-            </div>
+      {/* Data older than what the server has: a saved copy, or the last load before refreshes started failing */}
+      {(isCached || refreshError) && lastUpdated && (
+        <div className="flex items-center gap-2 mb-3 px-3 py-1.5 bg-amber-500/10 border border-amber-500/20 rounded-lg text-[11px] text-amber-300">
+          <Clock className="w-3 h-3" />
+          <span>
+            Data as of <span className="font-semibold">{formatDateTime(lastUpdated)}</span>
+            {isCached && <span className="text-amber-300/70"> • saved copy from your last visit</span>}
+          </span>
+          <span className="ml-auto text-amber-300/70">
+            {isRefreshing ? 'Refreshing...' : refreshError ? `Couldn't refresh • retrying in ${retryIn}` : null}
+          </span>
+        </div>
+      )}
+
+      {refreshError && !refreshError.dismissed && (
+        <div role="status" className="fixed bottom-4 right-4 z-40 max-w-sm flex items-start gap-2 p-3 bg-slate-900 border border-rose-500/30 rounded-xl shadow-lg text-[11px]">
+          <AlertTriangle className="w-4 h-4 text-rose-400 flex-shrink-0" />
+          <div className="min-w-0">
+            <p className="text-rose-300 font-medium">Refresh failed</p>
+            <p className="text-slate-400 break-words">{refreshError.message}</p>
+            <p className="mt-1 text-slate-500">
+              Still showing the data as of {formatTime(lastUpdated)}. Retrying in {retryIn} •{' '}
+              <button onClick={() => fetchData()} disabled={isRefreshing} className="text-cyan-400 hover:text-cyan-300 disabled:opacity-50">Retry now</button>
+            </p>
           </div>
-        </header>
-
-        {/* ================================================================== */}
-        {/* QUARTERLY OVERVIEW */}
-        {/* ================================================================== */}
-        <section className="mb-4">
-          <h2 className="text-[10px] font-medium text-slate-400 uppercase tracking-wider mb-2">📅 Quarterly Overview</h2>
-          <div className="bg-slate-900/50 rounded-xl border border-white/10 overflow-hidden">
-            <div className="overflow-x-auto">
-              <table className="w-full">
-                <thead>
-                  <tr className="bg-slate-800/50">
-                    <th className="text-left p-2 sticky left-0 bg-slate-800/90 backdrop-blur z-10 min-w-[140px] text-slate-400 font-medium">Metric</th>
-                    <th className="p-2 text-center min-w-[90px] text-slate-500 font-medium bg-cyan-500/10">YTD Total</th>
-                    {quarterlyData.map((q) => (
-                      <th key={q.quarter} className="p-2 text-center min-w-[90px] text-slate-400 font-medium border-l border-white/5">
-                        {q.quarter} 2025
-                      </th>
-                    ))}
-                  </tr>
-                </thead>
-                <tbody>
-                  {/* Store Metrics Section */}
-                  <tr className="border-t border-white/5 bg-slate-800/30">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-400 font-medium" colSpan={2 + quarterlyData.length}>
-                      <span className="text-[9px] uppercase tracking-wider">Store Metrics</span>
+          <button onClick={() => setRefreshError(e => ({ ...e, dismissed: true }))} title="Dismiss" className="p-0.5 rounded text-slate-500 hover:text-white hover:bg-white/10">
+            <X className="w-3 h-3" />
+          </button>
+        </div>
+      )}
+
+      {/* ================================================================== */}
+      {/* STORE MASTER SCOPE */}
+      {/* ================================================================== */}
+      <div className="flex flex-wrap items-center gap-2 mb-3 text-[11px]">
+        <span className="flex items-center gap-1 text-slate-500" title="Filters every table to the matching stores">
+          <MapPin className="w-3 h-3" /> Scope
+        </span>
+        {MASTER_FIELDS.map(field => {
+          const values = masterOptions[field.key];
+          return (
+            <select
+              key={field.key}
+              value={scope[field.key] || ''}
+              onChange={(e) => setScopeField(field.key, e.target.value || null)}
+              disabled={!values.length && !scope[field.key]}
+              className={`px-2 py-1 bg-white/5 border rounded-lg focus:outline-none disabled:opacity-40 ${scope[field.key] ? 'border-cyan-500/50 text-cyan-300' : 'border-white/10 text-slate-300'}`}
+            >
+              <option value="" className="bg-slate-900">All {field.label.toLowerCase()}s</option>
+              {scope[field.key] && !values.includes(scope[field.key]) && (
+                <option value={scope[field.key]} className="bg-slate-900">{scope[field.key]}</option>
+              )}
+              {values.map(value => <option key={value} value={value} className="bg-slate-900">{value}</option>)}
+            </select>
+          );
+        })}
+        {scoped && (
+          <button onClick={() => setScope(NO_SCOPE)} className="flex items-center gap-1 text-slate-400 hover:text-white">
+            <X className="w-3 h-3" /> {totalStores} stores • clear
+          </button>
+        )}
+        <div className="flex items-center gap-2 ml-auto">
+          {masterError && <span className="text-[9px] text-rose-400">{masterError}</span>}
+          {uploadedMaster ? (
+            <span className="flex items-center gap-1 px-1.5 py-0.5 bg-white/5 border border-white/10 rounded text-[9px] text-slate-400">
+              <FolderTree className="w-2.5 h-2.5" /> {uploadedMaster.name}
+              <button onClick={clearUploadedMaster} title={`Back to the store master from ${dataSource.label}`} className="hover:text-white"><X className="w-2.5 h-2.5" /></button>
+            </span>
+          ) : (
+            <label
+              title="dealer_code,region,area,manager,province"
+              className="flex items-center gap-1 px-1.5 py-0.5 bg-white/5 hover:bg-white/10 border border-white/10 rounded text-[9px] text-slate-400 hover:text-white cursor-pointer transition-colors"
+            >
+              <FolderTree className="w-2.5 h-2.5" /> {masterRows.length ? `${masterRows.length} stores mapped • load CSV` : 'Load store master CSV'}
+              <input
+                type="file"
+                accept=".csv,text/csv"
+                className="hidden"
+                onChange={(e) => {
+                  if (e.target.files[0]) uploadStoreMaster(e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+            </label>
+          )}
+        </div>
+      </div>
+
+      {/* ================================================================== */}
+      {/* QUARTERLY OVERVIEW */}
+      {/* ================================================================== */}
+      <section className="mb-4">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="text-[10px] font-medium text-slate-400 uppercase tracking-wider">📅 Quarterly Overview</h2>
+          <ExportButtons onExport={exportQuarterly} />
+        </div>
+        <div className="bg-slate-900/50 rounded-xl border border-white/10 overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="bg-slate-800/50">
+                  <th className="text-left p-2 sticky left-0 bg-slate-800/90 backdrop-blur z-10 min-w-[140px] text-slate-400 font-medium">Metric</th>
+                  <th className="p-2 text-center min-w-[90px] text-slate-500 font-medium bg-cyan-500/10">{activeYear} YTD</th>
+                  {quarterlyData.map((q) => (
+                    <th key={q.quarter} className="p-2 text-center min-w-[90px] text-slate-400 font-medium border-l border-white/5">
+                      {q.quarter} {q.year}
+                    </th>
+                  ))}
+                  {forecastQuarters.map(f => (
+                    <th key={f.quarter} className="p-2 text-center min-w-[90px] text-violet-300 font-medium italic border-l border-dashed border-violet-400/30 bg-violet-500/5">
+                      {f.quarter} {activeYear}
+                      <span className="block text-[9px] font-normal text-violet-400/70">forecast</span>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {/* Store Metrics Section */}
+                <tr className="border-t border-white/5 bg-slate-800/30">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-400 font-medium" colSpan={2 + quarterlyData.length + forecastQuarters.length}>
+                    <span className="text-[9px] uppercase tracking-wider">Store Metrics</span>
+                  </td>
+                </tr>
+                <tr className="border-t border-white/5 hover:bg-white/5">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300"># Stores</td>
+                  <td className="p-2 text-center font-semibold text-white bg-cyan-500/5">{totalStores}</td>
+                  {quarterlyData.map((q, idx) => (
+                    <td key={q.quarter} className="p-2 text-center text-slate-300 border-l border-white/5">
+                      {totalStores}
                     </td>
-                  </tr>
-                  <tr className="border-t border-white/5 hover:bg-white/5">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300"># Stores</td>
-                    <td className="p-2 text-center font-semibold text-white bg-cyan-500/5">{CONFIG.TOTAL_STORES}</td>
-                    {quarterlyData.map((q, idx) => (
-                      <td key={q.quarter} className="p-2 text-center text-slate-300 border-l border-white/5">
-                        {CONFIG.TOTAL_STORES}
-                      </td>
-                    ))}
-                  </tr>
-                  <tr className="border-t border-white/5 hover:bg-white/5">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300"># Stores w/ SF+</td>
-                    <td className="p-2 text-center font-semibold text-white bg-cyan-500/5">{latestMonth?.storesWithSF || '-'} <span className="text-slate-500 text-[9px]">({((latestMonth?.storesWithSF / CONFIG.TOTAL_STORES) * 100).toFixed(0)}%)</span></td>
-                    {quarterlyData.map((q) => (
-                      <td key={q.quarter} className="p-2 text-center text-slate-300 border-l border-white/5">
-                        {q.storesWithSF} <span className="text-slate-500 text-[9px]">({((q.storesWithSF / CONFIG.TOTAL_STORES) * 100).toFixed(0)}%)</span>
-                      </td>
-                    ))}
-                  </tr>
-                  <tr className="border-t border-white/5 hover:bg-white/5">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300"># Stores w/ Incoming</td>
-                    <td className="p-2 text-center text-slate-300 bg-cyan-500/5">-</td>
-                    {quarterlyData.map((q) => (
-                      <td key={q.quarter} className="p-2 text-center text-slate-300 border-l border-white/5">
-                        {q.storesWithIncoming} <span className="text-slate-500 text-[9px]">({((q.storesWithIncoming / CONFIG.TOTAL_STORES) * 100).toFixed(0)}%)</span>
-                      </td>
-                    ))}
-                  </tr>
-                  <tr className="border-t border-white/5 hover:bg-white/5">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300"># Stores w/ Trx</td>
-                    <td className="p-2 text-center text-slate-300 bg-cyan-500/5">-</td>
-                    {quarterlyData.map((q, idx) => (
-                      <td key={q.quarter} className="p-2 text-center text-slate-300 border-l border-white/5">
-                        {q.storesWithTrx}
-                        <TrendIcon current={q.storesWithTrx} previous={quarterlyData[idx-1]?.storesWithTrx} className="inline ml-1" />
-                      </td>
-                    ))}
-                  </tr>
-                  <tr className="border-t border-white/5 hover:bg-white/5">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">% Stores w/ Trx</td>
-                    <td className="p-2 text-center bg-cyan-500/5">-</td>
-                    {quarterlyData.map(q => (
-                      <td key={q.quarter} className="p-2 text-center border-l border-white/5">
-                        <RateBadge value={(q.storesWithTrx / CONFIG.TOTAL_STORES) * 100} thresholds={CONFIG.THRESHOLDS.storePenetration} />
-                      </td>
-                    ))}
-                  </tr>
+                  ))}
+                  {forecastCells()}
+                </tr>
+                <tr className="border-t border-white/5 hover:bg-white/5">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300"># Stores w/ SF+</td>
+                  <td className="p-2 text-center font-semibold text-white bg-cyan-500/5">{latestMonth?.storesWithSF || '-'} <span className="text-slate-500 text-[9px]">({storeShare(latestMonth?.storesWithSF)})</span></td>
+                  {quarterlyData.map((q) => (
+                    <td key={q.quarter} className="p-2 text-center text-slate-300 border-l border-white/5">
+                      {q.storesWithSF} <span className="text-slate-500 text-[9px]">({storeShare(q.storesWithSF)})</span>
+                    </td>
+                  ))}
+                  {forecastCells()}
+                </tr>
+                <tr className="border-t border-white/5 hover:bg-white/5">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300"># Stores w/ Incoming</td>
+                  <td className="p-2 text-center text-slate-300 bg-cyan-500/5">-</td>
+                  {quarterlyData.map((q) => (
+                    <td key={q.quarter} className="p-2 text-center text-slate-300 border-l border-white/5">
+                      {q.storesWithIncoming} <span className="text-slate-500 text-[9px]">({storeShare(q.storesWithIncoming)})</span>
+                    </td>
+                  ))}
+                  {forecastCells()}
+                </tr>
+                <tr className="border-t border-white/5 hover:bg-white/5">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300"># Stores w/ Trx</td>
+                  <td className="p-2 text-center text-slate-300 bg-cyan-500/5">-</td>
+                  {quarterlyData.map((q, idx) => (
+                    <td key={q.quarter} className="p-2 text-center text-slate-300 border-l border-white/5">
+                      {q.storesWithTrx}
+                      <TrendIcon current={q.storesWithTrx} previous={quarterlyData[idx-1]?.storesWithTrx} className="inline ml-1" />
+                      <YoYDelta current={q.storesWithTrx} previous={q.prev?.storesWithTrx} />
+                    </td>
+                  ))}
+                  {forecastCells()}
+                </tr>
+                <tr className="border-t border-white/5 hover:bg-white/5">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">% Stores w/ Trx</td>
+                  <td className="p-2 text-center bg-cyan-500/5">-</td>
+                  {quarterlyData.map(q => (
+                    <td key={q.quarter} className="p-2 text-center border-l border-white/5">
+                      <RateBadge value={penetration(q.storesWithTrx)} thresholds={thresholds.storePenetration} />
+                      <YoYDelta current={penetration(q.storesWithTrx)} previous={q.prev && penetration(q.prev.storesWithTrx)} points />
+                      <TargetBadge actual={penetration(q.storesWithTrx)} target={networkTarget(q.months, 'pctStoresWithTrx')} />
+                    </td>
+                  ))}
+                  {forecastCells()}
+                </tr>
 
-                  {/* Transaction Metrics Section */}
-                  <tr className="border-t border-white/5 bg-slate-800/30">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-400 font-medium" colSpan={2 + quarterlyData.length}>
-                      <span className="text-[9px] uppercase tracking-wider">Transaction Metrics</span>
+                {/* Transaction Metrics Section */}
+                <tr className="border-t border-white/5 bg-slate-800/30">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-400 font-medium" colSpan={2 + quarterlyData.length + forecastQuarters.length}>
+                    <span className="text-[9px] uppercase tracking-wider">Transaction Metrics</span>
+                  </td>
+                </tr>
+                <tr className="border-t border-white/5 hover:bg-white/5">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">Incoming</td>
+                  <td className="p-2 text-center font-semibold text-white bg-cyan-500/5">
+                    {totals.incoming.toLocaleString()}
+                    <YoYDelta current={totals.incoming} previous={prevTotals?.incoming} />
+                    <Projection forecast={yearForecast?.incoming} label="FY" />
+                  </td>
+                  {quarterlyData.map((q, idx) => (
+                    <td key={q.quarter} className="p-2 text-center text-slate-300 border-l border-white/5">
+                      {q.incoming.toLocaleString()}
+                      <TrendIcon current={q.forecast?.incoming.value ?? q.incoming} previous={quarterlyData[idx-1]?.incoming} className="inline ml-1" />
+                      <YoYDelta current={q.incoming} previous={q.prev?.incoming} />
+                      <Projection forecast={q.forecast?.incoming} />
                     </td>
-                  </tr>
-                  <tr className="border-t border-white/5 hover:bg-white/5">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">Incoming</td>
-                    <td className="p-2 text-center font-semibold text-white bg-cyan-500/5">{totals.incoming.toLocaleString()}</td>
-                    {quarterlyData.map((q, idx) => (
-                      <td key={q.quarter} className="p-2 text-center text-slate-300 border-l border-white/5">
-                        {q.incoming.toLocaleString()}
-                        <TrendIcon current={q.incoming} previous={quarterlyData[idx-1]?.incoming} className="inline ml-1" />
-                      </td>
-                    ))}
-                  </tr>
-                  <tr className="border-t border-white/5 hover:bg-white/5 bg-cyan-500/5">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-cyan-300 font-medium">Trx</td>
-                    <td className="p-2 text-center font-bold text-white bg-cyan-500/10">{totals.trx.toLocaleString()}</td>
-                    {quarterlyData.map((q, idx) => (
-                      <td key={q.quarter} className="p-2 text-center font-semibold text-white border-l border-white/5">
-                        {q.trx.toLocaleString()}
-                        <TrendIcon current={q.trx} previous={quarterlyData[idx-1]?.trx} className="inline ml-1" />
-                      </td>
-                    ))}
-                  </tr>
-                  <tr className="border-t border-white/5 hover:bg-white/5">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">GMV</td>
-                    <td className="p-2 text-center font-semibold text-cyan-300 bg-cyan-500/5">{formatCurrency(totals.gmv)}</td>
-                    {quarterlyData.map((q, idx) => (
-                      <td key={q.quarter} className="p-2 text-center text-cyan-300 border-l border-white/5">
-                        {formatCurrency(q.gmv)}
-                        <TrendIcon current={q.gmv} previous={quarterlyData[idx-1]?.gmv} className="inline ml-1" />
-                      </td>
-                    ))}
-                  </tr>
-                  <tr className="border-t border-white/5 hover:bg-white/5">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">AOV</td>
-                    <td className="p-2 text-center font-semibold text-slate-300 bg-cyan-500/5">{formatCurrency(totals.gmv / totals.trx)}</td>
-                    {quarterlyData.map((q, idx) => (
-                      <td key={q.quarter} className="p-2 text-center text-slate-300 border-l border-white/5">
-                        {formatCurrency(q.gmv / q.trx)}
-                        <TrendIcon current={q.gmv / q.trx} previous={quarterlyData[idx-1] ? quarterlyData[idx-1].gmv / quarterlyData[idx-1].trx : null} className="inline ml-1" />
-                      </td>
-                    ))}
-                  </tr>
-                  <tr className="border-t border-white/5 hover:bg-white/5">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">Appr %</td>
-                    <td className="p-2 text-center bg-cyan-500/5"><RateBadge value={(totals.approved / totals.incoming) * 100} thresholds={CONFIG.THRESHOLDS.approval} /></td>
-                    {quarterlyData.map(q => (
-                      <td key={q.quarter} className="p-2 text-center border-l border-white/5">
-                        <RateBadge value={(q.approved / q.incoming) * 100} thresholds={CONFIG.THRESHOLDS.approval} />
-                      </td>
-                    ))}
-                  </tr>
-                  <tr className="border-t border-white/5 hover:bg-white/5">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">Conv %</td>
-                    <td className="p-2 text-center bg-cyan-500/5"><RateBadge value={(totals.trx / totals.incoming) * 100} thresholds={CONFIG.THRESHOLDS.conversion} /></td>
-                    {quarterlyData.map(q => (
-                      <td key={q.quarter} className="p-2 text-center border-l border-white/5">
-                        <RateBadge value={(q.trx / q.incoming) * 100} thresholds={CONFIG.THRESHOLDS.conversion} />
-                      </td>
-                    ))}
-                  </tr>
-                </tbody>
-              </table>
-            </div>
+                  ))}
+                  {forecastCells(f => <ForecastValue forecast={f.forecast.incoming} />)}
+                </tr>
+                <tr className="border-t border-white/5 hover:bg-white/5 bg-cyan-500/5">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-cyan-300 font-medium">Trx</td>
+                  <td className="p-2 text-center font-bold text-white bg-cyan-500/10">
+                    {totals.trx.toLocaleString()}
+                    <YoYDelta current={totals.trx} previous={prevTotals?.trx} />
+                    <TargetBadge actual={totals.trx} target={networkTarget(months, 'trx')} />
+                    <Projection forecast={yearForecast?.trx} label="FY" />
+                  </td>
+                  {quarterlyData.map((q, idx) => (
+                    <td key={q.quarter} className="p-2 text-center font-semibold text-white border-l border-white/5">
+                      {q.trx.toLocaleString()}
+                      <TrendIcon current={q.forecast?.trx.value ?? q.trx} previous={quarterlyData[idx-1]?.trx} className="inline ml-1" />
+                      <YoYDelta current={q.trx} previous={q.prev?.trx} />
+                      <TargetBadge actual={q.trx} target={networkTarget(q.months, 'trx')} />
+                      <Projection forecast={q.forecast?.trx} />
+                    </td>
+                  ))}
+                  {forecastCells(f => <ForecastValue forecast={f.forecast.trx} />)}
+                </tr>
+                <tr className="border-t border-white/5 hover:bg-white/5">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">GMV</td>
+                  <td className="p-2 text-center font-semibold text-cyan-300 bg-cyan-500/5">
+                    {formatCurrency(totals.gmv)}
+                    <YoYDelta current={totals.gmv} previous={prevTotals?.gmv} />
+                    <TargetBadge actual={totals.gmv} target={networkTarget(months, 'gmv')} />
+                    <Projection forecast={yearForecast?.gmv} format={formatCurrency} label="FY" />
+                  </td>
+                  {quarterlyData.map((q, idx) => (
+                    <td key={q.quarter} className="p-2 text-center text-cyan-300 border-l border-white/5">
+                      {formatCurrency(q.gmv)}
+                      <TrendIcon current={q.forecast?.gmv.value ?? q.gmv} previous={quarterlyData[idx-1]?.gmv} className="inline ml-1" />
+                      <YoYDelta current={q.gmv} previous={q.prev?.gmv} />
+                      <TargetBadge actual={q.gmv} target={networkTarget(q.months, 'gmv')} />
+                      <Projection forecast={q.forecast?.gmv} format={formatCurrency} />
+                    </td>
+                  ))}
+                  {forecastCells(f => <ForecastValue forecast={f.forecast.gmv} format={formatCurrency} />)}
+                </tr>
+                <tr className="border-t border-white/5 hover:bg-white/5">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">AOV</td>
+                  <td className="p-2 text-center font-semibold text-slate-300 bg-cyan-500/5">{formatCurrency(aov(totals))}</td>
+                  {quarterlyData.map((q, idx) => (
+                    <td key={q.quarter} className="p-2 text-center text-slate-300 border-l border-white/5">
+                      {formatCurrency(aov(q))}
+                      <TrendIcon current={aov(q)} previous={aov(quarterlyData[idx-1])} className="inline ml-1" />
+                      <YoYDelta current={aov(q)} previous={aov(q.prev)} />
+                    </td>
+                  ))}
+                  {forecastCells(f => <span className="italic text-violet-300">≈ {formatCurrency(aov({ gmv: f.forecast.gmv.value, trx: f.forecast.trx.value }))}</span>)}
+                </tr>
+                <tr className="border-t border-white/5 hover:bg-white/5">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">Appr %</td>
+                  <td className="p-2 text-center bg-cyan-500/5"><RateBadge value={approvalRate(totals)} thresholds={thresholds.approval} /></td>
+                  {quarterlyData.map(q => (
+                    <td key={q.quarter} className="p-2 text-center border-l border-white/5">
+                      <RateBadge value={approvalRate(q)} thresholds={thresholds.approval} />
+                      <YoYDelta current={approvalRate(q)} previous={approvalRate(q.prev)} points />
+                    </td>
+                  ))}
+                  {forecastCells()}
+                </tr>
+                <tr className="border-t border-white/5 hover:bg-white/5">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">Conv %</td>
+                  <td className="p-2 text-center bg-cyan-500/5"><RateBadge value={conversionRate(totals)} thresholds={thresholds.conversion} /></td>
+                  {quarterlyData.map(q => (
+                    <td key={q.quarter} className="p-2 text-center border-l border-white/5">
+                      <RateBadge value={conversionRate(q)} thresholds={thresholds.conversion} />
+                      <YoYDelta current={conversionRate(q)} previous={conversionRate(q.prev)} points />
+                    </td>
+                  ))}
+                  {forecastCells()}
+                </tr>
+              </tbody>
+            </table>
           </div>
-        </section>
-
-        {/* ================================================================== */}
-        {/* MONTHLY METRICS */}
-        {/* ================================================================== */}
-        <section className="mb-4">
-          <h2 className="text-[10px] font-medium text-slate-400 uppercase tracking-wider mb-2">📊 Monthly Metrics</h2>
-          <div className="bg-slate-900/50 rounded-xl border border-white/10 overflow-hidden">
-            <div className="overflow-x-auto">
-              <table className="w-full">
-                <thead>
-                  <tr className="bg-slate-800/50">
-                    <th className="text-left p-2 sticky left-0 bg-slate-800/90 backdrop-blur z-10 min-w-[140px] text-slate-400 font-medium">Metric</th>
-                    <th className="p-2 text-center min-w-[70px] text-slate-500 font-medium bg-cyan-500/10">Total</th>
-                    {monthlyData.map(m => (
-                      <th key={m.month} className="p-2 text-center min-w-[60px] text-slate-500 font-medium">{m.label}</th>
-                    ))}
-                  </tr>
-                </thead>
-                <tbody>
-                  {/* Store Metrics */}
-                  <tr className="border-t border-white/5 bg-slate-800/30">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-400 font-medium" colSpan={2 + monthlyData.length}>
-                      <span className="text-[9px] uppercase tracking-wider">Store Metrics</span>
+        </div>
+      </section>
+
+      {/* ================================================================== */}
+      {/* MONTHLY METRICS */}
+      {/* ================================================================== */}
+      <section className="mb-4">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="text-[10px] font-medium text-slate-400 uppercase tracking-wider">📊 Monthly Metrics</h2>
+          <div className="flex items-center gap-2">
+            {targetsError && <span className="text-[9px] text-rose-400">{targetsError}</span>}
+            {uploadedTargets ? (
+              <span className="flex items-center gap-1 px-1.5 py-0.5 bg-white/5 border border-white/10 rounded text-[9px] text-slate-400">
+                <Target className="w-2.5 h-2.5" /> {uploadedTargets.name}
+                <button onClick={clearUploadedTargets} title={`Back to targets from ${dataSource.label}`} className="hover:text-white"><X className="w-2.5 h-2.5" /></button>
+              </span>
+            ) : (
+              <label
+                title="month,dealer_code,trx,gmv,pct_stores_with_trx (empty dealer_code = network)"
+                className="flex items-center gap-1 px-1.5 py-0.5 bg-white/5 hover:bg-white/10 border border-white/10 rounded text-[9px] text-slate-400 hover:text-white cursor-pointer transition-colors"
+              >
+                <Target className="w-2.5 h-2.5" /> {targets.count ? `${targets.count} targets • load CSV` : 'Load targets CSV'}
+                <input
+                  type="file"
+                  accept=".csv,text/csv"
+                  className="hidden"
+                  onChange={(e) => {
+                    if (e.target.files[0]) uploadTargets(e.target.files[0]);
+                    e.target.value = '';
+                  }}
+                />
+              </label>
+            )}
+            <ExportButtons onExport={exportMonthly} />
+          </div>
+        </div>
+        <div className="bg-slate-900/50 rounded-xl border border-white/10 overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="bg-slate-800/50">
+                  <th className="text-left p-2 sticky left-0 bg-slate-800/90 backdrop-blur z-10 min-w-[140px] text-slate-400 font-medium">Metric</th>
+                  <th className="p-2 text-center min-w-[70px] text-slate-500 font-medium bg-cyan-500/10">Total</th>
+                  {yearMonthlyData.map(m => (
+                    <th key={m.month} className="p-2 text-center min-w-[60px] text-slate-500 font-medium">
+                      {m.label}
+                      {m.month === forecast?.partialMonth && (
+                        <span className="block text-[9px] font-normal italic text-violet-300" title="Month in progress">
+                          {Math.round(forecast.progress * 100)}% elapsed
+                        </span>
+                      )}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {/* Store Metrics */}
+                <tr className="border-t border-white/5 bg-slate-800/30">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-400 font-medium" colSpan={2 + yearMonthlyData.length}>
+                    <span className="text-[9px] uppercase tracking-wider">Store Metrics</span>
+                  </td>
+                </tr>
+                <tr className="border-t border-white/5 hover:bg-white/5">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300"># Stores</td>
+                  <td className="p-2 text-center font-semibold text-white bg-cyan-500/5">{totalStores}</td>
+                  {yearMonthlyData.map((m, idx) => (
+                    <td key={m.month} className="p-2 text-center text-slate-300">
+                      {totalStores}
                     </td>
-                  </tr>
-                  <tr className="border-t border-white/5 hover:bg-white/5">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300"># Stores</td>
-                    <td className="p-2 text-center font-semibold text-white bg-cyan-500/5">{CONFIG.TOTAL_STORES}</td>
-                    {monthlyData.map((m, idx) => (
-                      <td key={m.month} className="p-2 text-center text-slate-300">
-                        {CONFIG.TOTAL_STORES}
-                      </td>
-                    ))}
-                  </tr>
-                  <tr className="border-t border-white/5 hover:bg-white/5">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300"># Stores w/ SF+</td>
-                    <td className="p-2 text-center font-semibold text-white bg-cyan-500/5">{latestMonth?.storesWithSF || '-'}</td>
-                    {monthlyData.map(m => (
-                      <td key={m.month} className="p-2 text-center text-slate-300">{m.storesWithSF}</td>
-                    ))}
-                  </tr>
-                  <tr className="border-t border-white/5 hover:bg-white/5">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300"># Stores w/ Incoming</td>
-                    <td className="p-2 text-center text-slate-300 bg-cyan-500/5">-</td>
-                    {monthlyData.map((m, idx) => (
-                      <td key={m.month} className="p-2 text-center text-slate-300">
-                        {m.storesWithIncoming}
-                        <TrendIcon current={m.storesWithIncoming} previous={monthlyData[idx-1]?.storesWithIncoming} className="inline ml-0.5" />
+                  ))}
+                </tr>
+                <tr className="border-t border-white/5 hover:bg-white/5">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300"># Stores w/ SF+</td>
+                  <td className="p-2 text-center font-semibold text-white bg-cyan-500/5">{latestMonth?.storesWithSF || '-'}</td>
+                  {yearMonthlyData.map(m => (
+                    <td key={m.month} className="p-2 text-center text-slate-300">{m.storesWithSF}</td>
+                  ))}
+                </tr>
+                <tr className="border-t border-white/5 hover:bg-white/5">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300"># Stores w/ Incoming</td>
+                  <td className="p-2 text-center text-slate-300 bg-cyan-500/5">-</td>
+                  {yearMonthlyData.map((m, idx) => (
+                    <td key={m.month} className="p-2 text-center text-slate-300">
+                      {m.storesWithIncoming}
+                      <TrendIcon current={m.storesWithIncoming} previous={monthlyIndex[shiftMonth(m.month, -1)]?.storesWithIncoming} className="inline ml-0.5" />
+                      <YoYDelta current={m.storesWithIncoming} previous={monthlyIndex[shiftMonth(m.month, -12)]?.storesWithIncoming} />
+                    </td>
+                  ))}
+                </tr>
+                <tr className="border-t border-white/5 hover:bg-white/5">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300"># Stores w/ Trx</td>
+                  <td className="p-2 text-center text-slate-300 bg-cyan-500/5">-</td>
+                  {yearMonthlyData.map((m, idx) => (
+                    <td key={m.month} className="p-2 text-center text-slate-300">
+                      {m.storesWithTrx}
+                      <TrendIcon current={m.storesWithTrx} previous={monthlyIndex[shiftMonth(m.month, -1)]?.storesWithTrx} className="inline ml-0.5" />
+                      <YoYDelta current={m.storesWithTrx} previous={monthlyIndex[shiftMonth(m.month, -12)]?.storesWithTrx} />
+                    </td>
+                  ))}
+                </tr>
+                <tr className="border-t border-white/5 hover:bg-white/5">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">% Stores w/ Trx</td>
+                  <td className="p-2 text-center bg-cyan-500/5">-</td>
+                  {yearMonthlyData.map(m => {
+                    const prev = monthlyIndex[shiftMonth(m.month, -12)];
+                    return (
+                      <td key={m.month} className="p-2 text-center">
+                        <RateBadge value={penetration(m.storesWithTrx)} thresholds={thresholds.storePenetration} />
+                        <YoYDelta current={penetration(m.storesWithTrx)} previous={prev && penetration(prev.storesWithTrx)} points />
+                        <TargetBadge actual={penetration(m.storesWithTrx)} target={networkTarget([m.month], 'pctStoresWithTrx')} />
                       </td>
-                    ))}
-                  </tr>
-                  <tr className="border-t border-white/5 hover:bg-white/5">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300"># Stores w/ Trx</td>
+                    );
+                  })}
+                </tr>
+
+                {/* Store Tiers */}
+                <tr className="border-t border-white/5 bg-slate-800/30">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-400 font-medium" colSpan={2 + yearMonthlyData.length}>
+                    <span className="text-[9px] uppercase tracking-wider">Store Tiers</span>
+                  </td>
+                </tr>
+                {merchant.tiers.map(tier => (
+                  <tr key={tier.key} className="border-t border-white/5 hover:bg-white/5">
+                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">
+                      <TierBadge tier={tier} title={describeTier(tier)} />
+                    </td>
                     <td className="p-2 text-center text-slate-300 bg-cyan-500/5">-</td>
-                    {monthlyData.map((m, idx) => (
+                    {yearMonthlyData.map(m => (
                       <td key={m.month} className="p-2 text-center text-slate-300">
-                        {m.storesWithTrx}
-                        <TrendIcon current={m.storesWithTrx} previous={monthlyData[idx-1]?.storesWithTrx} className="inline ml-0.5" />
-                      </td>
-                    ))}
-                  </tr>
-                  <tr className="border-t border-white/5 hover:bg-white/5">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">% Stores w/ Trx</td>
-                    <td className="p-2 text-center bg-cyan-500/5">-</td>
-                    {monthlyData.map(m => (
-                      <td key={m.month} className="p-2 text-center">
-                        <RateBadge value={(m.storesWithTrx / CONFIG.TOTAL_STORES) * 100} thresholds={CONFIG.THRESHOLDS.storePenetration} />
+                        {monthlyTiers[m.month][tier.key]}
+                        <TrendIcon current={monthlyTiers[m.month][tier.key]} previous={monthlyTiers[shiftMonth(m.month, -1)]?.[tier.key]} className="inline ml-0.5" />
                       </td>
                     ))}
                   </tr>
+                ))}
 
-                  {/* Transaction Metrics */}
-                  <tr className="border-t border-white/5 bg-slate-800/30">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-400 font-medium" colSpan={2 + monthlyData.length}>
-                      <span className="text-[9px] uppercase tracking-wider">Transaction Metrics</span>
+                {/* Transaction Metrics */}
+                <tr className="border-t border-white/5 bg-slate-800/30">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-400 font-medium" colSpan={2 + yearMonthlyData.length}>
+                    <span className="text-[9px] uppercase tracking-wider">Transaction Metrics</span>
+                  </td>
+                </tr>
+                <tr className="border-t border-white/5 hover:bg-white/5">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">Incoming</td>
+                  <td className="p-2 text-center font-semibold text-white bg-cyan-500/5">
+                    {totals.incoming.toLocaleString()}
+                    <YoYDelta current={totals.incoming} previous={prevTotals?.incoming} />
+                  </td>
+                  {yearMonthlyData.map((m, idx) => (
+                    <td key={m.month} className="p-2 text-center text-slate-300">
+                      {m.incoming.toLocaleString()}
+                      <TrendIcon current={trendValue(m, 'incoming')} previous={monthlyIndex[shiftMonth(m.month, -1)]?.incoming} className="inline ml-0.5" />
+                      <YoYDelta current={m.incoming} previous={monthlyIndex[shiftMonth(m.month, -12)]?.incoming} />
+                      <Projection forecast={monthForecast(m.month)?.incoming} />
                     </td>
-                  </tr>
-                  <tr className="border-t border-white/5 hover:bg-white/5">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">Incoming</td>
-                    <td className="p-2 text-center font-semibold text-white bg-cyan-500/5">{totals.incoming.toLocaleString()}</td>
-                    {monthlyData.map((m, idx) => (
-                      <td key={m.month} className="p-2 text-center text-slate-300">
-                        {m.incoming.toLocaleString()}
-                        <TrendIcon current={m.incoming} previous={monthlyData[idx-1]?.incoming} className="inline ml-0.5" />
+                  ))}
+                </tr>
+                <tr className="border-t border-white/5 hover:bg-white/5 bg-cyan-500/5">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-cyan-300 font-medium">Trx</td>
+                  <td className="p-2 text-center font-bold text-white bg-cyan-500/10">
+                    {totals.trx.toLocaleString()}
+                    <YoYDelta current={totals.trx} previous={prevTotals?.trx} />
+                    <TargetBadge actual={totals.trx} target={networkTarget(months, 'trx')} />
+                  </td>
+                  {yearMonthlyData.map((m, idx) => (
+                    <td key={m.month} className="p-2 text-center font-semibold text-white">
+                      {m.trx.toLocaleString()}
+                      <TrendIcon current={trendValue(m, 'trx')} previous={monthlyIndex[shiftMonth(m.month, -1)]?.trx} className="inline ml-0.5" />
+                      <YoYDelta current={m.trx} previous={monthlyIndex[shiftMonth(m.month, -12)]?.trx} />
+                      <TargetBadge actual={m.trx} target={networkTarget([m.month], 'trx')} progress={monthProgress(m.month)} />
+                      <Projection forecast={monthForecast(m.month)?.trx} />
+                    </td>
+                  ))}
+                </tr>
+                <tr className="border-t border-white/5 hover:bg-white/5">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">GMV</td>
+                  <td className="p-2 text-center font-semibold text-cyan-300 bg-cyan-500/5">
+                    {formatCurrency(totals.gmv)}
+                    <YoYDelta current={totals.gmv} previous={prevTotals?.gmv} />
+                    <TargetBadge actual={totals.gmv} target={networkTarget(months, 'gmv')} />
+                  </td>
+                  {yearMonthlyData.map(m => (
+                    <td key={m.month} className="p-2 text-center text-cyan-300">
+                      {formatCurrency(m.gmv)}
+                      <YoYDelta current={m.gmv} previous={monthlyIndex[shiftMonth(m.month, -12)]?.gmv} />
+                      <TargetBadge actual={m.gmv} target={networkTarget([m.month], 'gmv')} progress={monthProgress(m.month)} />
+                      <Projection forecast={monthForecast(m.month)?.gmv} format={formatCurrency} />
+                    </td>
+                  ))}
+                </tr>
+                <tr className="border-t border-white/5 hover:bg-white/5">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">AOV</td>
+                  <td className="p-2 text-center font-semibold text-slate-300 bg-cyan-500/5">{formatCurrency(aov(totals))}</td>
+                  {yearMonthlyData.map(m => (
+                    <td key={m.month} className="p-2 text-center text-slate-300">{formatCurrency(aov(m))}</td>
+                  ))}
+                </tr>
+                <tr className="border-t border-white/5 hover:bg-white/5">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">Appr %</td>
+                  <td className="p-2 text-center bg-cyan-500/5"><RateBadge value={approvalRate(totals)} thresholds={thresholds.approval} /></td>
+                  {yearMonthlyData.map(m => {
+                    const prev = monthlyIndex[shiftMonth(m.month, -12)];
+                    return (
+                      <td key={m.month} className="p-2 text-center">
+                        <RateBadge value={approvalRate(m)} thresholds={thresholds.approval} />
+                        <YoYDelta current={approvalRate(m)} previous={approvalRate(prev)} points />
                       </td>
-                    ))}
-                  </tr>
-                  <tr className="border-t border-white/5 hover:bg-white/5 bg-cyan-500/5">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-cyan-300 font-medium">Trx</td>
-                    <td className="p-2 text-center font-bold text-white bg-cyan-500/10">{totals.trx.toLocaleString()}</td>
-                    {monthlyData.map((m, idx) => (
-                      <td key={m.month} className="p-2 text-center font-semibold text-white">
-                        {m.trx.toLocaleString()}
-                        <TrendIcon current={m.trx} previous={monthlyData[idx-1]?.trx} className="inline ml-0.5" />
+                    );
+                  })}
+                </tr>
+                <tr className="border-t border-white/5 hover:bg-white/5">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">Conv %</td>
+                  <td className="p-2 text-center bg-cyan-500/5"><RateBadge value={conversionRate(totals)} thresholds={thresholds.conversion} /></td>
+                  {yearMonthlyData.map(m => {
+                    const prev = monthlyIndex[shiftMonth(m.month, -12)];
+                    return (
+                      <td key={m.month} className="p-2 text-center">
+                        <RateBadge value={conversionRate(m)} thresholds={thresholds.conversion} />
+                        <YoYDelta current={conversionRate(m)} previous={conversionRate(prev)} points />
                       </td>
-                    ))}
-                  </tr>
-                  <tr className="border-t border-white/5 hover:bg-white/5">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">GMV</td>
-                    <td className="p-2 text-center font-semibold text-cyan-300 bg-cyan-500/5">{formatCurrency(totals.gmv)}</td>
-                    {monthlyData.map(m => (
-                      <td key={m.month} className="p-2 text-center text-cyan-300">{formatCurrency(m.gmv)}</td>
-                    ))}
-                  </tr>
-                  <tr className="border-t border-white/5 hover:bg-white/5">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">AOV</td>
-                    <td className="p-2 text-center font-semibold text-slate-300 bg-cyan-500/5">{formatCurrency(totals.gmv / totals.trx)}</td>
-                    {monthlyData.map(m => (
-                      <td key={m.month} className="p-2 text-center text-slate-300">{formatCurrency(m.trx ? m.gmv / m.trx : 0)}</td>
-                    ))}
-                  </tr>
-                  <tr className="border-t border-white/5 hover:bg-white/5">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">Appr %</td>
-                    <td className="p-2 text-center bg-cyan-500/5"><RateBadge value={(totals.approved / totals.incoming) * 100} thresholds={CONFIG.THRESHOLDS.approval} /></td>
-                    {monthlyData.map(m => (
-                      <td key={m.month} className="p-2 text-center"><RateBadge value={(m.approved / m.incoming) * 100} thresholds={CONFIG.THRESHOLDS.approval} /></td>
-                    ))}
-                  </tr>
-                  <tr className="border-t border-white/5 hover:bg-white/5">
-                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">Conv %</td>
-                    <td className="p-2 text-center bg-cyan-500/5"><RateBadge value={(totals.trx / totals.incoming) * 100} thresholds={CONFIG.THRESHOLDS.conversion} /></td>
-                    {monthlyData.map(m => (
-                      <td key={m.month} className="p-2 text-center"><RateBadge value={(m.trx / m.incoming) * 100} thresholds={CONFIG.THRESHOLDS.conversion} /></td>
-                    ))}
-                  </tr>
-                </tbody>
-              </table>
-            </div>
+                    );
+                  })}
+                </tr>
+              </tbody>
+            </table>
           </div>
-        </section>
-
-        {/* ================================================================== */}
-        {/* STORE PERFORMANCE */}
-        {/* ================================================================== */}
-        <section>
-          <div className="flex items-center justify-between mb-2">
-            <h2 className="text-[10px] font-medium text-slate-400 uppercase tracking-wider flex items-center gap-1">
-              <Store className="w-3 h-3" /> Store Performance
-            </h2>
+          {migrationMonths.length > 0 && (
+            <TierMigration
+              stores={processedStores}
+              months={migrationMonths}
+              defaultMonth={migrationMonths.includes(alertMonth) ? alertMonth : migrationMonths[migrationMonths.length - 1]}
+              tiers={merchant.tiers}
+              monthLabel={monthLabel}
+            />
+          )}
+        </div>
+      </section>
+
+      {/* ================================================================== */}
+      {/* ACTIVATION COHORTS */}
+      {/* ================================================================== */}
+      {cohorts.length > 0 && (
+        <CohortPanel
+          cohorts={cohorts}
+          activity={storeActivity}
+          monthLabel={monthLabel}
+          partialMonth={forecast?.partialMonth}
+          onExport={exportCohorts}
+        />
+      )}
+
+      {/* ================================================================== */}
+      {/* ALERTS */}
+      {/* ================================================================== */}
+      {alertMonth && (
+        <AlertsPanel
+          alerts={alerts}
+          monthLabel={monthlyIndex[alertMonth].label}
+          dormantMonths={dormantMonths}
+          onDormantMonthsChange={setDormantMonths}
+          onSelectStore={focusStore}
+        />
+      )}
+
+      {/* ================================================================== */}
+      {/* TOP MOVERS */}
+      {/* ================================================================== */}
+      {alertMonth && monthlyIndex[shiftMonth(alertMonth, -1)] && (
+        <MoversPanel
+          ranks={ranks}
+          month={alertMonth}
+          previousMonth={shiftMonth(alertMonth, -1)}
+          monthLabel={monthLabel}
+          stores={scopedStoreData}
+          onSelectStore={focusStore}
+        />
+      )}
+
+      {/* ================================================================== */}
+      {/* FUNNEL */}
+      {/* ================================================================== */}
+      {rangeMonths.length > 0 && (
+        <FunnelPanel
+          stores={filteredStores}
+          months={rangeMonths}
+          periodLabel={`${periodName(rangeMonths)}${rangeMonths.includes(forecast?.partialMonth) ? ' (month in progress)' : ''}`}
+          previousLabel={periodName(previousPeriod(rangeMonths))}
+          thresholds={thresholds}
+          onSelectStore={focusStore}
+        />
+      )}
+
+      {/* ================================================================== */}
+      {/* STORE PERFORMANCE */}
+      {/* ================================================================== */}
+      <section ref={storeSectionRef} className="scroll-mt-4">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="text-[10px] font-medium text-slate-400 uppercase tracking-wider flex items-center gap-1">
+            <Store className="w-3 h-3" /> Store Performance
+          </h2>
+          <div className="flex items-center gap-2">
+            <div className="flex items-center gap-1 text-[11px] text-slate-500" title="Months shown and summed in the Total columns">
+              <CalendarRange className="w-3 h-3" />
+              {['from', 'to'].map(bound => (
+                <select
+                  key={bound}
+                  value={bound === 'from' ? rangeMonths[0] || '' : rangeMonths[rangeMonths.length - 1] || ''}
+                  onChange={(e) => setMonthRange(prev => {
+                    const next = { ...prev, [bound]: e.target.value };
+                    // Keep from <= to by moving the other end along
+                    if (next.from && next.to && next.from > next.to) next[bound === 'from' ? 'to' : 'from'] = e.target.value;
+                    // The full year is the default, so leave it out of the URL
+                    if (next.from === months[0]) next.from = null;
+                    if (next.to === months[months.length - 1]) next.to = null;
+                    return next;
+                  })}
+                  className="px-2 py-1.5 bg-white/5 border border-white/10 rounded-lg text-[11px] text-slate-300 focus:outline-none focus:border-cyan-500/50"
+                >
+                  {yearMonthlyData.map(m => (
+                    <option key={m.month} value={m.month} className="bg-slate-900">{m.label}</option>
+                  ))}
+                </select>
+              ))}
+            </div>
+            <ColumnChooser
+              columns={STORE_METRICS}
+              visible={visibleMetrics}
+              pinned={pinnedMetrics}
+              onToggleVisible={toggleMetric}
+              onTogglePinned={togglePinned}
+            />
+            <select
+              value={groupBy || ''}
+              onChange={(e) => setGroupBy(e.target.value || null)}
+              title="Group stores with subtotal rows; click a group to collapse it"
+              className="px-2 py-1.5 bg-white/5 border border-white/10 rounded-lg text-[11px] text-slate-300 focus:outline-none focus:border-cyan-500/50"
+            >
+              <option value="" className="bg-slate-900">No grouping</option>
+              <option value="region" className="bg-slate-900">By region</option>
+              <option value="area" className="bg-slate-900">Region → area</option>
+            </select>
+            <select
+              value={rowLimit || ''}
+              onChange={(e) => setRowLimit(e.target.value ? parseInt(e.target.value, 10) : null)}
+              title="Only show the first N stores in the current sort order"
+              className="px-2 py-1.5 bg-white/5 border border-white/10 rounded-lg text-[11px] text-slate-300 focus:outline-none focus:border-cyan-500/50"
+            >
+              <option value="" className="bg-slate-900">All stores</option>
+              {ROW_LIMITS.map(n => (
+                <option key={n} value={n} className="bg-slate-900">First {n}</option>
+              ))}
+            </select>
+            <ExportButtons onExport={exportStores} />
             <div className="relative">
               <Search className="absolute left-2 top-1/2 -translate-y-1/2 w-3 h-3 text-slate-500" />
               <input
                 type="text"
                 placeholder="Search store..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
                 className="pl-7 pr-3 py-1.5 bg-white/5 border border-white/10 rounded-lg text-[11px] text-white placeholder:text-slate-600 focus:outline-none focus:border-cyan-500/50 w-48"
               />
             </div>
           </div>
+        </div>
 
-          <div className="bg-slate-900/50 rounded-xl border border-white/10 overflow-hidden">
-            <div className="overflow-x-auto">
-              <table className="w-full">
-                <thead>
-                  <tr className="bg-slate-800/80">
-                    <th className="p-2 sticky left-0 bg-slate-800/90 backdrop-blur z-20 min-w-[160px]" rowSpan={2}>
-                      <div className="flex items-center gap-1">
-                        <span className="text-slate-400 font-medium">Store</span>
-                        <button onClick={() => handleSort('totalTrx')} className="p-0.5 hover:bg-white/10 rounded">
-                          <SortIcon field="totalTrx" sortConfig={sortConfig} />
-                        </button>
-                      </div>
-                    </th>
-                    <th className="p-2 text-center min-w-[50px] bg-cyan-500/20 border-l border-white/10" colSpan={5}>
-                      <span className="text-cyan-300 font-bold text-[10px]">Total</span>
-                    </th>
-                    {monthlyData.map(m => (
-                      <th key={m.month} className="p-1.5 text-center min-w-[50px] border-l border-white/5" colSpan={5}>
-                        <span className="text-slate-300 font-medium text-[10px]">{m.label}</span>
-                      </th>
-                    ))}
-                  </tr>
-                  <tr className="bg-slate-800/50 text-[9px] text-slate-500">
-                    <th className="p-1 text-center bg-cyan-500/10 border-l border-white/10 cursor-pointer hover:text-cyan-400" onClick={() => handleSort('totalIncoming')}>
-                      <span className="flex items-center justify-center gap-0.5">Inc <SortIcon field="totalIncoming" sortConfig={sortConfig} /></span>
-                    </th>
-                    <th className="p-1 text-center bg-cyan-500/10 cursor-pointer hover:text-cyan-400" onClick={() => handleSort('totalTrx')}>
-                      <span className="flex items-center justify-center gap-0.5">Trx <SortIcon field="totalTrx" sortConfig={sortConfig} /></span>
-                    </th>
-                    <th className="p-1 text-center bg-cyan-500/10 cursor-pointer hover:text-cyan-400" onClick={() => handleSort('totalGMV')}>
-                      <span className="flex items-center justify-center gap-0.5">GMV <SortIcon field="totalGMV" sortConfig={sortConfig} /></span>
-                    </th>
-                    <th className="p-1 text-center bg-cyan-500/10 cursor-pointer hover:text-cyan-400" onClick={() => handleSort('avgApproval')}>
-                      <span className="flex items-center justify-center gap-0.5">Apr% <SortIcon field="avgApproval" sortConfig={sortConfig} /></span>
-                    </th>
-                    <th className="p-1 text-center bg-cyan-500/10 cursor-pointer hover:text-cyan-400" onClick={() => handleSort('avgConversion')}>
-                      <span className="flex items-center justify-center gap-0.5">Cnv% <SortIcon field="avgConversion" sortConfig={sortConfig} /></span>
-                    </th>
-                    {monthlyData.map(m => (
-                      <React.Fragment key={m.month}>
-                        <th className="p-1 text-center border-l border-white/5 cursor-pointer hover:text-cyan-400" onClick={() => handleSort(`${m.month}_incoming`)}>
-                          <span className="flex items-center justify-center gap-0.5">Inc <SortIcon field={`${m.month}_incoming`} sortConfig={sortConfig} /></span>
-                        </th>
-                        <th className="p-1 text-center cursor-pointer hover:text-cyan-400" onClick={() => handleSort(`${m.month}_trx`)}>
-                          <span className="flex items-center justify-center gap-0.5">Trx <SortIcon field={`${m.month}_trx`} sortConfig={sortConfig} /></span>
-                        </th>
-                        <th className="p-1 text-center cursor-pointer hover:text-cyan-400" onClick={() => handleSort(`${m.month}_gmv`)}>
-                          <span className="flex items-center justify-center gap-0.5">GMV <SortIcon field={`${m.month}_gmv`} sortConfig={sortConfig} /></span>
-                        </th>
-                        <th className="p-1 text-center cursor-pointer hover:text-cyan-400" onClick={() => handleSort(`${m.month}_appr`)}>
-                          <span className="flex items-center justify-center gap-0.5">Apr% <SortIcon field={`${m.month}_appr`} sortConfig={sortConfig} /></span>
-                        </th>
-                        <th className="p-1 text-center cursor-pointer hover:text-cyan-400" onClick={() => handleSort(`${m.month}_conv`)}>
-                          <span className="flex items-center justify-center gap-0.5">Cnv% <SortIcon field={`${m.month}_conv`} sortConfig={sortConfig} /></span>
-                        </th>
-                      </React.Fragment>
-                    ))}
-                  </tr>
-                </thead>
-                <tbody>
-                  {filteredStores.map((store) => {
-                    const trxTrend = months.map(m => store.data[m]?.trx || 0);
-                    
-                    return (
-                      <tr key={store.code} className="border-t border-white/5 hover:bg-white/5 transition-colors">
-                        <td className="p-2 sticky left-0 bg-slate-900/95 backdrop-blur z-10">
-                          <div className="flex items-center gap-2">
-                            <MiniSparkline data={trxTrend} />
-                            <div className="min-w-0">
-                              <p className="font-medium text-white text-[11px]">{store.code}</p>
-                              <p className="text-[9px] text-slate-500 truncate max-w-[100px]">{store.name}</p>
-                            </div>
-                          </div>
-                        </td>
-                        
-                        <td className="p-1.5 text-center bg-cyan-500/5 border-l border-white/10 text-slate-300">{store.totalIncoming}</td>
-                        <td className="p-1.5 text-center bg-cyan-500/5 font-semibold text-white">{store.totalTrx}</td>
-                        <td className="p-1.5 text-center bg-cyan-500/5 text-cyan-300 font-medium text-[10px]">{formatCurrency(store.totalGMV)}</td>
-                        <td className="p-1.5 text-center bg-cyan-500/5"><RateBadge value={store.avgApproval} thresholds={CONFIG.THRESHOLDS.approval} /></td>
-                        <td className="p-1.5 text-center bg-cyan-500/5"><RateBadge value={store.avgConversion} thresholds={CONFIG.THRESHOLDS.conversion} /></td>
-
-                        {monthlyData.map((m, idx) => {
-                          const d = store.data[m.month];
-                          const prevD = store.data[months[idx-1]];
-                          const apprRate = d && d.incoming ? (d.approved / d.incoming) * 100 : null;
-                          const convRate = d && d.incoming ? (d.trx / d.incoming) * 100 : null;
-                          
-                          return (
-                            <React.Fragment key={m.month}>
-                              <td className="p-1 text-center border-l border-white/5 text-slate-400">
-                                {d ? (
-                                  <span className="inline-flex items-center justify-center gap-0.5">
-                                    {d.incoming}
-                                    <TrendIcon current={d.incoming} previous={prevD?.incoming} />
-                                  </span>
-                                ) : '-'}
-                              </td>
-                              <td className="p-1 text-center font-semibold text-white">
-                                {d ? (
-                                  <span className="inline-flex items-center justify-center gap-0.5">
-                                    {d.trx}
-                                    <TrendIcon current={d.trx} previous={prevD?.trx} />
-                                  </span>
-                                ) : '-'}
-                              </td>
-                              <td className="p-1 text-center text-cyan-300 text-[10px]">
-                                {d?.gmv ? formatCurrency(d.gmv) : '-'}
-                              </td>
-                              <td className="p-1 text-center">
-                                <RateBadge value={apprRate} thresholds={CONFIG.THRESHOLDS.approval} />
-                              </td>
-                              <td className="p-1 text-center">
-                                <RateBadge value={convRate} thresholds={CONFIG.THRESHOLDS.conversion} />
-                              </td>
-                            </React.Fragment>
-                          );
-                        })}
-                      </tr>
-                    );
-                  })}
-                </tbody>
-              </table>
-            </div>
-          </div>
-          
-          <p className="text-[9px] text-slate-600 mt-2 text-center">
-            Showing {filteredStores.length} stores • Auto-refresh every 5 mins • Click column headers to sort
-          </p>
-        </section>
-      </div>
-    </div>
+        <div className="bg-slate-900/50 rounded-xl border border-white/10 overflow-hidden">
+          <StoreGrid
+            stores={gridRows}
+            months={rangeMonthlyData}
+            metrics={storeMetrics}
+            pinned={pinnedMetrics}
+            totalLabel={rangeLabel}
+            sortConfig={activeSort}
+            onSort={handleSort}
+            onOpenStore={openStore}
+            thresholds={thresholds}
+            rowThresholds={rowThresholds}
+            storeTargets={targets.stores}
+            highlightedCode={highlightedStore}
+            storeTiers={storeTiers}
+            tierMonthLabel={tierMonth && monthLabel(tierMonth)}
+            storeRanks={storeRanks}
+            rankLabel={tierMonth && `${gridRankMetric.label} rank in ${monthLabel(tierMonth)}, vs ${monthLabel(shiftMonth(tierMonth, -1))}`}
+            onToggleGroup={toggleGroup}
+            groupDepth={groupBy ? GROUPINGS[groupBy].length : 0}
+            virtualize={!isExportingPdf}
+          />
+        </div>
+        
+        <p className="text-[9px] text-slate-600 mt-2 text-center">
+          Showing {visibleStores.length} of {filteredStores.length} stores • {realtimeStatus === 'connected' ? 'Live updates' : 'Auto-refresh every 5 mins'} • Click column headers to sort, a store for details
+        </p>
+        <div className="text-[9px] text-slate-600 mt-1 flex justify-center">
+          <button onClick={() => setShowThresholds(true)} title="Edit bands" className="hover:text-slate-400">
+            <ThresholdLegend thresholds={thresholds} metrics={THRESHOLD_METRICS} />
+            {thresholdSettings && SEGMENT_TYPES.some(t => Object.keys(thresholdSettings[t.key] || {}).length > 0) && ' • some regions / tiers have their own bands'}
+          </button>
+        </div>
+      </section>
+
+      {selectedStoreCode && (
+        <StoreDetailPanel
+          code={selectedStoreCode}
+          store={yearStores.find(s => s.code === selectedStoreCode)}
+          stores={yearStores}
+          monthlyData={monthlyData}
+          activeYear={activeYear}
+          thresholds={thresholdsFor({ region: master[selectedStoreCode]?.region, tier: storeTiers[selectedStoreCode]?.key })}
+          onCompare={compareStore}
+          onClose={closeStore}
+        />
+      )}
+
+      {compareCodes && (
+        <ComparePanel
+          initialCodes={compareCodes}
+          stores={processedStores}
+          storeData={scopedStoreData}
+          monthlyData={scopedMonthlyData}
+          monthlyIndex={monthlyIndex}
+          months={rangeMonths}
+          periodLabel={periodName(rangeMonths)}
+          scopeLabel={scopeLabel}
+          onClose={closeCompare}
+        />
+      )}
+
+      {showThresholds && (
+        <ThresholdSettings
+          base={merchant.thresholds}
+          settings={normalizeSettings(thresholdSettings, merchant.thresholds)}
+          source={thresholdSource}
+          segments={{ regions: regionNames, tiers: merchant.tiers }}
+          canEditGlobal={hasFullAccess(access, merchant.id)}
+          onSave={saveThresholds}
+          onReset={resetThresholds}
+          onClose={closeThresholds}
+        />
+      )}
+
+      {showDataQuality && (
+        <DataQualityPanel
+          table={merchant.table}
+          source={sourceChecks}
+          loaded={loadedChecks}
+          onRerun={loadDataQuality}
+          onClose={closeDataQuality}
+        />
+      )}
+    </PageShell>
   );
 }
@@ -0,0 +1,85 @@
+/**
+ * Store alerts: sharp drops, dormancy and values that look like data errors
+ *
+ * Every rule looks at one store's month against its own trailing average over
+ * the months before it, so small and large stores are judged on their own scale.
+ */
+
+import { getYear } from './utils';
+
+export const ALERT_TYPES = {
+  trx_drop: { label: 'Trx drop', tone: 'rose' },
+  approval_drop: { label: 'Approval drop', tone: 'amber' },
+  dormant: { label: 'Dormant', tone: 'slate' },
+  spike: { label: 'Data check', tone: 'violet' },
+};
+
+export const ALERT_RULES = {
+  TRAILING_MONTHS: 3,
+  TRX_DROP_RATIO: 0.5, // Trx below half its trailing average
+  MIN_TRAILING_TRX: 3, // A store averaging 1 trx/month isn't "collapsing" at 0
+  APPROVAL_DROP_POINTS: 20, // Approval rate this many points below trailing
+  MIN_INCOMING_FOR_RATE: 10, // Rates on fewer applications are noise
+  SPIKE_RATIO: 4, // Above 4× the trailing average looks like a double load
+  MIN_SPIKE_VALUE: 20,
+  DORMANT_MONTHS: 2,
+};
+
+const empty = { incoming: 0, approved: 0, trx: 0, gmv: 0 };
+
+// Alerts for `month` given months: every loaded 'YYYY-MM' in order, up to and including it.
+// storeData entries are { code, name, data: { 'YYYY-MM': { incoming, approved, trx, gmv } } }.
+export function detectAlerts(storeData, months, month, { dormantMonths = ALERT_RULES.DORMANT_MONTHS } = {}) {
+  const at = months.indexOf(month);
+  if (at < 1) return [];
+  const trailingMonths = months.slice(Math.max(0, at - ALERT_RULES.TRAILING_MONTHS), at);
+  const dormantWindow = months.slice(Math.max(0, at - dormantMonths + 1), at + 1);
+  const year = getYear(month);
+  const alerts = [];
+
+  storeData.forEach(store => {
+    const add = (type, message, detail = {}) =>
+      alerts.push({ id: `${store.code}:${type}`, type, code: store.code, name: store.name, month, message, ...detail });
+    const d = store.data[month] || empty;
+    const trailing = trailingMonths.map(m => store.data[m] || empty);
+    const avg = (key) => trailing.reduce((s, t) => s + t[key], 0) / trailing.length;
+
+    // Counted in "Stores w/ SF+" (incoming this year) but silent for the last N months
+    const activeThisYear = Object.entries(store.data).some(([m, v]) => getYear(m) === year && m < dormantWindow[0] && v.incoming > 0);
+    if (dormantWindow.length === dormantMonths && activeThisYear && dormantWindow.every(m => !store.data[m]?.incoming)) {
+      add('dormant', `No incoming for ${dormantMonths} months`, { value: 0, baseline: avg('incoming') });
+      return;
+    }
+
+    // Numbers that can't be true, or jump far beyond anything the store has done
+    if (d.trx > d.incoming || d.approved > d.incoming) {
+      add('spike', `${d.trx > d.incoming ? 'Trx' : 'Approved'} exceeds incoming (${Math.max(d.trx, d.approved)} vs ${d.incoming})`);
+    } else {
+      const spiking = ['incoming', 'trx'].find(key =>
+        d[key] >= ALERT_RULES.MIN_SPIKE_VALUE && d[key] > ALERT_RULES.SPIKE_RATIO * avg(key)
+      );
+      if (spiking) {
+        add('spike', `${spiking === 'trx' ? 'Trx' : 'Incoming'} ${d[spiking]} vs ${avg(spiking).toFixed(1)} avg`, { value: d[spiking], baseline: avg(spiking) });
+      }
+    }
+
+    const trxAvg = avg('trx');
+    if (trxAvg >= ALERT_RULES.MIN_TRAILING_TRX && d.trx < trxAvg * ALERT_RULES.TRX_DROP_RATIO) {
+      add('trx_drop', `Trx ${d.trx} vs ${trxAvg.toFixed(1)} avg (${Math.round((d.trx / trxAvg - 1) * 100)}%)`, { value: d.trx, baseline: trxAvg });
+    }
+
+    const trailingIncoming = trailing.reduce((s, t) => s + t.incoming, 0);
+    if (d.incoming >= ALERT_RULES.MIN_INCOMING_FOR_RATE && trailingIncoming >= ALERT_RULES.MIN_INCOMING_FOR_RATE) {
+      const rate = (d.approved / d.incoming) * 100;
+      const trailingRate = (trailing.reduce((s, t) => s + t.approved, 0) / trailingIncoming) * 100;
+      if (rate <= trailingRate - ALERT_RULES.APPROVAL_DROP_POINTS) {
+        add('approval_drop', `Approval ${rate.toFixed(0)}% vs ${trailingRate.toFixed(0)}% avg`, { value: rate, baseline: trailingRate });
+      }
+    }
+  });
+
+  // Rule order first, then the biggest fall relative to the store's own average
+  const order = Object.keys(ALERT_TYPES);
+  const severity = (a) => (a.baseline ? Math.abs(a.baseline - a.value) / a.baseline : 0);
+  return alerts.sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type) || severity(b) - severity(a));
+}
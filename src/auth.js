@@ -0,0 +1,52 @@
+/**
+ * Signed-in user and what they may see
+ *
+ * Access rows come from sf_user_access (supabase/migrations/*_sf_access.sql),
+ * one per grant: { merchant, region, area }. region and area null = the whole
+ * merchant (partner staff); a region, or region + area, limits the user to
+ * those stores. Row-level security enforces this in Postgres; the app only
+ * uses the rows to label the scope and hide merchants the user has no grant for.
+ */
+
+import { createContext, useContext } from 'react';
+import { supabase } from './supabase';
+
+// { session, access, signOut } from AuthGate
+export const AuthContext = createContext(null);
+
+export const useAuth = () => useContext(AuthContext);
+
+// The magic link brings the user back to the page they signed in from
+export async function sendMagicLink(email) {
+  const { error } = await supabase.auth.signInWithOtp({
+    email,
+    options: { emailRedirectTo: window.location.origin + window.location.pathname + window.location.search },
+  });
+  if (error) throw error;
+}
+
+// The caller's own sf_user_access rows (the table's policy returns nothing else)
+export async function fetchAccess() {
+  const { data, error } = await supabase.from('sf_user_access').select('merchant, region, area');
+  if (error) throw error;
+  return data || [];
+}
+
+const grantsFor = (access, merchantId) => access.filter(a => a.merchant === merchantId);
+
+export const hasFullAccess = (access, merchantId) =>
+  grantsFor(access, merchantId).some(a => !a.region && !a.area);
+
+export const visibleMerchants = (merchants, access) =>
+  merchants.filter(m => grantsFor(access, m.id).length > 0);
+
+// 'All stores', or the granted regions / areas, e.g. 'North • Central / Da Nang'
+export const accessLabel = (access, merchantId) => {
+  if (hasFullAccess(access, merchantId)) return 'All stores';
+  return grantsFor(access, merchantId).map(a => [a.region, a.area].filter(Boolean).join(' / ')).join(' • ');
+};
+
+// A user limited to some regions can't be measured against the merchant's
+// fixed store universe; count the stores they can see instead
+export const merchantForUser = (merchant, access) =>
+  hasFullAccess(access, merchant.id) ? merchant : { ...merchant, totalStores: null };
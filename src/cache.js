@@ -0,0 +1,63 @@
+/**
+ * Offline copy of the last data that loaded, kept in IndexedDB
+ *
+ * Records are keyed by user (row-level security gives every user different
+ * rows), e.g. '<user id>:dataset:frt' or '<user id>:access'. The dashboard
+ * renders a saved dataset straight away and refreshes it in the background;
+ * signing out deletes the user's records.
+ *
+ * The cache only buys a faster start, so failures (private browsing, quota,
+ * no IndexedDB) are logged and otherwise behave like an empty cache.
+ */
+
+const DB_NAME = 'sf-dashboard';
+const DB_VERSION = 1;
+const STORE_NAME = 'cache';
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') throw new Error('IndexedDB is not available');
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Runs one request in its own transaction; resolves once the transaction commits
+async function withStore(mode, makeRequest) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const request = makeRequest(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+const cacheKey = (userId, name) => `${userId}:${name}`;
+
+// { value, savedAt } or null
+export const readCache = (userId, name) =>
+  withStore('readonly', store => store.get(cacheKey(userId, name)))
+    .then(record => record ?? null)
+    .catch(err => {
+      console.warn(`Couldn't read cached ${name}:`, err);
+      return null;
+    });
+
+export const writeCache = (userId, name, value) =>
+  withStore('readwrite', store => store.put({ value, savedAt: Date.now() }, cacheKey(userId, name)))
+    .catch(err => console.warn(`Couldn't cache ${name}:`, err));
+
+// Every record of the user (':' sorts right before ';', so the range covers exactly their keys)
+export const clearCache = (userId) =>
+  withStore('readwrite', store => store.delete(IDBKeyRange.bound(`${userId}:`, `${userId};`, false, true)))
+    .catch(err => console.warn('Couldn\'t clear the cache:', err));
@@ -0,0 +1,70 @@
+/**
+ * Store activation cohorts and churn
+ *
+ * A store's cohort is its first month with incoming > 0. Retention is the share
+ * of a cohort still producing incoming (or trx) k months later. Churn and
+ * re-activation compare each month's active stores (incoming > 0) with the
+ * month before. Everything comes from the loaded store-months, so the first
+ * loaded month's cohort also holds every store activated before it.
+ */
+
+import { shiftMonth } from './utils';
+
+export const RETENTION_METRICS = [
+  { key: 'incoming', label: 'Incoming' },
+  { key: 'trx', label: 'Trx' },
+];
+
+// Monthly store flows, in display order
+export const ACTIVITY_ROWS = [
+  { key: 'new', label: 'New' },
+  { key: 'reactivated', label: 'Re-activated' },
+  { key: 'churned', label: 'Churned' },
+  { key: 'active', label: 'Active' },
+];
+
+const isActive = (d) => d?.incoming > 0;
+
+const firstActiveMonth = (store, months) => months.find(m => isActive(store.data[m])) ?? null;
+
+// storeData: [{ code, data: { 'YYYY-MM': { incoming, trx, ... } } }], months: loaded months in order.
+// Returns [{ month, size, retention: { incoming: [share at +0, +1, ...], trx: [...] } }]
+export function buildCohorts(storeData, months) {
+  if (months.length === 0) return [];
+  const lastMonth = months[months.length - 1];
+  const members = {};
+  storeData.forEach(store => {
+    const first = firstActiveMonth(store, months);
+    if (first) (members[first] ||= []).push(store);
+  });
+
+  return months.filter(m => members[m]).map(month => {
+    const stores = members[month];
+    const offsets = [];
+    for (let m = month; m <= lastMonth; m = shiftMonth(m, 1)) offsets.push(m);
+    const share = (key) => offsets.map(m => stores.filter(s => s.data[m]?.[key] > 0).length / stores.length);
+    return { month, size: stores.length, retention: { incoming: share('incoming'), trx: share('trx') } };
+  });
+}
+
+// Per month from the second loaded month on: active stores, new (first active month),
+// churned (active the month before, not now) and re-activated (inactive the month
+// before, active now, active some earlier month)
+export function buildActivity(storeData, months) {
+  const firsts = storeData.map(store => [store, firstActiveMonth(store, months)]);
+  return months.slice(1).map(month => {
+    const prev = shiftMonth(month, -1);
+    const counts = { month, active: 0, new: 0, churned: 0, reactivated: 0 };
+    firsts.forEach(([store, first]) => {
+      const now = isActive(store.data[month]);
+      const before = isActive(store.data[prev]);
+      if (now) counts.active++;
+      if (now && !before) {
+        if (first === month) counts.new++;
+        else counts.reactivated++;
+      }
+      if (!now && before) counts.churned++;
+    });
+    return counts;
+  });
+}
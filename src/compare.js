@@ -0,0 +1,93 @@
+/**
+ * Side-by-side comparison of 2–5 stores, or of two periods
+ *
+ * Every side is reduced to totals ({ incoming, approved, trx, gmv }) so stores
+ * and periods share the metric list and the delta maths. Benchmarks are the
+ * median of the active stores (incoming > 0) and of the store's peer group.
+ */
+
+import { median, shiftMonth } from './utils';
+import { aov, approvalRate, conversionRate } from './metrics';
+
+export const MAX_COMPARE_STORES = 5;
+
+// rate: deltas in percentage points, not %
+export const COMPARE_METRICS = [
+  { key: 'incoming', label: 'Incoming', value: t => t.incoming },
+  { key: 'trx', label: 'Trx', value: t => t.trx },
+  { key: 'gmv', label: 'GMV', value: t => t.gmv },
+  { key: 'aov', label: 'AOV', value: aov },
+  { key: 'approval', label: 'Appr %', value: approvalRate, rate: true },
+  { key: 'conversion', label: 'Conv %', value: conversionRate, rate: true },
+];
+
+export const isActive = (s) => s.totalIncoming > 0;
+
+// Peers = active stores in the same quartile of incoming volume
+export function getPeers(store, stores) {
+  if (!isActive(store)) return { peers: [], quartile: null };
+  const active = stores.filter(isActive).sort((a, b) => a.totalIncoming - b.totalIncoming);
+  const quartileOf = (s) => Math.min(4, Math.floor((active.indexOf(s) / active.length) * 4) + 1);
+  const quartile = quartileOf(active.find(s => s.code === store.code));
+  return { peers: active.filter(s => s.code !== store.code && quartileOf(s) === quartile), quartile };
+}
+
+// Totals of a store row (buildStoreRows)
+export const storeTotals = (s) => ({ incoming: s.totalIncoming, approved: s.totalApproved, trx: s.totalTrx, gmv: s.totalGMV });
+
+// Totals of a { 'YYYY-MM': { incoming, approved, trx, gmv } } map over `months`
+export const sumMonths = (data, months) => months.reduce((sum, m) => {
+  const d = data[m];
+  if (!d) return sum;
+  return { incoming: sum.incoming + d.incoming, approved: sum.approved + d.approved, trx: sum.trx + d.trx, gmv: sum.gmv + d.gmv };
+}, { incoming: 0, approved: 0, trx: 0, gmv: 0 });
+
+// { abs, pct } of value vs base; pct is null for rates and a zero base
+export const compareValues = (value, base, rate = false) => {
+  if (value === null || value === undefined || base === null || base === undefined) return null;
+  const abs = value - base;
+  return { abs, pct: rate || !base ? null : (abs / base) * 100 };
+};
+
+// { [metric key]: value } for a set of totals
+export const metricValues = (totals) => Object.fromEntries(COMPARE_METRICS.map(metric => [metric.key, metric.value(totals)]));
+
+// { [metric key]: median } over the active stores among `stores` (store rows)
+export const medianValues = (stores) => {
+  const active = stores.filter(isActive).map(s => metricValues(storeTotals(s)));
+  return Object.fromEntries(COMPARE_METRICS.map(metric => [
+    metric.key,
+    median(active.map(values => values[metric.key]).filter(v => v !== null)),
+  ]));
+};
+
+// Network and peer-group medians for `store` among `stores`, both store rows over the same months
+export const storeBenchmarks = (store, stores) => {
+  const { peers, quartile } = store ? getPeers(store, stores) : { peers: [], quartile: null };
+  return {
+    network: medianValues(stores),
+    activeCount: stores.filter(isActive).length,
+    peers: quartile ? medianValues(peers) : null,
+    peerCount: peers.length,
+    quartile,
+  };
+};
+
+// Months from `from` to `to`, both 'YYYY-MM' and inclusive
+export const monthsBetween = (from, to) => {
+  const months = [];
+  for (let m = from; m <= to; m = shiftMonth(m, 1)) months.push(m);
+  return months;
+};
+
+// Default periods: the quarter of the latest loaded month (up to that month)
+// against the same months a year earlier
+export const defaultPeriods = (months) => {
+  const latest = months[months.length - 1];
+  if (!latest) return null;
+  const quarterStart = `${latest.substring(0, 5)}${String(Math.floor((parseInt(latest.substring(5, 7), 10) - 1) / 3) * 3 + 1).padStart(2, '0')}`;
+  return {
+    a: { from: quarterStart, to: latest },
+    b: { from: shiftMonth(quarterStart, -12), to: shiftMonth(latest, -12) },
+  };
+};
@@ -0,0 +1,102 @@
+/**
+ * Alerts panel: store-level drops, dormancy and likely data errors (see alerts.js).
+ * Clicking an alert jumps to the store's row in the Store Performance grid.
+ */
+
+import React, { useState } from 'react';
+import { AlertTriangle, TrendingDown, Moon, ShieldAlert, ChevronDown, ChevronUp } from 'lucide-react';
+import { ALERT_TYPES } from '../alerts';
+
+const ICONS = { trx_drop: TrendingDown, approval_drop: AlertTriangle, dormant: Moon, spike: ShieldAlert };
+
+const TONES = {
+  rose: { text: 'text-rose-400', chip: 'text-rose-400 bg-rose-500/10 border-rose-500/20' },
+  amber: { text: 'text-amber-400', chip: 'text-amber-400 bg-amber-500/10 border-amber-500/20' },
+  slate: { text: 'text-slate-300', chip: 'text-slate-300 bg-slate-500/10 border-slate-500/20' },
+  violet: { text: 'text-violet-300', chip: 'text-violet-300 bg-violet-500/10 border-violet-500/20' },
+};
+
+const COLLAPSED_COUNT = 8;
+const DORMANT_OPTIONS = [1, 2, 3, 4, 6];
+
+export default function AlertsPanel({ alerts, monthLabel, dormantMonths, onDormantMonthsChange, onSelectStore }) {
+  const [typeFilter, setTypeFilter] = useState(null);
+  const [expanded, setExpanded] = useState(false);
+
+  const counts = alerts.reduce((acc, a) => ({ ...acc, [a.type]: (acc[a.type] || 0) + 1 }), {});
+  const filtered = typeFilter ? alerts.filter(a => a.type === typeFilter) : alerts;
+  const shown = expanded ? filtered : filtered.slice(0, COLLAPSED_COUNT);
+
+  return (
+    <section className="mb-4">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-[10px] font-medium text-slate-400 uppercase tracking-wider">
+          🚨 Alerts <span className="normal-case text-slate-500">• {monthLabel}</span>
+        </h2>
+        <div className="flex items-center gap-1.5 text-[10px]">
+          {Object.entries(ALERT_TYPES).map(([type, { label, tone }]) => (
+            <button
+              key={type}
+              onClick={() => setTypeFilter(t => (t === type ? null : type))}
+              disabled={!counts[type]}
+              className={`px-1.5 py-0.5 rounded border transition-colors disabled:opacity-30 ${
+                typeFilter === type ? TONES[tone].chip : 'border-white/10 text-slate-400 hover:text-white'
+              }`}
+            >
+              {label} {counts[type] || 0}
+            </button>
+          ))}
+          <label className="flex items-center gap-1 text-slate-500 ml-1" title="Dormant = counted in Stores w/ SF+ but no incoming for this many months">
+            Dormant after
+            <select
+              value={dormantMonths}
+              onChange={(e) => onDormantMonthsChange(parseInt(e.target.value, 10))}
+              className="px-1 py-0.5 bg-white/5 border border-white/10 rounded text-slate-300 focus:outline-none"
+            >
+              {DORMANT_OPTIONS.map(n => <option key={n} value={n} className="bg-slate-900">{n} mo</option>)}
+            </select>
+          </label>
+        </div>
+      </div>
+
+      <div className="bg-slate-900/50 rounded-xl border border-white/10 p-2">
+        {filtered.length === 0 ? (
+          <p className="text-[11px] text-slate-500 text-center py-2">No alerts for {monthLabel}</p>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-4 gap-1.5">
+            {shown.map(alert => {
+              const { label, tone } = ALERT_TYPES[alert.type];
+              const Icon = ICONS[alert.type];
+              return (
+                <button
+                  key={alert.id}
+                  onClick={() => onSelectStore(alert.code)}
+                  title="Show in Store Performance"
+                  className="flex items-start gap-2 p-2 rounded-lg bg-white/5 hover:bg-white/10 border border-white/5 text-left transition-colors"
+                >
+                  <span className={`p-1 rounded border ${TONES[tone].chip}`}><Icon className="w-3 h-3" /></span>
+                  <span className="min-w-0">
+                    <span className="block text-[11px] text-white font-medium truncate">
+                      {alert.code} <span className="text-slate-500 font-normal">{alert.name}</span>
+                    </span>
+                    <span className="block text-[10px] text-slate-400">
+                      <span className={TONES[tone].text}>{label}</span> • {alert.message}
+                    </span>
+                  </span>
+                </button>
+              );
+            })}
+          </div>
+        )}
+        {filtered.length > COLLAPSED_COUNT && (
+          <button
+            onClick={() => setExpanded(e => !e)}
+            className="mt-1.5 w-full flex items-center justify-center gap-1 text-[10px] text-slate-400 hover:text-white"
+          >
+            {expanded ? <><ChevronUp className="w-3 h-3" /> Show fewer</> : <><ChevronDown className="w-3 h-3" /> Show all {filtered.length}</>}
+          </button>
+        )}
+      </div>
+    </section>
+  );
+}
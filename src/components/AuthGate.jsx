@@ -0,0 +1,183 @@
+/**
+ * Sign-in gate: magic-link login, session handling and the user's access rows.
+ *
+ * Children only render with a session and at least one access grant. They get
+ * { session, access, signOut } through AuthContext and are keyed by user, so
+ * signing in as someone else starts from a clean dashboard. The last grants
+ * fetched are cached (cache.js), so a returning user gets in without waiting
+ * on the network, or while offline.
+ *
+ * Data sources without sign-in (see dataSources/index.js) use LocalSession
+ * instead: one local user who sees every merchant.
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { RefreshCw, Mail, LogOut, ShieldAlert, Zap } from 'lucide-react';
+import { supabase, isSupabaseConfigured } from '../supabase';
+import { AuthContext, sendMagicLink, fetchAccess } from '../auth';
+import { readCache, writeCache, clearCache } from '../cache';
+import { MERCHANTS } from '../merchants';
+import { dataSource } from '../dataSources';
+
+const Screen = ({ children }) => (
+  <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 flex items-center justify-center text-xs">
+    {children}
+  </div>
+);
+
+const Card = ({ children }) => (
+  <div className="bg-slate-900/50 border border-white/10 rounded-xl p-6 w-full max-w-sm text-center">{children}</div>
+);
+
+function LoginForm() {
+  const [email, setEmail] = useState('');
+  const [status, setStatus] = useState('idle'); // idle | sending | sent
+  const [error, setError] = useState(null);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setStatus('sending');
+    setError(null);
+    try {
+      await sendMagicLink(email.trim());
+      setStatus('sent');
+    } catch (err) {
+      setError(err.message);
+      setStatus('idle');
+    }
+  };
+
+  return (
+    <Card>
+      <div className="inline-flex p-2 bg-gradient-to-br from-cyan-400 to-blue-500 rounded-lg mb-3">
+        <Zap className="w-5 h-5 text-white" />
+      </div>
+      <h1 className="text-sm font-semibold text-white mb-1">Samsung Finance+ Dashboard</h1>
+      {status === 'sent' ? (
+        <p className="text-slate-400 mt-4">
+          Sign-in link sent to <span className="text-white">{email}</span>. Open it on this device to continue.
+          <button onClick={() => setStatus('idle')} className="block mx-auto mt-3 text-cyan-400 hover:text-cyan-300">Use another email</button>
+        </p>
+      ) : (
+        <form onSubmit={submit} className="mt-4 space-y-2">
+          <p className="text-slate-500 mb-3">Sign in with your work email; we'll send you a link.</p>
+          <input
+            type="email"
+            required
+            autoFocus
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="name@company.com"
+            className="w-full px-3 py-2 bg-white/5 border border-white/10 rounded-lg text-white placeholder-slate-500 focus:outline-none focus:border-cyan-500/50"
+          />
+          <button
+            type="submit"
+            disabled={status === 'sending'}
+            className="w-full flex items-center justify-center gap-1.5 px-3 py-2 bg-cyan-500 hover:bg-cyan-600 text-white rounded-lg transition-colors disabled:opacity-50"
+          >
+            <Mail className="w-3 h-3" />
+            {status === 'sending' ? 'Sending...' : 'Send sign-in link'}
+          </button>
+          {error && <p className="text-rose-400">{error}</p>}
+        </form>
+      )}
+    </Card>
+  );
+}
+
+export default function AuthGate({ children }) {
+  const [session, setSession] = useState(undefined); // undefined = not checked yet
+  const [access, setAccess] = useState(null);
+  const [accessError, setAccessError] = useState(null);
+
+  useEffect(() => {
+    if (!isSupabaseConfigured) return;
+    supabase.auth.getSession().then(({ data }) => setSession(data.session));
+    // Fires for magic-link returns, token refreshes and sign-outs (also from other tabs)
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((_event, next) => setSession(next));
+    return () => subscription.unsubscribe();
+  }, []);
+
+  const userId = session?.user.id;
+  useEffect(() => {
+    setAccess(null);
+    setAccessError(null);
+    if (!userId) return;
+    let active = true;
+    // Cached grants until the fetched ones arrive; they stay if the fetch fails
+    readCache(userId, 'access').then(cached => {
+      if (active && cached) setAccess(current => current ?? cached.value);
+    });
+    fetchAccess()
+      .then(rows => {
+        if (!active) return;
+        setAccess(rows);
+        writeCache(userId, 'access', rows);
+      })
+      .catch(err => { if (active) setAccessError(err.message); });
+    return () => { active = false; };
+  }, [userId]);
+
+  // Drops the user's cached data first so nothing is left behind on a shared device
+  const signOut = useCallback(async () => {
+    if (userId) await clearCache(userId);
+    await supabase.auth.signOut();
+  }, [userId]);
+
+  if (!isSupabaseConfigured) {
+    return (
+      <Screen>
+        <Card>
+          <ShieldAlert className="w-8 h-8 text-amber-400 mx-auto mb-3" />
+          <p className="text-slate-300">Supabase isn't configured.</p>
+          <p className="text-slate-500 mt-1">Set VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY (see .env.example).</p>
+        </Card>
+      </Screen>
+    );
+  }
+
+  if (session === null) {
+    return <Screen><LoginForm /></Screen>;
+  }
+
+  if (session === undefined || (!access && !accessError)) {
+    return (
+      <Screen>
+        <RefreshCw className="w-8 h-8 text-cyan-400 animate-spin" />
+      </Screen>
+    );
+  }
+
+  if (!access || access.length === 0) {
+    return (
+      <Screen>
+        <Card>
+          <ShieldAlert className="w-8 h-8 text-amber-400 mx-auto mb-3" />
+          <p className="text-slate-300">
+            {accessError ? `Couldn't load your access: ${accessError}` : <>No stores are shared with <span className="text-white">{session.user.email}</span> yet.</>}
+          </p>
+          <p className="text-slate-500 mt-1">Ask a dashboard admin to add you to sf_user_access.</p>
+          <button onClick={signOut} className="mt-4 inline-flex items-center gap-1.5 text-slate-400 hover:text-white">
+            <LogOut className="w-3 h-3" /> Sign out
+          </button>
+        </Card>
+      </Screen>
+    );
+  }
+
+  return (
+    <AuthContext.Provider value={{ session, access, signOut }}>
+      <React.Fragment key={userId}>{children}</React.Fragment>
+    </AuthContext.Provider>
+  );
+}
+
+const LOCAL_AUTH = {
+  session: { user: { id: `local-${dataSource.id}`, email: dataSource.label } },
+  access: MERCHANTS.map(m => ({ merchant: m.id, region: null, area: null })),
+  signOut: null,
+};
+
+export const LocalSession = ({ children }) => (
+  <AuthContext.Provider value={LOCAL_AUTH}>{children}</AuthContext.Provider>
+);
@@ -0,0 +1,121 @@
+/**
+ * Activation cohorts: retention heatmap (share of each cohort active k months
+ * after its first incoming) and monthly new / re-activated / churned stores.
+ */
+
+import React, { useState } from 'react';
+import { RETENTION_METRICS, ACTIVITY_ROWS } from '../cohorts';
+import { shiftMonth } from '../utils';
+import { ExportButtons } from './ui';
+
+// Cyan at an opacity that follows the share
+const heatStyle = (share) => ({ backgroundColor: `rgba(34, 211, 238, ${(0.08 + share * 0.72).toFixed(2)})` });
+
+const ACTIVITY_STYLES = {
+  new: { className: 'text-emerald-400', sign: '+' },
+  reactivated: { className: 'text-cyan-300', sign: '+' },
+  churned: { className: 'text-rose-400', sign: '−' },
+  active: { className: 'text-white font-semibold', sign: '' },
+};
+
+// cohorts / activity from cohorts.js; monthLabel: 'YYYY-MM' → 'Jan 26';
+// partialMonth: month in progress, its cells are greyed out
+export default function CohortPanel({ cohorts, activity, monthLabel, partialMonth, onExport }) {
+  const [metric, setMetric] = useState('incoming');
+  const maxOffset = Math.max(0, ...cohorts.map(c => c.retention[metric].length));
+
+  return (
+    <section className="mb-4">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-[10px] font-medium text-slate-400 uppercase tracking-wider">🧬 Activation Cohorts</h2>
+        <div className="flex items-center gap-2">
+          <div className="flex items-center bg-white/5 border border-white/10 rounded overflow-hidden text-[9px]">
+            {RETENTION_METRICS.map(m => (
+              <button
+                key={m.key}
+                onClick={() => setMetric(m.key)}
+                className={`px-1.5 py-0.5 ${metric === m.key ? 'bg-cyan-500/20 text-cyan-300' : 'text-slate-400 hover:text-white'}`}
+              >
+                % with {m.label}
+              </button>
+            ))}
+          </div>
+          <ExportButtons onExport={(format) => onExport(format, metric)} />
+        </div>
+      </div>
+
+      <div className="bg-slate-900/50 rounded-xl border border-white/10 overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="bg-slate-800/50">
+                <th className="text-left p-2 sticky left-0 bg-slate-800/90 backdrop-blur z-10 min-w-[90px] text-slate-400 font-medium">Cohort</th>
+                <th className="p-2 text-center min-w-[50px] text-slate-500 font-medium">Stores</th>
+                {Array.from({ length: maxOffset }, (_, k) => (
+                  <th key={k} className="p-1 text-center min-w-[38px] text-slate-500 font-medium">M{k}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {cohorts.map((cohort, i) => (
+                <tr key={cohort.month} className="border-t border-white/5">
+                  <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300" title={i === 0 ? 'Includes stores active before the data starts' : undefined}>
+                    {i === 0 ? '≤ ' : ''}{monthLabel(cohort.month)}
+                  </td>
+                  <td className="p-2 text-center text-slate-300">{cohort.size}</td>
+                  {cohort.retention[metric].map((share, k) => {
+                    const month = shiftMonth(cohort.month, k);
+                    const inProgress = month === partialMonth;
+                    return (
+                      <td
+                        key={k}
+                        className={`p-1 text-center text-[10px] ${share >= 0.6 ? 'text-slate-950 font-semibold' : 'text-slate-200'} ${inProgress ? 'opacity-50 italic' : ''}`}
+                        style={heatStyle(share)}
+                        title={`${monthLabel(month)}: ${Math.round(share * cohort.size)} of ${cohort.size} stores${inProgress ? ' (month in progress)' : ''}`}
+                      >
+                        {Math.round(share * 100)}%
+                      </td>
+                    );
+                  })}
+                  {Array.from({ length: maxOffset - cohort.retention[metric].length }, (_, k) => <td key={`empty${k}`} />)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Churn & re-activation */}
+        <div className="overflow-x-auto border-t border-white/10">
+          <table className="w-full">
+            <thead>
+              <tr className="bg-slate-800/50">
+                <th className="text-left p-2 sticky left-0 bg-slate-800/90 backdrop-blur z-10 min-w-[90px] text-slate-400 font-medium">Stores</th>
+                {activity.map(a => (
+                  <th key={a.month} className={`p-1 text-center min-w-[44px] text-slate-500 font-medium ${a.month === partialMonth ? 'italic' : ''}`}>{monthLabel(a.month)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {ACTIVITY_ROWS.map(row => {
+                const { className, sign } = ACTIVITY_STYLES[row.key];
+                return (
+                  <tr key={row.key} className="border-t border-white/5 hover:bg-white/5">
+                    <td className="p-2 sticky left-0 bg-slate-900/90 backdrop-blur text-slate-300">{row.label}</td>
+                    {activity.map(a => (
+                      <td key={a.month} className={`p-1 text-center ${a[row.key] ? className : 'text-slate-600'}`}>
+                        {a[row.key] ? `${sign}${a[row.key]}` : '-'}
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+      <p className="text-[9px] text-slate-600 mt-2 text-center">
+        Cohort = first month with incoming • M0 is that month • Active = incoming &gt; 0 • Churned = active the month before, not this month
+      </p>
+    </section>
+  );
+}
@@ -0,0 +1,51 @@
+/**
+ * Column chooser for the Store Performance grid: show/hide each metric and
+ * pin its Total column next to the store column.
+ */
+
+import React, { useState } from 'react';
+import { Columns, Eye, EyeOff, Pin, PinOff } from 'lucide-react';
+
+export default function ColumnChooser({ columns, visible, pinned, onToggleVisible, onTogglePinned }) {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(o => !o)}
+        className="flex items-center gap-1.5 px-2 py-1.5 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-[11px] text-slate-300 transition-colors"
+      >
+        <Columns className="w-3 h-3" /> Columns
+        <span className="text-[9px] text-slate-500">{visible.length}/{columns.length}</span>
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-1 w-44 z-40 bg-slate-900 border border-white/10 rounded-lg shadow-xl p-1 text-[11px]">
+          {columns.map(column => {
+            const isVisible = visible.includes(column.key);
+            const isPinned = pinned.includes(column.key);
+            return (
+              <div key={column.key} className="flex items-center gap-1 rounded hover:bg-white/5">
+                <button
+                  onClick={() => onToggleVisible(column.key)}
+                  className={`flex-1 flex items-center gap-2 px-2 py-1.5 text-left ${isVisible ? 'text-white' : 'text-slate-500'}`}
+                >
+                  {isVisible ? <Eye className="w-3 h-3" /> : <EyeOff className="w-3 h-3" />}
+                  {column.label}
+                </button>
+                <button
+                  onClick={() => onTogglePinned(column.key)}
+                  disabled={!isVisible}
+                  title={isPinned ? 'Unpin total column' : 'Pin total column next to the store'}
+                  className={`p-1.5 rounded disabled:opacity-30 ${isPinned ? 'text-cyan-400' : 'text-slate-500 hover:text-white'}`}
+                >
+                  {isPinned ? <Pin className="w-3 h-3" /> : <PinOff className="w-3 h-3" />}
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
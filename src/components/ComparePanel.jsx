@@ -0,0 +1,478 @@
+/**
+ * Comparison panel: 2–5 stores side by side, or two periods of the network or a store
+ *
+ * - stores: the grid's months; deltas vs the first store picked, the network
+ *   median and each store's peer-group median (same incoming quartile)
+ * - periods: any two month ranges, A vs B; for a store, the network and peer
+ *   medians of each period too
+ * Both modes overlay the monthly trends, one line per store or period.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { X, GitCompare, Plus } from 'lucide-react';
+import { formatCurrency, median } from '../utils';
+import { buildStoreRows } from '../metrics';
+import {
+  COMPARE_METRICS, MAX_COMPARE_STORES, compareValues, defaultPeriods, metricValues, monthsBetween, storeBenchmarks, storeTotals, sumMonths,
+} from '../compare';
+import { TrendLinesChart } from './ui';
+
+const formatPct = (v) => `${v.toFixed(1)}%`;
+const formatCount = (v) => Math.round(v).toLocaleString();
+const FORMATS = { incoming: formatCount, trx: formatCount, gmv: formatCurrency, aov: formatCurrency, approval: formatPct, conversion: formatPct };
+const format = (key, v) => (v === null || v === undefined ? '-' : FORMATS[key](v));
+
+// One color per compared store / period: line (text-*) and legend dot (bg-*)
+const SERIES_COLORS = [
+  { line: 'text-cyan-400', dot: 'bg-cyan-400' },
+  { line: 'text-amber-400', dot: 'bg-amber-400' },
+  { line: 'text-emerald-400', dot: 'bg-emerald-400' },
+  { line: 'text-violet-400', dot: 'bg-violet-400' },
+  { line: 'text-rose-400', dot: 'bg-rose-400' },
+];
+
+const CHART_KEYS = ['incoming', 'trx', 'gmv', 'conversion'];
+const CHART_METRICS = COMPARE_METRICS.filter(metric => CHART_KEYS.includes(metric.key));
+
+// Absolute and % change (pp for rates) of value vs base
+const Delta = ({ metric, value, base }) => {
+  const delta = compareValues(value, base, metric.rate);
+  if (!delta) return <span className="text-slate-600">-</span>;
+  const color = delta.abs > 0 ? 'text-emerald-400' : delta.abs < 0 ? 'text-rose-400' : 'text-slate-500';
+  const sign = delta.abs > 0 ? '+' : delta.abs < 0 ? '−' : '';
+  return (
+    <span className={color}>
+      {metric.rate ? `${sign}${Math.abs(delta.abs).toFixed(1)}pp` : delta.abs ? `${sign}${format(metric.key, Math.abs(delta.abs))}` : '0'}
+      {delta.pct !== null && ` (${sign}${Math.abs(delta.pct).toFixed(0)}%)`}
+    </span>
+  );
+};
+
+const Legend = ({ items }) => (
+  <div className="flex flex-wrap items-center gap-3 text-[10px] text-slate-400">
+    {items.map((item, i) => (
+      <span key={item.key} className="flex items-center gap-1">
+        <span className={`w-2 h-2 rounded-full ${SERIES_COLORS[i].dot}`} />
+        {item.label}
+      </span>
+    ))}
+    <span className="text-slate-500">- - network median per active store</span>
+  </div>
+);
+
+// Median of a metric over the stores with incoming in `month`
+const monthMedian = (storeData, month, metric) => median(
+  storeData
+    .map(s => s.data[month])
+    .filter(d => d?.incoming > 0)
+    .map(d => metric.value(d))
+    .filter(v => v !== null)
+);
+
+const Section = ({ title, children }) => (
+  <section className="mb-4">
+    <h3 className="text-[10px] font-medium text-slate-400 uppercase tracking-wider mb-2">{title}</h3>
+    {children}
+  </section>
+);
+
+const Card = ({ children }) => <div className="bg-slate-800/40 rounded-lg border border-white/5 overflow-hidden">{children}</div>;
+
+// ============================================================================
+// STORES
+// ============================================================================
+function StoreComparison({ codes, setCodes, stores, storeData, months, monthLabel, periodLabel }) {
+  const [input, setInput] = useState('');
+  const byCode = useMemo(() => Object.fromEntries(stores.map(s => [s.code, s])), [stores]);
+  const selected = useMemo(() => codes.map(code => byCode[code]).filter(Boolean), [codes, byCode]);
+  const base = selected[0];
+
+  const benchmarks = useMemo(
+    () => Object.fromEntries(selected.map(s => [s.code, storeBenchmarks(s, stores)])),
+    [selected, stores]
+  );
+  const network = base ? benchmarks[base.code].network : null;
+  const values = Object.fromEntries(selected.map(s => [s.code, metricValues(storeTotals(s))]));
+
+  const addStore = (e) => {
+    e.preventDefault();
+    const code = input.split(' — ')[0].trim().toUpperCase();
+    const match = stores.find(s => s.code.toUpperCase() === code);
+    if (match && !codes.includes(match.code) && codes.length < MAX_COMPARE_STORES) setCodes([...codes, match.code]);
+    setInput('');
+  };
+
+  return (
+    <>
+      {/* Picker */}
+      <div className="flex flex-wrap items-center gap-1.5 mb-4">
+        {selected.map((s, i) => (
+          <span key={s.code} className="flex items-center gap-1.5 pl-2 pr-1 py-1 bg-white/5 border border-white/10 rounded-lg text-slate-300">
+            <span className={`w-2 h-2 rounded-full ${SERIES_COLORS[i].dot}`} />
+            <span className="font-medium text-white">{s.code}</span>
+            <span className="text-slate-500 max-w-[140px] truncate">{s.name}</span>
+            <button onClick={() => setCodes(codes.filter(c => c !== s.code))} title="Remove" className="p-0.5 rounded hover:bg-white/10 hover:text-white">
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+        {codes.length < MAX_COMPARE_STORES && (
+          <form onSubmit={addStore} className="flex items-center gap-1">
+            <input
+              list="compare-stores"
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              placeholder="Add a store code..."
+              className="w-44 px-2 py-1 bg-slate-800/50 border border-white/10 rounded-lg text-white placeholder-slate-500 focus:outline-none focus:border-cyan-500/50"
+            />
+            <datalist id="compare-stores">
+              {stores.filter(s => !codes.includes(s.code)).map(s => <option key={s.code} value={`${s.code} — ${s.name}`} />)}
+            </datalist>
+            <button type="submit" title="Add to the comparison" className="p-1.5 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-slate-300">
+              <Plus className="w-3 h-3" />
+            </button>
+          </form>
+        )}
+        <span className="text-[10px] text-slate-500 ml-auto">{periodLabel} • up to {MAX_COMPARE_STORES} stores</span>
+      </div>
+
+      {selected.length < 2 ? (
+        <p className="text-slate-500 text-center py-8">Pick at least two stores to compare.</p>
+      ) : (
+        <>
+          <Section title="⚖️ Side by Side">
+            <Card>
+              <table className="w-full">
+                <thead>
+                  <tr className="text-slate-500 text-[10px]">
+                    <th className="text-left p-2 font-medium">Metric</th>
+                    {selected.map((s, i) => (
+                      <th key={s.code} className="p-2 text-center font-medium">
+                        <span className="inline-flex items-center gap-1"><span className={`w-1.5 h-1.5 rounded-full ${SERIES_COLORS[i].dot}`} />{s.code}</span>
+                        {i === 0 && <span className="block text-[9px] text-slate-600">base</span>}
+                      </th>
+                    ))}
+                    <th className="p-2 text-center font-medium">Network median</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {COMPARE_METRICS.map(metric => (
+                    <tr key={metric.key} className="border-t border-white/5">
+                      <td className="p-2 text-slate-300">{metric.label}</td>
+                      {selected.map((s, i) => (
+                        <td key={s.code} className="p-2 text-center">
+                          <span className="font-semibold text-white">{format(metric.key, values[s.code][metric.key])}</span>
+                          {i > 0 && <span className="block text-[9px]"><Delta metric={metric} value={values[s.code][metric.key]} base={values[base.code][metric.key]} /></span>}
+                        </td>
+                      ))}
+                      <td className="p-2 text-center text-slate-400">{format(metric.key, network[metric.key])}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </Card>
+            <p className="text-[9px] text-slate-600 mt-2">Deltas are vs {base.code}; rates in percentage points.</p>
+          </Section>
+
+          <Section title="🏅 Benchmarks">
+            <Card>
+              <table className="w-full">
+                <thead>
+                  <tr className="text-slate-500 text-[10px]">
+                    <th className="text-left p-2 font-medium">Store</th>
+                    {COMPARE_METRICS.map(metric => <th key={metric.key} className="p-2 text-center font-medium">{metric.label}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {selected.map(s => {
+                    const b = benchmarks[s.code];
+                    return (
+                      <tr key={s.code} className="border-t border-white/5">
+                        <td className="p-2 text-slate-300">
+                          {s.code}
+                          <span className="block text-[9px] text-slate-500">{b.quartile ? `Q${b.quartile}, ${b.peerCount} peers` : 'no peer group'}</span>
+                        </td>
+                        {COMPARE_METRICS.map(metric => (
+                          <td key={metric.key} className="p-2 text-center text-[10px]">
+                            <span className="block"><span className="text-slate-500">median </span><Delta metric={metric} value={values[s.code][metric.key]} base={b.network[metric.key]} /></span>
+                            <span className="block"><span className="text-slate-500">peers </span>{b.peers ? <Delta metric={metric} value={values[s.code][metric.key]} base={b.peers[metric.key]} /> : <span className="text-slate-600">-</span>}</span>
+                          </td>
+                        ))}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </Card>
+            <p className="text-[9px] text-slate-600 mt-2">
+              Medians over the {benchmarks[base.code].activeCount} active stores; peers are the active stores in the same incoming-volume quartile.
+            </p>
+          </Section>
+
+          <Section title="📈 Monthly Trend">
+            <div className="mb-2"><Legend items={selected.map(s => ({ key: s.code, label: s.code }))} /></div>
+            <div className="grid grid-cols-2 gap-2">
+              {CHART_METRICS.map(metric => (
+                <div key={metric.key} className="bg-slate-800/40 rounded-lg border border-white/5 p-2">
+                  <span className="text-slate-300 font-medium">{metric.label}</span>
+                  <TrendLinesChart
+                    labels={months.map(monthLabel)}
+                    series={selected.map((s, i) => ({
+                      key: s.code,
+                      label: s.code,
+                      className: SERIES_COLORS[i].line,
+                      values: months.map(m => (s.data[m] ? metric.value(s.data[m]) : null)),
+                    }))}
+                    benchmark={months.map(m => monthMedian(storeData, m, metric))}
+                    format={(v) => format(metric.key, v)}
+                  />
+                </div>
+              ))}
+            </div>
+          </Section>
+        </>
+      )}
+    </>
+  );
+}
+
+// ============================================================================
+// PERIODS
+// ============================================================================
+function PeriodComparison({ subject, setSubject, storeData, monthlyData, monthlyIndex, monthLabel, scopeLabel }) {
+  const allMonths = useMemo(() => monthlyData.map(m => m.month), [monthlyData]);
+  const [periods, setPeriods] = useState(() => defaultPeriods(allMonths));
+  const store = subject ? storeData.find(s => s.code === subject) : null;
+  const data = store ? store.data : monthlyIndex;
+
+  // Bounds picked the wrong way round still make a period
+  const periodMonths = useMemo(() => Object.fromEntries(['a', 'b'].map(key => {
+    const { from, to } = periods[key];
+    return [key, from <= to ? monthsBetween(from, to) : monthsBetween(to, from)];
+  })), [periods]);
+
+  const sides = ['a', 'b'].map((key, i) => {
+    const months = periodMonths[key];
+    return {
+      key,
+      label: `${key.toUpperCase()}: ${months.length === 1 ? monthLabel(months[0]) : `${monthLabel(months[0])} – ${monthLabel(months[months.length - 1])}`}`,
+      color: SERIES_COLORS[i],
+      months,
+      values: metricValues(sumMonths(data, months)),
+    };
+  });
+  const [a, b] = sides;
+
+  // A store's network / peer medians in each period
+  const benchmarks = useMemo(() => {
+    if (!store) return null;
+    return ['a', 'b'].map(key => {
+      const rows = buildStoreRows(storeData, periodMonths[key], monthlyIndex);
+      return storeBenchmarks(rows.find(s => s.code === store.code), rows);
+    });
+  }, [store, storeData, monthlyIndex, periodMonths]);
+
+  const setBound = (key, bound, month) => setPeriods(prev => ({ ...prev, [key]: { ...prev[key], [bound]: month } }));
+  const length = Math.max(a.months.length, b.months.length);
+
+  return (
+    <>
+      {/* Pickers */}
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <select
+          value={subject}
+          onChange={(e) => setSubject(e.target.value)}
+          className="px-2 py-1 bg-slate-800/50 border border-white/10 rounded-lg text-white focus:outline-none focus:border-cyan-500/50"
+        >
+          <option value="">{scopeLabel || 'Whole network'}</option>
+          {storeData.map(s => <option key={s.code} value={s.code}>{s.code} — {s.name}</option>)}
+        </select>
+        {sides.map(side => (
+          <span key={side.key} className="flex items-center gap-1 text-slate-400">
+            <span className={`w-2 h-2 rounded-full ${side.color.dot}`} />
+            {side.key.toUpperCase()}
+            {['from', 'to'].map(bound => (
+              <select
+                key={bound}
+                value={periods[side.key][bound]}
+                onChange={(e) => setBound(side.key, bound, e.target.value)}
+                aria-label={`Period ${side.key.toUpperCase()} ${bound}`}
+                className="px-1.5 py-1 bg-slate-800/50 border border-white/10 rounded-lg text-white focus:outline-none focus:border-cyan-500/50"
+              >
+                {!allMonths.includes(periods[side.key][bound]) && <option value={periods[side.key][bound]}>{periods[side.key][bound]}</option>}
+                {allMonths.map(m => <option key={m} value={m}>{monthLabel(m)}</option>)}
+              </select>
+            ))}
+          </span>
+        ))}
+      </div>
+
+      <Section title="⚖️ Period vs Period">
+        <Card>
+          <table className="w-full">
+            <thead>
+              <tr className="text-slate-500 text-[10px]">
+                <th className="text-left p-2 font-medium">Metric</th>
+                {sides.map(side => <th key={side.key} className="p-2 text-center font-medium">{side.label}</th>)}
+                <th className="p-2 text-center font-medium">A vs B</th>
+              </tr>
+            </thead>
+            <tbody>
+              {COMPARE_METRICS.map(metric => (
+                <tr key={metric.key} className="border-t border-white/5">
+                  <td className="p-2 text-slate-300">{metric.label}</td>
+                  {sides.map(side => <td key={side.key} className="p-2 text-center font-semibold text-white">{format(metric.key, side.values[metric.key])}</td>)}
+                  <td className="p-2 text-center"><Delta metric={metric} value={a.values[metric.key]} base={b.values[metric.key]} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Card>
+        <p className="text-[9px] text-slate-600 mt-2">
+          {store ? `${store.code} — ${store.name}` : scopeLabel || 'Whole network'}. Months without data count as zero; rate changes in percentage points.
+        </p>
+      </Section>
+
+      {benchmarks && (
+        <Section title="🏅 Benchmarks">
+          <Card>
+            <table className="w-full">
+              <thead>
+                <tr className="text-slate-500 text-[10px]">
+                  <th className="text-left p-2 font-medium">Metric</th>
+                  {sides.map(side => (
+                    <React.Fragment key={side.key}>
+                      <th className="p-2 text-center font-medium">{side.key.toUpperCase()} network median</th>
+                      <th className="p-2 text-center font-medium">{side.key.toUpperCase()} peer median</th>
+                    </React.Fragment>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {COMPARE_METRICS.map(metric => (
+                  <tr key={metric.key} className="border-t border-white/5">
+                    <td className="p-2 text-slate-300">{metric.label}</td>
+                    {sides.map((side, i) => ['network', 'peers'].map(kind => {
+                      const benchmark = benchmarks[i][kind]?.[metric.key] ?? null;
+                      return (
+                        <td key={`${side.key}-${kind}`} className="p-2 text-center text-slate-400">
+                          {format(metric.key, benchmark)}
+                          <span className="block text-[9px]"><Delta metric={metric} value={side.values[metric.key]} base={benchmark} /></span>
+                        </td>
+                      );
+                    }))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </Card>
+          <p className="text-[9px] text-slate-600 mt-2">
+            {sides.map((side, i) => `${side.key.toUpperCase()}: ${benchmarks[i].quartile ? `Q${benchmarks[i].quartile}, ${benchmarks[i].peerCount} peers` : 'no incoming, no peer group'}`).join(' • ')}.
+            {' '}Medians over the active stores of each period; the store's delta is shown under each benchmark.
+          </p>
+        </Section>
+      )}
+
+      <Section title="📈 Monthly Trend">
+        <div className="mb-2"><Legend items={sides} /></div>
+        <div className="grid grid-cols-2 gap-2">
+          {CHART_METRICS.map(metric => (
+            <div key={metric.key} className="bg-slate-800/40 rounded-lg border border-white/5 p-2">
+              <span className="text-slate-300 font-medium">{metric.label}</span>
+              <TrendLinesChart
+                labels={Array.from({ length }, (_, i) => `M${i + 1}`)}
+                series={sides.map(side => ({
+                  key: side.key,
+                  label: side.key.toUpperCase(),
+                  className: side.color.line,
+                  values: Array.from({ length }, (_, i) => (data[side.months[i]] ? metric.value(data[side.months[i]]) : null)),
+                }))}
+                benchmark={store ? Array.from({ length }, (_, i) => (a.months[i] ? monthMedian(storeData, a.months[i], metric) : null)) : null}
+                format={(v) => format(metric.key, v)}
+              />
+            </div>
+          ))}
+        </div>
+        <p className="text-[9px] text-slate-600 mt-2">
+          Months line up by position (M1 = the first month of each period){store ? '; the median line is period A\'s' : ''}.
+        </p>
+      </Section>
+    </>
+  );
+}
+
+export default function ComparePanel({ initialCodes, stores, storeData, monthlyData, monthlyIndex, months, periodLabel, scopeLabel, onClose }) {
+  const [mode, setMode] = useState('stores'); // stores | periods
+  const [codes, setCodes] = useState(initialCodes);
+  // Periods of one store ('' = the network): the store the panel was opened from, if any
+  const [subject, setSubject] = useState(initialCodes.length === 1 ? initialCodes[0] : '');
+  const monthLabel = (month) => monthlyIndex[month]?.label ?? month;
+
+  // Esc closes the panel
+  useEffect(() => {
+    const onKeyDown = (e) => { if (e.key === 'Escape') onClose(); };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [onClose]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end">
+      <div className="absolute inset-0 bg-slate-950/70 backdrop-blur-sm" onClick={onClose} />
+
+      <aside className="relative w-full max-w-4xl h-full overflow-y-auto bg-slate-900 border-l border-white/10 p-4 text-xs">
+        {/* Header */}
+        <div className="flex items-start justify-between mb-4">
+          <div className="flex items-center gap-2">
+            <div className="p-1.5 bg-white/5 rounded-lg">
+              <GitCompare className="w-4 h-4 text-cyan-400" />
+            </div>
+            <div>
+              <h2 className="text-sm font-bold text-white">Compare</h2>
+              <p className="text-[10px] text-slate-500">{scopeLabel || 'Whole network'}</p>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="flex bg-white/5 border border-white/10 rounded-lg p-0.5">
+              {[['stores', 'Stores'], ['periods', 'Periods']].map(([key, label]) => (
+                <button
+                  key={key}
+                  onClick={() => setMode(key)}
+                  className={`px-2.5 py-1 rounded-md text-[11px] transition-colors ${mode === key ? 'bg-cyan-500/20 text-cyan-300' : 'text-slate-400 hover:text-white'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <button onClick={onClose} className="p-1 hover:bg-white/10 rounded-lg text-slate-400 hover:text-white">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+
+        {monthlyData.length === 0 ? (
+          <p className="text-slate-500 text-center py-8">No data loaded.</p>
+        ) : mode === 'stores' ? (
+          <StoreComparison
+            codes={codes}
+            setCodes={setCodes}
+            stores={stores}
+            storeData={storeData}
+            months={months}
+            monthLabel={monthLabel}
+            periodLabel={periodLabel}
+          />
+        ) : (
+          <PeriodComparison
+            subject={subject}
+            setSubject={setSubject}
+            storeData={storeData}
+            monthlyData={monthlyData}
+            monthlyIndex={monthlyIndex}
+            monthLabel={monthLabel}
+            scopeLabel={scopeLabel}
+          />
+        )}
+      </aside>
+    </div>
+  );
+}
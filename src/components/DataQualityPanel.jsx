@@ -0,0 +1,129 @@
+/**
+ * Diagnostics drawer: data-quality findings on the source table (sf_data_quality)
+ * and on the loaded data (dataQuality.js), with counts and sample rows.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { ShieldCheck, X, ChevronRight, ChevronDown, RefreshCw } from 'lucide-react';
+import { DATA_CHECKS, SAMPLE_LIMIT, countIssues } from '../dataQuality';
+
+// Samples of one check can have different fields; a field a sample lacks stays blank
+const formatValue = (value) => {
+  if (value === undefined) return '';
+  if (value === null) return <span className="text-rose-400">null</span>;
+  if (typeof value === 'number') return value.toLocaleString();
+  return String(value);
+};
+
+function SampleTable({ samples }) {
+  const columns = [...new Set(samples.flatMap(Object.keys))];
+  return (
+    <div className="overflow-x-auto mt-1">
+      <table className="w-full">
+        <thead>
+          <tr className="text-[9px] text-slate-500">
+            {columns.map(col => <th key={col} className="p-1 text-left font-medium whitespace-nowrap">{col}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {samples.map((sample, i) => (
+            <tr key={i} className="border-t border-white/5 text-slate-300">
+              {columns.map(col => <td key={col} className="p-1 whitespace-nowrap">{formatValue(sample[col])}</td>)}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function FindingRow({ finding }) {
+  const [open, setOpen] = useState(false);
+  const check = DATA_CHECKS[finding.check] || { label: finding.check, description: '' };
+  const Chevron = open ? ChevronDown : ChevronRight;
+  return (
+    <div className="border-t border-white/5 py-1.5">
+      <button onClick={() => setOpen(o => !o)} className="w-full flex items-start gap-1.5 text-left">
+        <Chevron className="w-3 h-3 mt-0.5 text-slate-500 flex-shrink-0" />
+        <span className="flex-1">
+          <span className="text-slate-200">{check.label}</span>
+          <span className="block text-[10px] text-slate-500">{check.description}</span>
+        </span>
+        <span className="px-1.5 py-0.5 bg-amber-500/15 text-amber-300 rounded text-[10px]">{finding.count.toLocaleString()}</span>
+      </button>
+      {open && (
+        <div className="ml-4">
+          <SampleTable samples={finding.samples} />
+          {finding.count > finding.samples.length && (
+            <p className="text-[9px] text-slate-500 mt-1">First {finding.samples.length} of {finding.count.toLocaleString()}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function FindingList({ findings, empty }) {
+  if (findings.length === 0) {
+    return <p className="text-[10px] text-emerald-400">{empty}</p>;
+  }
+  return findings.map(f => <FindingRow key={f.check} finding={f} />);
+}
+
+// source: findings from sf_data_quality (undefined = still checking, null = unavailable);
+// loaded: findings on the dataset in memory; onRerun re-runs the source checks
+export default function DataQualityPanel({ table, source, loaded, onRerun, onClose }) {
+  useEffect(() => {
+    const onKeyDown = (e) => { if (e.key === 'Escape') onClose(); };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [onClose]);
+
+  const total = countIssues(source || []) + countIssues(loaded);
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end">
+      <div className="absolute inset-0 bg-slate-950/70 backdrop-blur-sm" onClick={onClose} />
+
+      <aside className="relative w-full max-w-lg h-full overflow-y-auto bg-slate-900 border-l border-white/10 p-4 text-xs">
+        <div className="flex items-start justify-between mb-4">
+          <div className="flex items-center gap-2">
+            <div className="p-1.5 bg-white/5 rounded-lg">
+              <ShieldCheck className={`w-4 h-4 ${total ? 'text-amber-400' : 'text-emerald-400'}`} />
+            </div>
+            <div>
+              <h2 className="text-sm font-bold text-white">Data quality</h2>
+              <p className="text-[10px] text-slate-500">
+                {total ? `${total.toLocaleString()} flagged rows` : 'Nothing flagged'} • up to {SAMPLE_LIMIT} samples per check
+              </p>
+            </div>
+          </div>
+          <button onClick={onClose} className="p-1 hover:bg-white/10 rounded-lg text-slate-400 hover:text-white">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <section className="mb-4">
+          <div className="flex items-center justify-between mb-1">
+            <h3 className="text-[10px] font-medium text-slate-400 uppercase tracking-wider">Source table <span className="normal-case text-slate-500">{table}</span></h3>
+            <button onClick={onRerun} disabled={source === undefined} title="Run the checks again" className="p-1 rounded text-slate-500 hover:text-white hover:bg-white/10 disabled:opacity-40">
+              <RefreshCw className={`w-3 h-3 ${source === undefined ? 'animate-spin' : ''}`} />
+            </button>
+          </div>
+          {source === undefined ? (
+            <p className="text-[10px] text-slate-500">Checking...</p>
+          ) : source === null ? (
+            <p className="text-[10px] text-slate-500">Couldn't run the checks: is the sf_data_quality migration applied?</p>
+          ) : (
+            <FindingList findings={source} empty="No problems in the rows you can see" />
+          )}
+        </section>
+
+        <section>
+          <h3 className="text-[10px] font-medium text-slate-400 uppercase tracking-wider mb-1">Loaded data</h3>
+          <FindingList findings={loaded} empty="Store-months are consistent and add up to the network totals" />
+        </section>
+      </aside>
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+/**
+ * Funnel: incoming → approved → trx settled for the stores and months the
+ * Store Performance grid shows, against the same-length period before it.
+ * Clicking a stage lists the stores behind most of its drop-off.
+ */
+
+import React, { useMemo, useState } from 'react';
+import { buildFunnel, previousPeriod, dropOffContributors } from '../funnel';
+import { RateBadge, YoYDelta } from './ui';
+
+const formatPct = (v) => (v === null || v === undefined ? '-' : `${v.toFixed(1)}%`);
+
+// stores: grid rows with `data`; months: 'YYYY-MM' keys of the period;
+// periodLabel / previousLabel: shown in the header; onSelectStore: jump to a grid row
+export default function FunnelPanel({ stores, months, periodLabel, previousLabel, thresholds, onSelectStore }) {
+  const [openStage, setOpenStage] = useState('approved');
+
+  const prevMonths = useMemo(() => previousPeriod(months), [months]);
+  const funnel = useMemo(() => buildFunnel(stores, months), [stores, months]);
+  const prevFunnel = useMemo(() => buildFunnel(stores, prevMonths), [stores, prevMonths]);
+  const contributors = useMemo(
+    () => (openStage ? dropOffContributors(stores, months, openStage) : []),
+    [stores, months, openStage]
+  );
+  const top = funnel[0].value || 1;
+  const hasPrevious = prevFunnel[0].value > 0;
+
+  return (
+    <section className="mb-4">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-[10px] font-medium text-slate-400 uppercase tracking-wider">
+          🔻 Funnel <span className="normal-case text-slate-500">• {periodLabel} • {stores.length} stores</span>
+        </h2>
+        <span className="text-[9px] text-slate-500">Follows the store grid's month range, search and scope • vs {previousLabel}</span>
+      </div>
+
+      <div className="bg-slate-900/50 rounded-xl border border-white/10 p-3 grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="space-y-1">
+          {funnel.map((stage, i) => {
+            const prev = prevFunnel[i];
+            const clickable = i > 0;
+            return (
+              <React.Fragment key={stage.key}>
+                {stage.dropOff !== null && (
+                  <p className="pl-24 text-[10px] text-rose-400/80">
+                    − {stage.dropOff.toLocaleString()} {stage.dropLabel}
+                    <span className="text-slate-500"> ({formatPct(100 - stage.rate)})</span>
+                  </p>
+                )}
+                <button
+                  onClick={() => clickable && setOpenStage(s => (s === stage.key ? null : stage.key))}
+                  disabled={!clickable}
+                  title={clickable ? 'Stores behind this drop-off' : undefined}
+                  className={`w-full flex items-center gap-2 p-1 rounded text-left ${openStage === stage.key ? 'bg-white/10' : clickable ? 'hover:bg-white/5' : ''}`}
+                >
+                  <span className="w-20 text-slate-400">{stage.label}</span>
+                  <div className="flex-1 h-5 bg-white/5 rounded overflow-hidden">
+                    <div className={`h-full ${stage.bar}`} style={{ width: `${(stage.value / top) * 100}%` }} />
+                  </div>
+                  <span className="w-16 text-right font-semibold text-white">
+                    {stage.value.toLocaleString()}
+                    {hasPrevious && <YoYDelta current={stage.value} previous={prev.value} label="vs prev" />}
+                  </span>
+                  <span className="w-24 text-right text-slate-500">
+                    {stage.rate !== null && (
+                      <>
+                        {stage.key === 'approved' ? <RateBadge value={stage.rate} thresholds={thresholds.approval} /> : formatPct(stage.rate)} {stage.rateLabel}
+                        {hasPrevious && <YoYDelta current={stage.rate} previous={prev.rate} points label="vs prev" />}
+                      </>
+                    )}
+                  </span>
+                </button>
+              </React.Fragment>
+            );
+          })}
+          <p className="text-[10px] text-slate-500 pt-1 border-t border-white/5">
+            Overall conversion{' '}
+            <RateBadge value={funnel[0].value ? (funnel[2].value / funnel[0].value) * 100 : null} thresholds={thresholds.conversion} />
+            {hasPrevious && (
+              <span className="ml-1 text-slate-600">
+                prev {formatPct(prevFunnel[0].value ? (prevFunnel[2].value / prevFunnel[0].value) * 100 : null)}
+              </span>
+            )}
+          </p>
+        </div>
+
+        <div>
+          {openStage ? (
+            <>
+              <p className="text-[10px] text-slate-400 mb-1">
+                Biggest drop-off to <span className="text-white">{funnel.find(s => s.key === openStage).label}</span>
+              </p>
+              <table className="w-full">
+                <thead>
+                  <tr className="text-slate-500 text-[10px]">
+                    <th className="text-left p-1 font-medium">Store</th>
+                    <th className="p-1 text-right font-medium">Lost</th>
+                    <th className="p-1 text-right font-medium">Share</th>
+                    <th className="p-1 text-right font-medium">Rate</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {contributors.map(row => (
+                    <tr key={row.code} className="border-t border-white/5 hover:bg-white/5 cursor-pointer" onClick={() => onSelectStore(row.code)}>
+                      <td className="p-1">
+                        <span className="text-white font-medium">{row.code}</span>{' '}
+                        <span className="text-[9px] text-slate-500">{row.name}</span>
+                      </td>
+                      <td className="p-1 text-right text-rose-400">−{row.lost.toLocaleString()}</td>
+                      <td className="p-1 text-right text-slate-400">{formatPct(row.share)}</td>
+                      <td className="p-1 text-right text-slate-300">{formatPct(row.rate)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {contributors.length === 0 && <p className="text-[10px] text-slate-500 text-center py-2">No drop-off</p>}
+            </>
+          ) : (
+            <p className="text-[10px] text-slate-500 text-center py-6">Click Approved or Trx settled to see which stores lose the most</p>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,172 @@
+/**
+ * Office TV leaderboard (?mode=tv): top N stores by trx, GMV or conversion
+ *
+ * Big type, no interaction needed: the dashboard's realtime updates / polling
+ * keep it current, and it can rotate through the metrics. The settings live in
+ * the URL (board, top, period, rotate) so the TV's bookmark restores them.
+ * Rank changes are vs the previous month, or for the year to date vs the year
+ * to date one month earlier.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { X, Tv, Maximize, Minimize } from 'lucide-react';
+import { formatTime, getYear, readUrlParam, replaceUrlParams, shiftMonth } from '../utils';
+import { RANK_METRICS, MIN_RATE_INCOMING, getRankMetric, rankChange, rankStores } from '../leaderboard';
+import { RankChange } from './ui';
+
+const TOP_OPTIONS = [5, 10, 15, 20];
+const PERIODS = { month: 'Latest month', ytd: 'Year to date' };
+const ROTATE_SECONDS = 30;
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+// URL params of the leaderboard's settings, cleared when leaving it
+export const LEADERBOARD_PARAMS = ['board', 'top', 'period', 'rotate'];
+
+const readSettings = () => ({
+  board: getRankMetric(readUrlParam('board')).key,
+  top: TOP_OPTIONS.includes(Number(readUrlParam('top'))) ? Number(readUrlParam('top')) : 10,
+  period: PERIODS[readUrlParam('period')] ? readUrlParam('period') : 'month',
+  rotate: readUrlParam('rotate') === '1',
+});
+
+const selectClass = 'px-1.5 py-1 bg-slate-800 border border-white/10 rounded-lg text-slate-300 focus:outline-none';
+
+export default function LeaderboardTV({ merchant, scopeLabel, storeData, months, monthlyIndex, partialMonth, master, lastUpdated, onExit }) {
+  const [settings, setSettings] = useState(readSettings);
+  const [fullscreen, setFullscreen] = useState(!!document.fullscreenElement);
+  const metric = getRankMetric(settings.board);
+
+  const update = (changes) => {
+    setSettings(prev => ({ ...prev, ...changes }));
+    replaceUrlParams(Object.fromEntries(Object.entries(changes).map(([key, value]) => [key, key === 'rotate' ? (value ? '1' : null) : value])));
+  };
+
+  // Esc goes back to the dashboard (leaving full screen first is the browser's)
+  useEffect(() => {
+    const onKeyDown = (e) => { if (e.key === 'Escape' && !document.fullscreenElement) onExit(); };
+    const onFullscreen = () => setFullscreen(!!document.fullscreenElement);
+    window.addEventListener('keydown', onKeyDown);
+    document.addEventListener('fullscreenchange', onFullscreen);
+    return () => {
+      window.removeEventListener('keydown', onKeyDown);
+      document.removeEventListener('fullscreenchange', onFullscreen);
+    };
+  }, [onExit]);
+
+  useEffect(() => {
+    if (!settings.rotate) return undefined;
+    const timer = setInterval(() => setSettings(prev => {
+      const next = RANK_METRICS[(RANK_METRICS.findIndex(m => m.key === prev.board) + 1) % RANK_METRICS.length].key;
+      replaceUrlParams({ board: next });
+      return { ...prev, board: next };
+    }), ROTATE_SECONDS * 1000);
+    return () => clearInterval(timer);
+  }, [settings.rotate]);
+
+  const latest = months[months.length - 1];
+  const board = useMemo(() => {
+    if (!latest) return null;
+    const yearMonths = months.filter(m => getYear(m) === getYear(latest));
+    const [current, previous] = settings.period === 'ytd'
+      ? [yearMonths, yearMonths.slice(0, -1)]
+      : [[latest], monthlyIndex[shiftMonth(latest, -1)] ? [shiftMonth(latest, -1)] : []];
+    const ranking = rankStores(storeData, current, metric);
+    const before = previous.length ? rankStores(storeData, previous, metric) : null;
+    const names = Object.fromEntries(storeData.map(s => [s.code, s.name]));
+    return {
+      count: ranking.count,
+      rows: Object.entries(ranking.ranks)
+        .sort(([, a], [, b]) => a.rank - b.rank)
+        .slice(0, settings.top)
+        .map(([code, { rank, value }]) => ({
+          code,
+          rank,
+          value,
+          name: names[code],
+          region: master[code]?.region,
+          change: before ? rankChange({ rank }, before.ranks[code]) : null,
+        })),
+    };
+  }, [latest, months, monthlyIndex, storeData, master, metric, settings.period, settings.top]);
+
+  const periodLabel = !latest
+    ? ''
+    : settings.period === 'ytd'
+      ? `${getYear(latest)} year to date`
+      : `${monthlyIndex[latest].label}${latest === partialMonth ? ', month to date' : ''}`;
+  const columns = board && board.rows.length > 10 ? [board.rows.slice(0, Math.ceil(board.rows.length / 2)), board.rows.slice(Math.ceil(board.rows.length / 2))] : [board?.rows || []];
+
+  const toggleFullscreen = () => {
+    if (document.fullscreenElement) document.exitFullscreen?.();
+    else document.documentElement.requestFullscreen?.();
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 text-white p-8 flex flex-col">
+      {/* Settings: dim until hovered, so they stay out of the way on the TV */}
+      <div className="fixed top-3 right-3 z-10 flex items-center gap-1.5 text-[11px] opacity-30 hover:opacity-100 focus-within:opacity-100 transition-opacity">
+        <select value={settings.board} onChange={(e) => update({ board: e.target.value })} aria-label="Metric" className={selectClass}>
+          {RANK_METRICS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+        </select>
+        <select value={settings.top} onChange={(e) => update({ top: Number(e.target.value) })} aria-label="Stores shown" className={selectClass}>
+          {TOP_OPTIONS.map(n => <option key={n} value={n}>Top {n}</option>)}
+        </select>
+        <select value={settings.period} onChange={(e) => update({ period: e.target.value })} aria-label="Period" className={selectClass}>
+          {Object.entries(PERIODS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+        <label className="flex items-center gap-1 px-1.5 py-1 bg-slate-800 border border-white/10 rounded-lg text-slate-300">
+          <input type="checkbox" checked={settings.rotate} onChange={(e) => update({ rotate: e.target.checked })} />
+          Rotate every {ROTATE_SECONDS}s
+        </label>
+        <button onClick={toggleFullscreen} title={fullscreen ? 'Leave full screen' : 'Full screen'} className="p-1.5 bg-slate-800 border border-white/10 rounded-lg text-slate-300 hover:text-white">
+          {fullscreen ? <Minimize className="w-3.5 h-3.5" /> : <Maximize className="w-3.5 h-3.5" />}
+        </button>
+        <button onClick={onExit} title="Back to the dashboard (Esc)" className="p-1.5 bg-slate-800 border border-white/10 rounded-lg text-slate-300 hover:text-white">
+          <X className="w-3.5 h-3.5" />
+        </button>
+      </div>
+
+      {/* Title */}
+      <div className="flex items-end justify-between mb-8">
+        <div>
+          <p className="flex items-center gap-2 text-lg text-cyan-400 font-medium">
+            <Tv className="w-5 h-5" /> {merchant.name}{scopeLabel ? ` • ${scopeLabel}` : ''}
+          </p>
+          <h1 className="text-5xl font-bold mt-1">Top {settings.top} stores by {metric.label}</h1>
+          <p className="text-xl text-slate-400 mt-2">{periodLabel}</p>
+        </div>
+        {lastUpdated && <p className="text-lg text-slate-500">Updated {formatTime(lastUpdated)}</p>}
+      </div>
+
+      {!board || board.rows.length === 0 ? (
+        <p className="flex-1 flex items-center justify-center text-3xl text-slate-500">No stores to rank yet</p>
+      ) : (
+        <div className={`flex-1 grid gap-x-12 ${columns.length > 1 ? 'grid-cols-2' : 'grid-cols-1 max-w-5xl w-full mx-auto'}`}>
+          {columns.map((rows, i) => (
+            <ol key={i} className="space-y-2">
+              {rows.map(row => (
+                <li
+                  key={row.code}
+                  className={`flex items-center gap-5 px-5 py-3 rounded-2xl border ${row.rank <= 3 ? 'bg-cyan-500/10 border-cyan-500/20' : 'bg-white/5 border-white/5'}`}
+                >
+                  <span className="w-14 text-4xl font-bold text-slate-300 tabular-nums">{MEDALS[row.rank - 1] || row.rank}</span>
+                  <span className="w-14"><RankChange change={row.change} className="text-2xl font-semibold" /></span>
+                  <span className="flex-1 min-w-0">
+                    <span className="block text-3xl font-semibold truncate">{row.name || row.code}</span>
+                    <span className="block text-lg text-slate-500">{row.code}{row.region ? ` • ${row.region}` : ''}</span>
+                  </span>
+                  <span className="text-4xl font-bold text-cyan-300 tabular-nums">{metric.format(row.value)}</span>
+                </li>
+              ))}
+            </ol>
+          ))}
+        </div>
+      )}
+
+      <p className="mt-6 text-base text-slate-600">
+        {board?.count ?? 0} stores ranked • arrows: places gained or lost vs {settings.period === 'ytd' ? 'the year to date a month earlier' : 'the previous month'}
+        {metric.key === 'conversion' ? ` • conversion ranks stores with at least ${MIN_RATE_INCOMING} incoming` : ''}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+/**
+ * Top movers / biggest decliners: stores that gained or lost the most places in
+ * the ranking on trx, GMV or conversion, month vs previous month (leaderboard.js).
+ * Clicking a store jumps to its row in the Store Performance grid.
+ */
+
+import React, { useMemo, useState } from 'react';
+import { TrendingUp, TrendingDown } from 'lucide-react';
+import { RANK_METRICS, MIN_RATE_INCOMING, topMovers } from '../leaderboard';
+import { RankChange } from './ui';
+
+const MOVERS_COUNT = 5;
+
+const MoverList = ({ title, icon: Icon, tone, movers, metric, names, onSelectStore }) => (
+  <div className="bg-slate-900/50 rounded-xl border border-white/10 p-2">
+    <p className={`flex items-center gap-1 text-[10px] font-medium mb-1.5 ${tone}`}>
+      <Icon className="w-3 h-3" /> {title}
+    </p>
+    {movers.length === 0 ? (
+      <p className="text-[11px] text-slate-500 text-center py-2">No store moved</p>
+    ) : (
+      <div className="space-y-1">
+        {movers.map(m => (
+          <button
+            key={m.code}
+            onClick={() => onSelectStore(m.code)}
+            title="Show in Store Performance"
+            className="w-full flex items-center gap-2 px-2 py-1 rounded-lg bg-white/5 hover:bg-white/10 text-left transition-colors"
+          >
+            <span className="w-8 shrink-0"><RankChange change={m.change} className="text-[11px] font-semibold" /></span>
+            <span className="min-w-0 flex-1 text-[11px] text-white font-medium truncate">
+              {m.code} <span className="text-slate-500 font-normal">{names[m.code]}</span>
+            </span>
+            <span className="text-[10px] text-slate-400 whitespace-nowrap">#{m.prevRank} → <span className="text-white font-semibold">#{m.rank}</span></span>
+            <span className="w-16 text-right text-[10px] text-slate-400">{metric.format(m.value)}</span>
+          </button>
+        ))}
+      </div>
+    )}
+  </div>
+);
+
+export default function MoversPanel({ ranks, month, previousMonth, monthLabel, stores, onSelectStore }) {
+  const [metricKey, setMetricKey] = useState('trx');
+  const metric = RANK_METRICS.find(m => m.key === metricKey);
+  const names = useMemo(() => Object.fromEntries(stores.map(s => [s.code, s.name])), [stores]);
+
+  const current = ranks[metricKey][month];
+  const previous = ranks[metricKey][previousMonth];
+  const movers = useMemo(
+    () => (current && previous ? topMovers(current, previous, MOVERS_COUNT) : { up: [], down: [] }),
+    [current, previous]
+  );
+
+  return (
+    <section className="mb-4">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-[10px] font-medium text-slate-400 uppercase tracking-wider">
+          🏁 Top Movers <span className="normal-case text-slate-500">• rank in {monthLabel(month)} vs {monthLabel(previousMonth)}</span>
+        </h2>
+        <div className="flex items-center gap-1 text-[10px]">
+          {RANK_METRICS.map(m => (
+            <button
+              key={m.key}
+              onClick={() => setMetricKey(m.key)}
+              className={`px-1.5 py-0.5 rounded border transition-colors ${
+                metricKey === m.key ? 'text-cyan-300 bg-cyan-500/10 border-cyan-500/20' : 'border-white/10 text-slate-400 hover:text-white'
+              }`}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+        <MoverList title="Top movers" icon={TrendingUp} tone="text-emerald-400" movers={movers.up} metric={metric} names={names} onSelectStore={onSelectStore} />
+        <MoverList title="Biggest decliners" icon={TrendingDown} tone="text-rose-400" movers={movers.down} metric={metric} names={names} onSelectStore={onSelectStore} />
+      </div>
+      <p className="text-[9px] text-slate-600 mt-1.5">
+        Stores ranked in both months, among {current?.count ?? 0} ranked in {monthLabel(month)}
+        {metric.key === 'conversion' ? ` (conversion ranks stores with at least ${MIN_RATE_INCOMING} incoming)` : ''}.
+      </p>
+    </section>
+  );
+}
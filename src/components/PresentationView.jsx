@@ -0,0 +1,297 @@
+/**
+ * Presentation / print mode for partner business reviews (?mode=present)
+ *
+ * A light, paginated version of the dashboard for the current year and scope:
+ * a cover with the headline KPIs, the quarterly table, the monthly table split
+ * into pages of MONTHS_PER_PAGE months (metric names repeated on each), and a
+ * top / bottom N stores appendix. On screen the pages are sheets; printing
+ * (index.css sets landscape A4) puts each on its own page, and long store
+ * tables repeat their header row.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Printer, X } from 'lucide-react';
+import { formatCurrency, formatDateTime, pctChange, shiftMonth } from '../utils';
+import { aov, approvalRate, conversionRate, penetrationRate } from '../metrics';
+
+const MONTHS_PER_PAGE = 6;
+const APPENDIX_SIZES = [10, 25, 50];
+const APPENDIX_METRICS = [
+  { key: 'totalTrx', label: 'Trx' },
+  { key: 'totalGMV', label: 'GMV' },
+  { key: 'totalIncoming', label: 'Incoming' },
+  { key: 'avgConversion', label: 'Conv %' },
+];
+
+const selectClass = 'px-2 py-1 bg-white border border-slate-300 rounded text-slate-700 focus:outline-none focus:border-cyan-600';
+
+const count = (value) => (value === null || value === undefined ? '-' : value.toLocaleString());
+const pct = (value) => (value === null || value === undefined ? '-' : `${value.toFixed(1)}%`);
+
+// RateBadge's green / amber / red bands in print-friendly colors
+function Rate({ value, thresholds }) {
+  if (value === null || value === undefined) return <span className="text-slate-400">-</span>;
+  const color = value >= thresholds[0] ? 'text-emerald-700' : value >= thresholds[1] ? 'text-amber-700' : 'text-rose-700';
+  return <span className={`font-semibold ${color}`}>{pct(value)}</span>;
+}
+
+// Change vs the same months last year: % for volumes, points for rates
+function Change({ current, previous, points = false }) {
+  const change = points
+    ? (current === null || previous === null || previous === undefined ? null : current - previous)
+    : pctChange(current, previous);
+  if (change === null || !Number.isFinite(change)) return null;
+  const color = change > 0 ? 'text-emerald-700' : change < 0 ? 'text-rose-700' : 'text-slate-500';
+  return <span className={`block text-[10px] font-normal ${color}`}>{change > 0 ? '+' : ''}{change.toFixed(1)}{points ? ' pts' : '%'} YoY</span>;
+}
+
+// One printed page; the first one doesn't force a break
+const Sheet = ({ title, subtitle, children, first = false }) => (
+  <section className={`bg-white max-w-[1100px] mx-auto mb-6 p-8 shadow-sm border border-slate-200 print:max-w-none print:m-0 print:p-0 print:shadow-none print:border-0 ${first ? '' : 'print:break-before-page'}`}>
+    {title && (
+      <header className="mb-4 pb-2 border-b border-slate-200">
+        <h2 className="text-base font-semibold text-slate-900">{title}</h2>
+        {subtitle && <p className="text-xs text-slate-500">{subtitle}</p>}
+      </header>
+    )}
+    {children}
+  </section>
+);
+
+// Metrics down the side, one column per period ({ key, label, data, prev })
+function PeriodTable({ columns, totalStores, thresholds }) {
+  const rows = [
+    { label: '# Stores w/ Incoming', value: d => count(d.storesWithIncoming) },
+    { label: '# Stores w/ Trx', value: d => count(d.storesWithTrx) },
+    {
+      label: '% Stores w/ Trx',
+      value: (d, prev) => (
+        <>
+          <Rate value={penetrationRate(d.storesWithTrx, totalStores)} thresholds={thresholds.storePenetration} />
+          <Change current={penetrationRate(d.storesWithTrx, totalStores)} previous={prev && penetrationRate(prev.storesWithTrx, totalStores)} points />
+        </>
+      ),
+    },
+    { label: 'Incoming', value: (d, prev) => <>{count(d.incoming)}<Change current={d.incoming} previous={prev?.incoming} /></> },
+    { label: 'Approved', value: d => count(d.approved) },
+    { label: 'Trx', value: (d, prev) => <span className="font-semibold">{count(d.trx)}<Change current={d.trx} previous={prev?.trx} /></span> },
+    { label: 'GMV', value: (d, prev) => <>{formatCurrency(d.gmv)}<Change current={d.gmv} previous={prev?.gmv} /></> },
+    { label: 'AOV', value: (d, prev) => <>{formatCurrency(aov(d))}<Change current={aov(d)} previous={aov(prev)} /></> },
+    {
+      label: 'Appr %',
+      value: (d, prev) => <><Rate value={approvalRate(d)} thresholds={thresholds.approval} /><Change current={approvalRate(d)} previous={approvalRate(prev)} points /></>,
+    },
+    {
+      label: 'Conv %',
+      value: (d, prev) => <><Rate value={conversionRate(d)} thresholds={thresholds.conversion} /><Change current={conversionRate(d)} previous={conversionRate(prev)} points /></>,
+    },
+  ];
+
+  return (
+    <table className="w-full text-xs">
+      <thead>
+        <tr className="bg-slate-100 text-slate-600">
+          <th className="p-2 text-left font-medium">Metric</th>
+          {columns.map(c => <th key={c.key} className="p-2 text-right font-medium">{c.label}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row.label} className="border-t border-slate-200 break-inside-avoid">
+            <th className="p-2 text-left font-medium text-slate-600 whitespace-nowrap">{row.label}</th>
+            {columns.map(c => <td key={c.key} className="p-2 text-right text-slate-900 whitespace-nowrap">{row.value(c.data, c.prev)}</td>)}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function StoreTable({ title, stores, master, thresholds }) {
+  const hasRegions = stores.some(s => master[s.code]?.region);
+  return (
+    <div className="mb-6 last:mb-0">
+      <h3 className="text-[10px] font-medium text-slate-500 uppercase tracking-wider mb-2">{title}</h3>
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="bg-slate-100 text-slate-600">
+            <th className="p-1.5 text-right font-medium w-8">#</th>
+            <th className="p-1.5 text-left font-medium">Store</th>
+            <th className="p-1.5 text-left font-medium">Code</th>
+            {hasRegions && <th className="p-1.5 text-left font-medium">Region</th>}
+            <th className="p-1.5 text-right font-medium">Incoming</th>
+            <th className="p-1.5 text-right font-medium">Trx</th>
+            <th className="p-1.5 text-right font-medium">GMV</th>
+            <th className="p-1.5 text-right font-medium">AOV</th>
+            <th className="p-1.5 text-right font-medium">Appr %</th>
+            <th className="p-1.5 text-right font-medium">Conv %</th>
+          </tr>
+        </thead>
+        <tbody>
+          {stores.map(s => (
+            <tr key={s.code} className="border-t border-slate-200 break-inside-avoid">
+              <td className="p-1.5 text-right text-slate-400">{s.rank}</td>
+              <td className="p-1.5 text-slate-900">{s.name}</td>
+              <td className="p-1.5 text-slate-500">{s.code}</td>
+              {hasRegions && <td className="p-1.5 text-slate-500">{master[s.code]?.region ?? '-'}</td>}
+              <td className="p-1.5 text-right">{count(s.totalIncoming)}</td>
+              <td className="p-1.5 text-right font-semibold">
+                {count(s.totalTrx)}
+                <Change current={s.totalTrx} previous={s.prevTrx} />
+              </td>
+              <td className="p-1.5 text-right">{formatCurrency(s.totalGMV)}</td>
+              <td className="p-1.5 text-right">{formatCurrency(s.totalTrx ? s.totalGMV / s.totalTrx : null)}</td>
+              <td className="p-1.5 text-right"><Rate value={s.avgApproval} thresholds={thresholds.approval} /></td>
+              <td className="p-1.5 text-right"><Rate value={s.avgConversion} thresholds={thresholds.conversion} /></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// months: the year's monthlyData (scoped); stores: store rows over those months;
+// totals / prevTotals: the year and the same months of the year before
+export default function PresentationView({
+  merchant, year, scopeLabel, lastUpdated, totalStores, totals, prevTotals,
+  quarterlyData, months, monthlyIndex, stores, master, thresholds, onExit,
+}) {
+  const [appendix, setAppendix] = useState({ size: 10, side: 'both', metric: 'totalTrx' });
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === 'Escape') onExit();
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [onExit]);
+
+  const latest = months[months.length - 1];
+  const periodTitle = `${merchant.name} × Samsung Finance+ • ${year}${scopeLabel ? ` • ${scopeLabel}` : ''}`;
+
+  const kpis = [
+    { label: 'Trx', value: count(totals.trx), current: totals.trx, previous: prevTotals?.trx, latest: count(latest?.trx) },
+    { label: 'GMV', value: formatCurrency(totals.gmv), current: totals.gmv, previous: prevTotals?.gmv, latest: formatCurrency(latest?.gmv) },
+    { label: 'AOV', value: formatCurrency(aov(totals)), current: aov(totals), previous: aov(prevTotals), latest: formatCurrency(aov(latest)) },
+    {
+      label: '% Stores w/ Trx',
+      value: pct(penetrationRate(totals.storesWithTrx, totalStores)),
+      current: penetrationRate(totals.storesWithTrx, totalStores),
+      previous: prevTotals && penetrationRate(prevTotals.storesWithTrx, totalStores),
+      points: true,
+      latest: pct(latest && penetrationRate(latest.storesWithTrx, totalStores)),
+    },
+  ];
+
+  const quarterColumns = [
+    ...quarterlyData.map(q => ({ key: q.quarter, label: `${q.quarter} ${q.year}`, data: q, prev: q.prev })),
+    { key: 'total', label: `${year} YTD`, data: totals, prev: prevTotals },
+  ];
+  const monthPages = [];
+  for (let i = 0; i < months.length; i += MONTHS_PER_PAGE) monthPages.push(months.slice(i, i + MONTHS_PER_PAGE));
+
+  // Ranked among the stores with incoming this year; the bottom list starts with the weakest
+  const metric = APPENDIX_METRICS.find(m => m.key === appendix.metric);
+  const ranked = stores
+    .filter(s => s.totalIncoming > 0)
+    .sort((a, b) => b[appendix.metric] - a[appendix.metric] || b.totalTrx - a.totalTrx)
+    .map((s, i) => ({ ...s, rank: i + 1 }));
+  const top = appendix.side !== 'bottom' ? ranked.slice(0, appendix.size) : [];
+  const bottom = appendix.side !== 'top' ? ranked.slice(-appendix.size).reverse() : [];
+
+  return (
+    <div className="min-h-screen bg-slate-100 text-slate-900 text-sm print:bg-white">
+      {/* Controls: screen only */}
+      <div className="sticky top-0 z-10 flex flex-wrap items-center gap-3 px-4 py-2 mb-6 bg-white border-b border-slate-200 text-xs print:hidden">
+        <span className="font-semibold text-slate-700">Presentation</span>
+        <span className="text-slate-500">{periodTitle}</span>
+        <label className="flex items-center gap-1.5 ml-auto text-slate-600">
+          Appendix
+          <select value={appendix.side} onChange={(e) => setAppendix(a => ({ ...a, side: e.target.value }))} className={selectClass}>
+            <option value="both">Top & bottom</option>
+            <option value="top">Top</option>
+            <option value="bottom">Bottom</option>
+            <option value="none">None</option>
+          </select>
+        </label>
+        {appendix.side !== 'none' && (
+          <>
+            <select value={appendix.size} onChange={(e) => setAppendix(a => ({ ...a, size: Number(e.target.value) }))} className={selectClass}>
+              {APPENDIX_SIZES.map(n => <option key={n} value={n}>{n} stores</option>)}
+            </select>
+            <label className="flex items-center gap-1.5 text-slate-600">
+              by
+              <select value={appendix.metric} onChange={(e) => setAppendix(a => ({ ...a, metric: e.target.value }))} className={selectClass}>
+                {APPENDIX_METRICS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+              </select>
+            </label>
+          </>
+        )}
+        <button
+          onClick={() => window.print()}
+          className="flex items-center gap-1.5 px-3 py-1.5 bg-cyan-600 hover:bg-cyan-700 text-white rounded transition-colors"
+        >
+          <Printer className="w-3.5 h-3.5" /> Print
+        </button>
+        <button onClick={onExit} title="Back to the dashboard (Esc)" className="p-1.5 rounded text-slate-500 hover:text-slate-900 hover:bg-slate-100">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {/* Cover */}
+      <Sheet first>
+        <div className="flex items-start justify-between mb-10">
+          <div>
+            <p className="text-xs text-slate-500 uppercase tracking-wider mb-1">Samsung Finance+ business review</p>
+            <h1 className="text-3xl font-bold text-slate-900">{merchant.fullName}</h1>
+            <p className="text-base text-slate-600 mt-1">
+              {year}{latest ? ` year to date (${months[0].label} – ${latest.label})` : ''}{scopeLabel ? ` • ${scopeLabel}` : ''}
+            </p>
+          </div>
+          <div className={`w-3 h-16 rounded-full bg-gradient-to-b ${merchant.branding.gradient}`} />
+        </div>
+        <div className="grid grid-cols-4 gap-4">
+          {kpis.map(kpi => (
+            <div key={kpi.label} className="p-4 border border-slate-200 rounded-lg">
+              <p className="text-xs text-slate-500 uppercase tracking-wider">{kpi.label}</p>
+              <p className="text-3xl font-bold text-slate-900 mt-1">{kpi.value}</p>
+              <Change current={kpi.current} previous={kpi.previous} points={kpi.points} />
+              {latest && <p className="text-xs text-slate-500 mt-2">{latest.label}: {kpi.latest}</p>}
+            </div>
+          ))}
+        </div>
+        <p className="text-xs text-slate-500 mt-8">
+          {count(totalStores)} stores • {count(latest?.storesWithSF)} with SF+ in {year}
+          {prevTotals ? ` • YoY compares the same months of ${year - 1}` : ''}
+          {lastUpdated ? ` • Data as of ${formatDateTime(lastUpdated)}` : ''}
+        </p>
+      </Sheet>
+
+      <Sheet title="Quarterly overview" subtitle={periodTitle}>
+        <PeriodTable columns={quarterColumns} totalStores={totalStores} thresholds={thresholds} />
+      </Sheet>
+
+      {monthPages.map(page => (
+        <Sheet
+          key={page[0].month}
+          title={`Monthly metrics • ${page[0].label}${page.length > 1 ? ` – ${page[page.length - 1].label}` : ''}`}
+          subtitle={periodTitle}
+        >
+          <PeriodTable
+            columns={page.map(m => ({ key: m.month, label: m.label, data: m, prev: monthlyIndex[shiftMonth(m.month, -12)] }))}
+            totalStores={totalStores}
+            thresholds={thresholds}
+          />
+        </Sheet>
+      ))}
+
+      {appendix.side !== 'none' && ranked.length > 0 && (
+        <Sheet title={`Appendix • stores by ${metric.label}`} subtitle={`${periodTitle} • ${ranked.length} stores with incoming in ${year}`}>
+          {top.length > 0 && <StoreTable title={`Top ${top.length}`} stores={top} master={master} thresholds={thresholds} />}
+          {bottom.length > 0 && <StoreTable title={`Bottom ${bottom.length}`} stores={bottom} master={master} thresholds={thresholds} />}
+        </Sheet>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,128 @@
+/**
+ * Saved views: named snapshots of the dashboard's query string
+ * (merchant, year, search, sort, columns, row limit), kept in localStorage.
+ */
+
+import React, { useState } from 'react';
+import { Bookmark, Check, Link, Pencil, Trash2, X } from 'lucide-react';
+
+const STORAGE_KEY = 'sf-dashboard:saved-views';
+
+const loadViews = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const storeViews = (views) => localStorage.setItem(STORAGE_KEY, JSON.stringify(views));
+
+export default function SavedViews({ onApply }) {
+  const [open, setOpen] = useState(false);
+  const [views, setViews] = useState(loadViews);
+  const [newName, setNewName] = useState('');
+  const [editing, setEditing] = useState(null); // { id, name }
+  const [copied, setCopied] = useState(false);
+
+  const update = (next) => {
+    setViews(next);
+    storeViews(next);
+  };
+
+  const saveCurrent = (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+    update([...views, { id: Date.now().toString(36), name, search: window.location.search }]);
+    setNewName('');
+  };
+
+  const rename = (e) => {
+    e.preventDefault();
+    const name = editing.name.trim();
+    if (name) update(views.map(v => (v.id === editing.id ? { ...v, name } : v)));
+    setEditing(null);
+  };
+
+  const apply = (view) => {
+    window.history.pushState(null, '', `/${view.search}`);
+    onApply();
+    setOpen(false);
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (err) {
+      console.error('Copy failed:', err);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className="flex items-center gap-1">
+        <button
+          onClick={() => setOpen(o => !o)}
+          className="flex items-center gap-1.5 px-3 py-1.5 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-[11px] text-slate-300 transition-colors"
+        >
+          <Bookmark className="w-3 h-3" /> Views
+        </button>
+        <button
+          onClick={copyLink}
+          title="Copy a link to this exact view"
+          className="p-1.5 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-slate-300 transition-colors"
+        >
+          {copied ? <Check className="w-3 h-3 text-emerald-400" /> : <Link className="w-3 h-3" />}
+        </button>
+      </div>
+
+      {open && (
+        <div className="absolute right-0 mt-1 w-64 z-40 bg-slate-900 border border-white/10 rounded-lg shadow-xl p-2 text-[11px]">
+          <form onSubmit={saveCurrent} className="flex gap-1 mb-2">
+            <input
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="Name this view..."
+              className="flex-1 px-2 py-1 bg-white/5 border border-white/10 rounded text-white placeholder:text-slate-600 focus:outline-none focus:border-cyan-500/50"
+            />
+            <button type="submit" className="px-2 py-1 bg-cyan-500 hover:bg-cyan-600 text-white rounded">Save</button>
+          </form>
+
+          {views.length === 0 && <p className="text-slate-500 text-center py-2">No saved views yet</p>}
+
+          {views.map(view => (
+            <div key={view.id} className="flex items-center gap-1 rounded hover:bg-white/5 group">
+              {editing?.id === view.id ? (
+                <form onSubmit={rename} className="flex-1 flex gap-1 p-1">
+                  <input
+                    autoFocus
+                    value={editing.name}
+                    onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                    className="flex-1 px-1.5 py-0.5 bg-white/5 border border-white/10 rounded text-white focus:outline-none"
+                  />
+                  <button type="submit" className="p-0.5 text-emerald-400"><Check className="w-3 h-3" /></button>
+                  <button type="button" onClick={() => setEditing(null)} className="p-0.5 text-slate-400"><X className="w-3 h-3" /></button>
+                </form>
+              ) : (
+                <>
+                  <button onClick={() => apply(view)} className="flex-1 text-left px-2 py-1.5 text-slate-300 hover:text-white truncate" title={view.search}>
+                    {view.name}
+                  </button>
+                  <button onClick={() => setEditing({ id: view.id, name: view.name })} className="p-1 text-slate-500 hover:text-white opacity-0 group-hover:opacity-100" title="Rename">
+                    <Pencil className="w-3 h-3" />
+                  </button>
+                  <button onClick={() => update(views.filter(v => v.id !== view.id))} className="p-1 text-slate-500 hover:text-rose-400 opacity-0 group-hover:opacity-100" title="Delete">
+                    <Trash2 className="w-3 h-3" />
+                  </button>
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
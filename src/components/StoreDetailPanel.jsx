@@ -0,0 +1,301 @@
+/**
+ * Store drill-down panel (/store/:dealer_code)
+ *
+ * Everything is computed from the already-loaded store rows:
+ * - monthly charts with the network average per active store as a benchmark
+ * - incoming → approved → settled funnel for the selected year
+ * - rank and percentile in the network for each metric
+ * - comparison with the network average and the median of the store's peers
+ * - rank history on trx, GMV and conversion, month by month
+ */
+
+import React, { useEffect, useMemo } from 'react';
+import { X, Store, GitCompare } from 'lucide-react';
+import { formatCurrency, median, shiftMonth } from '../utils';
+import { RateBadge, RankChange, MonthlyBarChart } from './ui';
+import { aov, approvalRate, conversionRate } from '../metrics';
+import { isActive, getPeers } from '../compare';
+import { RANK_METRICS, MIN_RATE_INCOMING, rankHistory, rankChange } from '../leaderboard';
+
+const formatPct = (v) => `${v.toFixed(1)}%`;
+const formatCount = (v) => Math.round(v).toLocaleString();
+
+// activeOnly: rates/AOV only mean something for stores that had incoming
+const METRICS = [
+  { key: 'incoming', label: 'Incoming', value: s => s.totalIncoming, format: formatCount },
+  { key: 'trx', label: 'Trx', value: s => s.totalTrx, format: formatCount },
+  { key: 'gmv', label: 'GMV', value: s => s.totalGMV, format: formatCurrency },
+  { key: 'aov', label: 'AOV', value: s => (s.totalTrx ? s.totalGMV / s.totalTrx : 0), format: formatCurrency, activeOnly: true },
+  { key: 'approval', label: 'Appr %', value: s => s.avgApproval, format: formatPct, activeOnly: true, rate: true },
+  { key: 'conversion', label: 'Conv %', value: s => s.avgConversion, format: formatPct, activeOnly: true, rate: true },
+];
+
+const CHARTS = [
+  { key: 'incoming', label: 'Incoming', barClassName: 'fill-slate-400', format: formatCount },
+  { key: 'approved', label: 'Approved', barClassName: 'fill-blue-400', format: formatCount },
+  { key: 'trx', label: 'Trx', barClassName: 'fill-cyan-400', format: formatCount },
+  { key: 'gmv', label: 'GMV', barClassName: 'fill-emerald-400', format: formatCurrency },
+];
+
+function rankIn(store, stores, metric) {
+  const population = metric.activeOnly ? stores.filter(isActive) : stores;
+  if (metric.activeOnly && !isActive(store)) return null;
+  const value = metric.value(store);
+  const values = population.map(metric.value);
+  return {
+    rank: 1 + values.filter(v => v > value).length,
+    of: population.length,
+    percentile: Math.round((values.filter(v => v < value).length / population.length) * 100)
+  };
+}
+
+const DeltaPct = ({ value, benchmark, rate }) => {
+  if (value === null || benchmark === null || benchmark === undefined || (!rate && !benchmark)) return <span className="text-slate-600">-</span>;
+  const diff = rate ? value - benchmark : ((value - benchmark) / benchmark) * 100;
+  const color = diff > 0 ? 'text-emerald-400' : diff < 0 ? 'text-rose-400' : 'text-slate-500';
+  return <span className={color}>{diff > 0 ? '+' : ''}{diff.toFixed(0)}{rate ? 'pp' : '%'}</span>;
+};
+
+export default function StoreDetailPanel({ code, store, stores, monthlyData, activeYear, thresholds, onCompare, onClose }) {
+  // Esc closes the panel
+  useEffect(() => {
+    const onKeyDown = (e) => { if (e.key === 'Escape') onClose(); };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [onClose]);
+
+  const insights = useMemo(() => {
+    if (!store) return null;
+    const { peers, quartile } = getPeers(store, stores);
+    const activeStores = stores.filter(isActive);
+
+    const network = {
+      incoming: stores.reduce((s, x) => s + x.totalIncoming, 0),
+      approved: stores.reduce((s, x) => s + x.totalApproved, 0),
+      trx: stores.reduce((s, x) => s + x.totalTrx, 0),
+      gmv: stores.reduce((s, x) => s + x.totalGMV, 0),
+    };
+    // Volumes: average per store; rates: the network-wide rate
+    const networkAverage = {
+      incoming: network.incoming / (stores.length || 1),
+      trx: network.trx / (stores.length || 1),
+      gmv: network.gmv / (stores.length || 1),
+      aov: aov(network),
+      approval: approvalRate(network),
+      conversion: conversionRate(network),
+    };
+
+    return {
+      quartile,
+      peerCount: peers.length,
+      activeCount: activeStores.length,
+      network,
+      rows: METRICS.map(metric => ({
+        ...metric,
+        storeValue: metric.activeOnly && !isActive(store) ? null : metric.value(store),
+        networkAverage: networkAverage[metric.key],
+        peerMedian: median(peers.map(metric.value)),
+        rank: rankIn(store, stores, metric),
+      })),
+    };
+  }, [store, stores]);
+
+  const charts = useMemo(() => {
+    if (!store) return [];
+    return CHARTS.map(chart => ({
+      ...chart,
+      data: monthlyData.map(m => ({
+        label: m.label,
+        value: store.data[m.month]?.[chart.key] || 0,
+        benchmark: m.storesWithIncoming ? m[chart.key] / m.storesWithIncoming : null,
+      })),
+    }));
+  }, [store, monthlyData]);
+
+  // The year's months, each ranked among every store (the month before the first for its arrow)
+  const rankMonths = useMemo(() => monthlyData.filter(m => m.year === activeYear), [monthlyData, activeYear]);
+  const ranks = useMemo(() => {
+    if (!store) return null;
+    const keys = rankMonths.map(m => m.month);
+    const before = keys.length && shiftMonth(keys[0], -1);
+    return rankHistory(stores, monthlyData.some(m => m.month === before) ? [before, ...keys] : keys);
+  }, [store, stores, rankMonths, monthlyData]);
+
+  const settledRate = store?.totalApproved ? (store.totalTrx / store.totalApproved) * 100 : null;
+  const networkSettledRate = insights?.network.approved ? (insights.network.trx / insights.network.approved) * 100 : null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end">
+      <div className="absolute inset-0 bg-slate-950/70 backdrop-blur-sm" onClick={onClose} />
+
+      <aside className="relative w-full max-w-3xl h-full overflow-y-auto bg-slate-900 border-l border-white/10 p-4 text-xs">
+        {/* Header */}
+        <div className="flex items-start justify-between mb-4">
+          <div className="flex items-center gap-2">
+            <div className="p-1.5 bg-white/5 rounded-lg">
+              <Store className="w-4 h-4 text-cyan-400" />
+            </div>
+            <div>
+              <h2 className="text-sm font-bold text-white">{code}</h2>
+              <p className="text-[10px] text-slate-500">{store ? `${store.name} • ${activeYear} YTD` : 'Store not found in the loaded data'}</p>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            {store && (
+              <button
+                onClick={() => onCompare(code)}
+                title="Compare this store with others, or with its own past periods"
+                className="flex items-center gap-1.5 px-2.5 py-1 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-[11px] text-slate-300 transition-colors"
+              >
+                <GitCompare className="w-3 h-3" />
+                Compare
+              </button>
+            )}
+            <button onClick={onClose} className="p-1 hover:bg-white/10 rounded-lg text-slate-400 hover:text-white">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+
+        {store && insights && (
+          <>
+            {/* Monthly charts */}
+            <section className="mb-4">
+              <h3 className="text-[10px] font-medium text-slate-400 uppercase tracking-wider mb-2">📈 Monthly Trend</h3>
+              <div className="grid grid-cols-2 gap-2">
+                {charts.map(chart => (
+                  <div key={chart.key} className="bg-slate-800/40 rounded-lg border border-white/5 p-2">
+                    <div className="flex items-center justify-between mb-1">
+                      <span className="text-slate-300 font-medium">{chart.label}</span>
+                      <span className="text-[9px] text-slate-500">- - network avg per active store</span>
+                    </div>
+                    <MonthlyBarChart data={chart.data} barClassName={chart.barClassName} format={chart.format} />
+                  </div>
+                ))}
+              </div>
+            </section>
+
+            {/* Funnel */}
+            <section className="mb-4">
+              <h3 className="text-[10px] font-medium text-slate-400 uppercase tracking-wider mb-2">🔻 Funnel</h3>
+              <div className="bg-slate-800/40 rounded-lg border border-white/5 p-3 space-y-2">
+                {[
+                  { label: 'Incoming', value: store.totalIncoming, bar: 'bg-slate-400' },
+                  { label: 'Approved', value: store.totalApproved, bar: 'bg-blue-400', rate: store.avgApproval, rateLabel: 'Appr %', thresholds: thresholds.approval, network: insights.rows.find(r => r.key === 'approval').networkAverage },
+                  { label: 'Trx settled', value: store.totalTrx, bar: 'bg-cyan-400', rate: settledRate, rateLabel: 'of approved', network: networkSettledRate },
+                ].map(stage => (
+                  <div key={stage.label} className="flex items-center gap-2">
+                    <span className="w-20 text-slate-400">{stage.label}</span>
+                    <div className="flex-1 h-4 bg-white/5 rounded overflow-hidden">
+                      <div className={`h-full ${stage.bar}`} style={{ width: `${store.totalIncoming ? (stage.value / store.totalIncoming) * 100 : 0}%` }} />
+                    </div>
+                    <span className="w-14 text-right font-semibold text-white">{stage.value.toLocaleString()}</span>
+                    <span className="w-36 text-right text-slate-500">
+                      {stage.rate !== undefined && stage.rate !== null && (
+                        <>
+                          {stage.thresholds ? <RateBadge value={stage.rate} thresholds={stage.thresholds} /> : formatPct(stage.rate)} {stage.rateLabel}
+                          {stage.network !== null && <span className="block text-[9px]">network {formatPct(stage.network)}</span>}
+                        </>
+                      )}
+                    </span>
+                  </div>
+                ))}
+                <p className="text-[10px] text-slate-500 pt-1 border-t border-white/5">
+                  Overall conversion <RateBadge value={store.totalIncoming ? store.avgConversion : null} thresholds={thresholds.conversion} />
+                </p>
+              </div>
+            </section>
+
+            {/* Rank & benchmarks */}
+            <section>
+              <h3 className="text-[10px] font-medium text-slate-400 uppercase tracking-wider mb-2">🏅 Rank & Benchmarks</h3>
+              <div className="bg-slate-800/40 rounded-lg border border-white/5 overflow-hidden">
+                <table className="w-full">
+                  <thead>
+                    <tr className="text-slate-500 text-[10px]">
+                      <th className="text-left p-2 font-medium">Metric</th>
+                      <th className="p-2 text-center font-medium">Store</th>
+                      <th className="p-2 text-center font-medium">Rank</th>
+                      <th className="p-2 text-center font-medium">Percentile</th>
+                      <th className="p-2 text-center font-medium">Network avg</th>
+                      <th className="p-2 text-center font-medium">Peer median</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {insights.rows.map(row => (
+                      <tr key={row.key} className="border-t border-white/5">
+                        <td className="p-2 text-slate-300">{row.label}</td>
+                        <td className="p-2 text-center font-semibold text-white">{row.storeValue !== null ? row.format(row.storeValue) : '-'}</td>
+                        <td className="p-2 text-center text-slate-300">{row.rank ? `#${row.rank.rank} of ${row.rank.of}` : '-'}</td>
+                        <td className="p-2 text-center">
+                          {row.rank ? (
+                            <div className="flex items-center gap-1.5 justify-center">
+                              <div className="w-12 h-1.5 bg-white/5 rounded-full overflow-hidden">
+                                <div className="h-full bg-cyan-400" style={{ width: `${row.rank.percentile}%` }} />
+                              </div>
+                              <span className="text-slate-400">P{row.rank.percentile}</span>
+                            </div>
+                          ) : '-'}
+                        </td>
+                        <td className="p-2 text-center text-slate-400">
+                          {row.networkAverage !== null ? row.format(row.networkAverage) : '-'}
+                          <span className="block text-[9px]"><DeltaPct value={row.storeValue} benchmark={row.networkAverage} rate={row.rate} /></span>
+                        </td>
+                        <td className="p-2 text-center text-slate-400">
+                          {row.peerMedian !== null ? row.format(row.peerMedian) : '-'}
+                          <span className="block text-[9px]"><DeltaPct value={row.storeValue} benchmark={row.peerMedian} rate={row.rate} /></span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-[9px] text-slate-600 mt-2">
+                {insights.quartile
+                  ? `Peers: ${insights.peerCount} active stores in the same incoming-volume quartile (Q${insights.quartile} of ${insights.activeCount} active stores).`
+                  : 'No incoming this year, so the store has no peer group.'}
+                {' '}Rates and AOV rank active stores only. Percentile = share of stores the store beats.
+              </p>
+            </section>
+
+            {/* Rank history */}
+            <section className="mt-4">
+              <h3 className="text-[10px] font-medium text-slate-400 uppercase tracking-wider mb-2">🏁 Rank History</h3>
+              <div className="bg-slate-800/40 rounded-lg border border-white/5 overflow-x-auto">
+                <table className="w-full">
+                  <thead>
+                    <tr className="text-slate-500 text-[10px]">
+                      <th className="text-left p-2 font-medium">Metric</th>
+                      {rankMonths.map(m => <th key={m.month} className="p-2 text-center font-medium">{m.label}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {RANK_METRICS.map(metric => (
+                      <tr key={metric.key} className="border-t border-white/5">
+                        <td className="p-2 text-slate-300">{metric.label}</td>
+                        {rankMonths.map(m => {
+                          const current = ranks[metric.key][m.month];
+                          const previous = ranks[metric.key][shiftMonth(m.month, -1)];
+                          const rank = current.ranks[code];
+                          return (
+                            <td key={m.month} className="p-2 text-center" title={rank ? `#${rank.rank} of ${current.count} • ${metric.format(rank.value)}` : 'Not ranked'}>
+                              {rank ? <span className="font-semibold text-white">#{rank.rank}</span> : <span className="text-slate-600">-</span>}
+                              {rank && previous && <span className="block"><RankChange change={rankChange(rank, previous.ranks[code])} /></span>}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-[9px] text-slate-600 mt-2">
+                Rank among every store each month; arrows are places gained or lost since the month before. Conversion ranks stores with at least {MIN_RATE_INCOMING} incoming in the month.
+              </p>
+            </section>
+          </>
+        )}
+      </aside>
+    </div>
+  );
+}
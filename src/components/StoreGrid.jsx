@@ -0,0 +1,349 @@
+/**
+ * Store Performance grid
+ *
+ * Rows (stores) and month column groups are virtualized, so only what is in
+ * the scroll viewport is rendered. The header and the store column (plus any
+ * pinned total columns) stay sticky. Every column has a fixed width, which is
+ * what lets the sticky offsets and the virtual spacers line up.
+ *
+ * Rows carrying a `group` ({ key, level, label, depth, count, collapsed }) are
+ * region / area subtotals; they render like a store with a collapse toggle.
+ */
+
+import React, { memo, useEffect, useMemo, useRef } from 'react';
+import { useVirtualizer } from '@tanstack/react-virtual';
+import { Pin, ChevronDown, ChevronRight } from 'lucide-react';
+import { TrendIcon, RateBadge, YoYDelta, TargetBadge, TierBadge, RankChange, MiniSparkline, SortIcon } from './ui';
+import { formatCurrency, shiftMonth, monthProgress } from '../utils';
+import { sumTargets } from '../targets';
+import { approvalRate, conversionRate } from '../metrics';
+import { MASTER_FIELDS } from '../storeMaster';
+import { describeTier } from '../tiers';
+
+const STORE_COLUMN_WIDTH = 168;
+const METRIC_COLUMN_WIDTH = 68;
+const ROW_HEIGHT = 52;
+const HEADER_HEIGHT = 56; // Both header rows, offsets the rows' virtual positions
+const GROUP_INDENT = 10;
+
+const pinnedStyle = (index) => ({ left: STORE_COLUMN_WIDTH + index * METRIC_COLUMN_WIDTH });
+
+// ============================================================================
+// CELLS
+// ============================================================================
+// pinIndex: position among the pinned columns, null when the column scrolls
+// targets: this store's { 'YYYY-MM': { trx, gmv } }, months: the range the totals cover
+function TotalCell({ store, metricKey, isFirst, pinIndex = null, thresholds, targets, months }) {
+  const base = `p-1.5 text-center ${isFirst ? 'border-l border-white/10' : ''} ${pinIndex === null ? 'bg-cyan-500/5' : 'sticky z-10 bg-slate-900'}`;
+  const style = pinIndex === null ? undefined : pinnedStyle(pinIndex);
+  switch (metricKey) {
+    case 'incoming':
+      return (
+        <td style={style} className={`${base} text-slate-300`}>
+          {store.totalIncoming}
+          <YoYDelta current={store.totalIncoming} previous={store.prevIncoming} />
+        </td>
+      );
+    case 'trx':
+      return (
+        <td style={style} className={`${base} font-semibold text-white`}>
+          {store.totalTrx}
+          <YoYDelta current={store.totalTrx} previous={store.prevTrx} />
+          <TargetBadge actual={store.totalTrx} target={sumTargets(targets, months, 'trx')} />
+        </td>
+      );
+    case 'gmv':
+      return (
+        <td style={style} className={`${base} text-cyan-300 font-medium text-[10px]`}>
+          {formatCurrency(store.totalGMV)}
+          <YoYDelta current={store.totalGMV} previous={store.prevGMV} />
+          <TargetBadge actual={store.totalGMV} target={sumTargets(targets, months, 'gmv')} />
+        </td>
+      );
+    case 'appr':
+      return <td style={style} className={base}><RateBadge value={store.avgApproval} thresholds={thresholds.approval} /></td>;
+    default:
+      return <td style={style} className={base}><RateBadge value={store.avgConversion} thresholds={thresholds.conversion} /></td>;
+  }
+}
+
+function MonthCell({ store, month, metricKey, isFirst, thresholds, targets }) {
+  const d = store.data[month];
+  const target = targets?.[month]?.[metricKey];
+  const prevD = store.data[shiftMonth(month, -1)];
+  const progress = monthProgress(month);
+  const border = isFirst ? 'border-l border-white/5' : '';
+  switch (metricKey) {
+    case 'incoming':
+    case 'trx':
+      return (
+        <td className={`p-1 text-center ${metricKey === 'trx' ? 'font-semibold text-white' : 'text-slate-400'} ${border}`}>
+          {d ? (
+            <span className="inline-flex items-center justify-center gap-0.5">
+              {d[metricKey]}
+              {/* Month in progress: trend by run-rate, not the partial count */}
+              <TrendIcon current={progress ? d[metricKey] / progress : d[metricKey]} previous={prevD?.[metricKey]} />
+            </span>
+          ) : '-'}
+          {metricKey === 'trx' && <TargetBadge actual={d?.trx ?? 0} target={target} progress={progress} />}
+        </td>
+      );
+    case 'gmv':
+      return (
+        <td className={`p-1 text-center text-cyan-300 text-[10px] ${border}`}>
+          {d?.gmv ? formatCurrency(d.gmv) : '-'}
+          <TargetBadge actual={d?.gmv ?? 0} target={target} progress={progress} />
+        </td>
+      );
+    case 'appr':
+      return (
+        <td className={`p-1 text-center ${border}`}>
+          <RateBadge value={approvalRate(d)} thresholds={thresholds.approval} />
+        </td>
+      );
+    default:
+      return (
+        <td className={`p-1 text-center ${border}`}>
+          <RateBadge value={conversionRate(d)} thresholds={thresholds.conversion} />
+        </td>
+      );
+  }
+}
+
+const levelLabel = (level) => MASTER_FIELDS.find(f => f.key === level)?.label;
+
+// Only re-renders when its store or the rendered column window changes.
+// indent: nesting depth of store rows under group rows; tier: badge beside the code;
+// rank: { rank, change } arrow beside the code.
+const StoreRow = memo(function StoreRow({
+  store, targets, trendMonths, visibleMonths, metrics, pinnedColumns, totalColumns, paddingLeft, paddingRight, thresholds, onOpenStore, onToggleGroup, indent, highlighted,
+  tier, tierMonthLabel, rank, rankLabel
+}) {
+  const trxTrend = trendMonths.map(m => store.data[m]?.trx || 0);
+  const { group } = store;
+  const rowClass = group
+    ? 'border-t border-white/10 bg-slate-800/60'
+    : `border-t border-white/5 transition-colors ${highlighted ? 'bg-amber-500/15' : 'hover:bg-white/5'}`;
+  const stickyClass = group ? 'bg-slate-800' : highlighted ? 'bg-amber-950' : 'bg-slate-900';
+
+  return (
+    <tr className={rowClass} style={{ height: ROW_HEIGHT }}>
+      <td className={`p-2 sticky left-0 z-10 ${stickyClass}`}>
+        {group ? (
+          <button
+            onClick={() => onToggleGroup(group.key)}
+            className="flex items-center gap-1.5 text-left w-full"
+            style={{ paddingLeft: group.depth * GROUP_INDENT }}
+            title={group.collapsed ? 'Expand' : 'Collapse'}
+          >
+            {group.collapsed ? <ChevronRight className="w-3 h-3 text-slate-400 shrink-0" /> : <ChevronDown className="w-3 h-3 text-slate-400 shrink-0" />}
+            <div className="min-w-0">
+              <p className="font-semibold text-white text-[11px] truncate">{group.label}</p>
+              <p className="text-[9px] text-slate-500">{levelLabel(group.level)} • {group.count} stores</p>
+            </div>
+          </button>
+        ) : (
+          <button onClick={() => onOpenStore(store.code)} className="flex items-center gap-2 text-left group" style={{ paddingLeft: indent * GROUP_INDENT }} title="Open store details">
+            <MiniSparkline data={trxTrend} />
+            <div className="min-w-0">
+              <p className="font-medium text-white text-[11px] group-hover:text-cyan-300">
+                {store.code}
+                {tier && <span className="ml-1"><TierBadge tier={tier} title={`${tierMonthLabel}: ${describeTier(tier)}`} /></span>}
+                {rank && <span className="ml-1"><RankChange change={rank.change} title={`${rankLabel}: #${rank.rank}`} /></span>}
+              </p>
+              <p className="text-[9px] text-slate-500 truncate max-w-[100px]">{store.name}</p>
+            </div>
+          </button>
+        )}
+      </td>
+
+      {pinnedColumns.map((metric, i) => (
+        <TotalCell key={metric.key} store={store} metricKey={metric.key} isFirst={i === 0} pinIndex={i} thresholds={thresholds} targets={targets} months={trendMonths} />
+      ))}
+      {totalColumns.map((metric, i) => (
+        <TotalCell key={metric.key} store={store} metricKey={metric.key} isFirst={i === 0} thresholds={thresholds} targets={targets} months={trendMonths} />
+      ))}
+
+      {paddingLeft > 0 && <td />}
+      {visibleMonths.map(m => (
+        <React.Fragment key={m.month}>
+          {metrics.map((metric, i) => (
+            <MonthCell key={metric.key} store={store} month={m.month} metricKey={metric.key} isFirst={i === 0} thresholds={thresholds} targets={targets} />
+          ))}
+        </React.Fragment>
+      ))}
+      {paddingRight > 0 && <td />}
+    </tr>
+  );
+});
+
+// ============================================================================
+// GRID
+// ============================================================================
+// months: the month range's monthlyData entries; metrics: visible metric definitions;
+// storeTargets: { code: { 'YYYY-MM': { trx, gmv } } } from targets.js.
+// highlightedCode: store row to scroll to and mark (e.g. from an alert).
+// groupDepth: number of group levels above the store rows (0 = flat list).
+// storeTiers: { code: tier } for tierMonthLabel's month, from tiers.js.
+// storeRanks: { code: { rank, change } } and what they rank (rankLabel), from leaderboard.js.
+// rowThresholds(row): rate bands for one row (region / tier overrides); defaults to `thresholds`.
+// virtualize=false renders everything (the PDF snapshot needs the full table).
+export default function StoreGrid({
+  stores, months, metrics, pinned, totalLabel, sortConfig, onSort, onOpenStore, onToggleGroup, thresholds,
+  storeTargets = {}, highlightedCode = null, groupDepth = 0, storeTiers = {}, tierMonthLabel, storeRanks = {}, rankLabel, rowThresholds, virtualize = true
+}) {
+  const scrollRef = useRef(null);
+
+  const pinnedColumns = useMemo(() => metrics.filter(m => pinned.includes(m.key)), [metrics, pinned]);
+  const totalColumns = useMemo(() => metrics.filter(m => !pinned.includes(m.key)), [metrics, pinned]);
+  const trendMonths = useMemo(() => months.map(m => m.month), [months]);
+  const groupWidth = METRIC_COLUMN_WIDTH * metrics.length;
+  const fixedWidth = STORE_COLUMN_WIDTH + groupWidth; // Store column + the total group
+
+  const rowVirtualizer = useVirtualizer({
+    count: stores.length,
+    getScrollElement: () => scrollRef.current,
+    estimateSize: () => ROW_HEIGHT,
+    scrollMargin: HEADER_HEIGHT,
+    overscan: 10,
+  });
+  const columnVirtualizer = useVirtualizer({
+    horizontal: true,
+    count: months.length,
+    getScrollElement: () => scrollRef.current,
+    estimateSize: () => groupWidth,
+    scrollMargin: fixedWidth,
+    overscan: 2,
+  });
+
+  // Hiding or showing a metric changes every month group's width
+  useEffect(() => {
+    columnVirtualizer.measure();
+  }, [columnVirtualizer, groupWidth]);
+
+  const highlightedIndex = highlightedCode ? stores.findIndex(s => s.code === highlightedCode) : -1;
+  useEffect(() => {
+    if (highlightedIndex >= 0) rowVirtualizer.scrollToIndex(highlightedIndex, { align: 'center' });
+  }, [rowVirtualizer, highlightedIndex]);
+
+  const virtualRows = rowVirtualizer.getVirtualItems();
+  const virtualMonths = columnVirtualizer.getVirtualItems();
+
+  const rowRange = virtualize
+    ? [virtualRows[0]?.index ?? 0, (virtualRows[virtualRows.length - 1]?.index ?? -1) + 1]
+    : [0, stores.length];
+  const monthRange = virtualize
+    ? [virtualMonths[0]?.index ?? 0, (virtualMonths[virtualMonths.length - 1]?.index ?? -1) + 1]
+    : [0, months.length];
+
+  // Stable between vertical scrolls so memoized rows skip re-rendering
+  const visibleMonths = useMemo(() => months.slice(monthRange[0], monthRange[1]), [months, monthRange[0], monthRange[1]]);
+  const paddingLeft = monthRange[0] * groupWidth;
+  const paddingRight = (months.length - monthRange[1]) * groupWidth;
+  const paddingTop = rowRange[0] * ROW_HEIGHT;
+  const paddingBottom = (stores.length - rowRange[1]) * ROW_HEIGHT;
+
+  const sortHeader = (field, label) => (
+    <span className="flex items-center justify-center gap-0.5">{label} <SortIcon field={field} sortConfig={sortConfig} /></span>
+  );
+
+  return (
+    <div ref={scrollRef} className={`overflow-auto ${virtualize ? 'max-h-[70vh]' : ''}`}>
+      <table className="table-fixed" style={{ width: fixedWidth + months.length * groupWidth }}>
+        <colgroup>
+          <col style={{ width: STORE_COLUMN_WIDTH }} />
+          {metrics.map(metric => <col key={metric.key} style={{ width: METRIC_COLUMN_WIDTH }} />)}
+          {paddingLeft > 0 && <col style={{ width: paddingLeft }} />}
+          {visibleMonths.map(m => metrics.map(metric => (
+            <col key={`${m.month}_${metric.key}`} style={{ width: METRIC_COLUMN_WIDTH }} />
+          )))}
+          {paddingRight > 0 && <col style={{ width: paddingRight }} />}
+        </colgroup>
+        <thead className="sticky top-0 z-20">
+          <tr className="bg-slate-800">
+            <th className="p-2 sticky left-0 bg-slate-800 z-20" rowSpan={2}>
+              <div className="flex items-center gap-1">
+                <span className="text-slate-400 font-medium">Store</span>
+                <button onClick={() => onSort('totalTrx')} className="p-0.5 hover:bg-white/10 rounded">
+                  <SortIcon field="totalTrx" sortConfig={sortConfig} />
+                </button>
+              </div>
+            </th>
+            {pinnedColumns.length > 0 && (
+              <th className="p-2 text-center sticky bg-slate-800 z-20 border-l border-white/10" style={pinnedStyle(0)} colSpan={pinnedColumns.length}>
+                <span className="inline-flex items-center gap-1 text-cyan-300 font-bold text-[10px]"><Pin className="w-2.5 h-2.5" />{totalLabel}</span>
+              </th>
+            )}
+            {totalColumns.length > 0 && (
+              <th className="p-2 text-center bg-cyan-500/20 border-l border-white/10" colSpan={totalColumns.length}>
+                <span className="text-cyan-300 font-bold text-[10px]">{totalLabel}</span>
+              </th>
+            )}
+            {paddingLeft > 0 && <th rowSpan={2} />}
+            {visibleMonths.map(m => (
+              <th key={m.month} className="p-1.5 text-center border-l border-white/5" colSpan={metrics.length}>
+                <span className="text-slate-300 font-medium text-[10px]">{m.label}</span>
+              </th>
+            ))}
+            {paddingRight > 0 && <th rowSpan={2} />}
+          </tr>
+          <tr className="bg-slate-800 text-[9px] text-slate-500">
+            {[...pinnedColumns, ...totalColumns].map((metric, i) => {
+              const isPinned = i < pinnedColumns.length;
+              return (
+                <th
+                  key={metric.key}
+                  style={isPinned ? pinnedStyle(i) : undefined}
+                  className={`p-1 text-center cursor-pointer hover:text-cyan-400 ${isPinned ? 'sticky z-20 bg-slate-800' : 'bg-cyan-500/10'} ${i === 0 || i === pinnedColumns.length ? 'border-l border-white/10' : ''}`}
+                  onClick={() => onSort(metric.totalKey)}
+                >
+                  {sortHeader(metric.totalKey, metric.label)}
+                </th>
+              );
+            })}
+            {visibleMonths.map(m => (
+              <React.Fragment key={m.month}>
+                {metrics.map((metric, i) => (
+                  <th
+                    key={metric.key}
+                    className={`p-1 text-center cursor-pointer hover:text-cyan-400 ${i === 0 ? 'border-l border-white/5' : ''}`}
+                    onClick={() => onSort(`${m.month}_${metric.key}`)}
+                  >
+                    {sortHeader(`${m.month}_${metric.key}`, metric.label)}
+                  </th>
+                ))}
+              </React.Fragment>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {paddingTop > 0 && <tr style={{ height: paddingTop }} />}
+          {stores.slice(rowRange[0], rowRange[1]).map(store => (
+            <StoreRow
+              key={store.code}
+              store={store}
+              targets={store.group ? undefined : storeTargets[store.code]}
+              trendMonths={trendMonths}
+              visibleMonths={visibleMonths}
+              metrics={metrics}
+              pinnedColumns={pinnedColumns}
+              totalColumns={totalColumns}
+              paddingLeft={paddingLeft}
+              paddingRight={paddingRight}
+              thresholds={rowThresholds ? rowThresholds(store) : thresholds}
+              onOpenStore={onOpenStore}
+              onToggleGroup={onToggleGroup}
+              indent={groupDepth}
+              highlighted={store.code === highlightedCode}
+              tier={store.group ? undefined : storeTiers[store.code]}
+              tierMonthLabel={tierMonthLabel}
+              rank={store.group ? undefined : storeRanks[store.code]}
+              rankLabel={rankLabel}
+            />
+          ))}
+          {paddingBottom > 0 && <tr style={{ height: paddingBottom }} />}
+        </tbody>
+      </table>
+    </div>
+  );
+}
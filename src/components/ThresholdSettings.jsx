@@ -0,0 +1,258 @@
+/**
+ * RateBadge band editor: the default bands plus optional overrides per region
+ * or store tier, saved for the signed-in user or for everyone (thresholds.js).
+ */
+
+import React, { useEffect, useState } from 'react';
+import { SlidersHorizontal, X, Plus, Trash2 } from 'lucide-react';
+import { THRESHOLD_METRICS, SEGMENT_TYPES, normalizeSettings, bandsError, settingsError } from '../thresholds';
+import { RateBadge, ThresholdLegend } from './ui';
+
+const inputClass = 'w-12 px-1 py-0.5 bg-white/5 border border-white/10 rounded text-right text-white focus:outline-none focus:border-cyan-500/50';
+
+const parseBand = (value) => (value === '' ? NaN : Number(value));
+
+// One metric's [green, amber] inputs with sample badges just above and below each bound
+function BandRow({ label, bands, onChange, inherited }) {
+  const error = bands && bandsError(bands);
+  return (
+    <tr className="border-t border-white/5">
+      <td className="p-1 text-slate-300">{label}</td>
+      {bands ? (
+        <>
+          {[0, 1].map(i => (
+            <td key={i} className="p-1">
+              <input
+                type="number"
+                min={0}
+                max={100}
+                value={Number.isNaN(bands[i]) ? '' : bands[i]}
+                onChange={(e) => onChange(i === 0 ? [parseBand(e.target.value), bands[1]] : [bands[0], parseBand(e.target.value)])}
+                className={inputClass}
+              />
+            </td>
+          ))}
+          <td className="p-1 whitespace-nowrap">
+            {error ? <span className="text-rose-400">{error}</span> : (
+              <span className="flex gap-1">
+                <RateBadge value={bands[0]} thresholds={bands} />
+                <RateBadge value={bands[1]} thresholds={bands} />
+                <RateBadge value={Math.max(0, bands[1] - 1)} thresholds={bands} />
+              </span>
+            )}
+          </td>
+        </>
+      ) : (
+        <td colSpan={3} className="p-1 text-slate-600">{inherited}</td>
+      )}
+    </tr>
+  );
+}
+
+// settings: what applies now (normalized); source: 'user' | 'global' | 'default';
+// segments: { regions: [...names], tiers: [{ key, label }] }; canEditGlobal: full-access users only;
+// onSave(settings, target) / onReset(target) return promises, target 'user' | 'global'
+export default function ThresholdSettings({ base, settings, source, segments, canEditGlobal, onSave, onReset, onClose }) {
+  const [draft, setDraft] = useState(() => normalizeSettings(settings, base));
+  const [target, setTarget] = useState(source === 'global' && canEditGlobal ? 'global' : 'user');
+  const [newSegment, setNewSegment] = useState({ type: 'regions', name: '' });
+  const [status, setStatus] = useState(null); // null | 'saving'
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const onKeyDown = (e) => { if (e.key === 'Escape') onClose(); };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [onClose]);
+
+  const segmentLabel = (type, name) =>
+    type === 'tiers' ? segments.tiers.find(t => t.key === name)?.label ?? name : name;
+  const segmentChoices = (type) =>
+    (type === 'tiers' ? segments.tiers.map(t => t.key) : segments.regions).filter(name => !draft[type][name]);
+
+  const setDefault = (metric, bands) => setDraft(d => ({ ...d, default: { ...d.default, [metric]: bands } }));
+  const setOverride = (type, name, metric, bands) => setDraft(d => {
+    const { [metric]: _, ...rest } = d[type][name];
+    return { ...d, [type]: { ...d[type], [name]: bands ? { ...rest, [metric]: bands } : rest } };
+  });
+  const addSegment = () => {
+    if (!newSegment.name) return;
+    setDraft(d => ({ ...d, [newSegment.type]: { ...d[newSegment.type], [newSegment.name]: {} } }));
+    setNewSegment(s => ({ ...s, name: '' }));
+  };
+  const removeSegment = (type, name) => setDraft(d => {
+    const { [name]: _, ...rest } = d[type];
+    return { ...d, [type]: rest };
+  });
+
+  const run = async (action) => {
+    setStatus('saving');
+    setError(null);
+    try {
+      await action();
+      onClose();
+    } catch (err) {
+      setError(err.message);
+      setStatus(null);
+    }
+  };
+  const save = () => {
+    const invalid = settingsError(draft);
+    if (invalid) return setError(invalid);
+    run(() => onSave(draft, target));
+  };
+
+  const overrides = SEGMENT_TYPES.flatMap(type => Object.keys(draft[type.key]).map(name => ({ type, name })));
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end">
+      <div className="absolute inset-0 bg-slate-950/70 backdrop-blur-sm" onClick={onClose} />
+
+      <aside className="relative w-full max-w-lg h-full overflow-y-auto bg-slate-900 border-l border-white/10 p-4 text-xs">
+        <div className="flex items-start justify-between mb-4">
+          <div className="flex items-center gap-2">
+            <div className="p-1.5 bg-white/5 rounded-lg">
+              <SlidersHorizontal className="w-4 h-4 text-cyan-400" />
+            </div>
+            <div>
+              <h2 className="text-sm font-bold text-white">Rate bands</h2>
+              <p className="text-[10px] text-slate-500">
+                Now using {source === 'user' ? 'your own bands' : source === 'global' ? 'the bands set for everyone' : 'the built-in defaults'}
+              </p>
+            </div>
+          </div>
+          <button onClick={onClose} className="p-1 hover:bg-white/10 rounded-lg text-slate-400 hover:text-white">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <section className="mb-4 p-2 bg-white/5 rounded-lg text-[10px] text-slate-400">
+          <p className="mb-1">Every Appr %, Conv % and % Stores w/ Trx badge is colored by two bounds:</p>
+          <ThresholdLegend thresholds={draft.default} metrics={THRESHOLD_METRICS} />
+          <p className="mt-1 text-slate-500">
+            Store rows use their tier's override first, then their region's, then the default. The network tables use the
+            region picked in the scope bar.
+          </p>
+        </section>
+
+        <section className="mb-4">
+          <h3 className="text-[10px] font-medium text-slate-400 uppercase tracking-wider mb-1">Default</h3>
+          <table>
+            <thead>
+              <tr className="text-[10px] text-slate-500">
+                <th className="p-1 text-left font-medium">Metric</th>
+                <th className="p-1 font-medium">Green ≥</th>
+                <th className="p-1 font-medium">Amber ≥</th>
+                <th className="p-1 text-left font-medium">Preview</th>
+              </tr>
+            </thead>
+            <tbody>
+              {THRESHOLD_METRICS.map(m => (
+                <BandRow key={m.key} label={m.label} bands={draft.default[m.key]} onChange={(bands) => setDefault(m.key, bands)} />
+              ))}
+            </tbody>
+          </table>
+        </section>
+
+        <section className="mb-4">
+          <h3 className="text-[10px] font-medium text-slate-400 uppercase tracking-wider mb-1">Overrides</h3>
+          {overrides.length === 0 && <p className="text-[10px] text-slate-500 mb-2">None: every store uses the default bands.</p>}
+          {overrides.map(({ type, name }) => (
+            <div key={`${type.key}:${name}`} className="mb-2 p-2 border border-white/10 rounded-lg">
+              <div className="flex items-center justify-between mb-1">
+                <span className="text-slate-300"><span className="text-slate-500">{type.label}</span> {segmentLabel(type.key, name)}</span>
+                <button onClick={() => removeSegment(type.key, name)} title="Remove override" className="p-1 rounded text-slate-500 hover:text-rose-400 hover:bg-white/10">
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </div>
+              <table>
+                <tbody>
+                  {THRESHOLD_METRICS.map(m => {
+                    const bands = draft[type.key][name][m.key];
+                    return (
+                      <BandRow
+                        key={m.key}
+                        label={
+                          <label className="flex items-center gap-1">
+                            <input
+                              type="checkbox"
+                              checked={Boolean(bands)}
+                              onChange={(e) => setOverride(type.key, name, m.key, e.target.checked ? [...draft.default[m.key]] : null)}
+                            />
+                            {m.label}
+                          </label>
+                        }
+                        bands={bands}
+                        onChange={(next) => setOverride(type.key, name, m.key, next)}
+                        inherited="Uses the default"
+                      />
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          ))}
+          <div className="flex items-center gap-1">
+            <select
+              value={newSegment.type}
+              onChange={(e) => setNewSegment({ type: e.target.value, name: '' })}
+              className="px-1.5 py-0.5 bg-white/5 border border-white/10 rounded text-slate-300 focus:outline-none"
+            >
+              {SEGMENT_TYPES.map(t => <option key={t.key} value={t.key} className="bg-slate-800">{t.label}</option>)}
+            </select>
+            <select
+              value={newSegment.name}
+              onChange={(e) => setNewSegment(s => ({ ...s, name: e.target.value }))}
+              className="px-1.5 py-0.5 bg-white/5 border border-white/10 rounded text-slate-300 focus:outline-none"
+            >
+              <option value="" className="bg-slate-800">Pick…</option>
+              {segmentChoices(newSegment.type).map(name => (
+                <option key={name} value={name} className="bg-slate-800">{segmentLabel(newSegment.type, name)}</option>
+              ))}
+            </select>
+            <button
+              onClick={addSegment}
+              disabled={!newSegment.name}
+              className="flex items-center gap-1 px-1.5 py-0.5 bg-white/5 hover:bg-white/10 border border-white/10 rounded text-slate-300 disabled:opacity-40"
+            >
+              <Plus className="w-3 h-3" /> Add override
+            </button>
+          </div>
+        </section>
+
+        <section className="pt-3 border-t border-white/10">
+          <div className="flex items-center gap-3 mb-3 text-slate-300">
+            <span className="text-slate-500">Save for</span>
+            <label className="flex items-center gap-1">
+              <input type="radio" checked={target === 'user'} onChange={() => setTarget('user')} /> Just me
+            </label>
+            <label className={`flex items-center gap-1 ${canEditGlobal ? '' : 'opacity-40'}`} title={canEditGlobal ? undefined : 'Needs access to every store of this merchant'}>
+              <input type="radio" checked={target === 'global'} disabled={!canEditGlobal} onChange={() => setTarget('global')} /> Everyone
+            </label>
+          </div>
+          {error && <p className="text-rose-400 mb-2">{error}</p>}
+          <div className="flex items-center justify-between">
+            <button
+              onClick={() => run(() => onReset(target))}
+              disabled={status === 'saving'}
+              title={target === 'user' ? 'Drop your own bands and use the ones set for everyone' : 'Drop the bands set for everyone and use the built-in defaults'}
+              className="px-3 py-1.5 text-slate-400 hover:text-white disabled:opacity-50"
+            >
+              Reset {target === 'user' ? 'mine' : 'everyone\'s'}
+            </button>
+            <div className="flex items-center gap-2">
+              <button onClick={onClose} className="px-3 py-1.5 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg text-slate-300">Cancel</button>
+              <button
+                onClick={save}
+                disabled={status === 'saving'}
+                className="px-3 py-1.5 bg-cyan-500 hover:bg-cyan-600 text-white rounded-lg transition-colors disabled:opacity-50"
+              >
+                {status === 'saving' ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+        </section>
+      </aside>
+    </div>
+  );
+}
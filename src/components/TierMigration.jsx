@@ -0,0 +1,72 @@
+/**
+ * Tier migration matrix: how many stores moved from each tier in one month
+ * (rows) to each tier in the next (columns). Upgrades sit left of the
+ * diagonal, downgrades right of it.
+ */
+
+import React, { useState } from 'react';
+import { tierMigration, describeTier } from '../tiers';
+import { shiftMonth } from '../utils';
+import { TierBadge } from './ui';
+
+// stores: grid rows with `data`; months: 'YYYY-MM' the matrix can end on, in order;
+// defaultMonth: month picked initially; monthLabel: 'YYYY-MM' → 'Jan 26'
+export default function TierMigration({ stores, months, defaultMonth, tiers, monthLabel }) {
+  const [pickedMonth, setPickedMonth] = useState(null);
+  const toMonth = months.includes(pickedMonth) ? pickedMonth : defaultMonth;
+  const fromMonth = shiftMonth(toMonth, -1);
+  const matrix = tierMigration(stores, fromMonth, toMonth, tiers);
+
+  const fromTotal = (key) => tiers.reduce((s, to) => s + matrix[key][to.key], 0);
+  const toTotal = (key) => tiers.reduce((s, from) => s + matrix[from.key][key], 0);
+  const moves = (up) => tiers.reduce((s, from, i) =>
+    s + tiers.reduce((t, to, j) => t + ((up ? j < i : j > i) ? matrix[from.key][to.key] : 0), 0), 0);
+
+  return (
+    <div className="border-t border-white/10 p-3">
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-[9px] uppercase tracking-wider text-slate-400">
+          Tier migration <span className="normal-case text-slate-500">• {monthLabel(fromMonth)} → {monthLabel(toMonth)}</span>
+          <span className="normal-case text-emerald-400 ml-2">▲ {moves(true)} up</span>
+          <span className="normal-case text-rose-400 ml-2">▼ {moves(false)} down</span>
+        </p>
+        <select
+          value={toMonth}
+          onChange={(e) => setPickedMonth(e.target.value)}
+          className="px-1.5 py-0.5 bg-white/5 border border-white/10 rounded text-[9px] text-slate-300 focus:outline-none focus:border-cyan-500/50"
+        >
+          {months.map(m => <option key={m} value={m} className="bg-slate-800">{monthLabel(shiftMonth(m, -1))} → {monthLabel(m)}</option>)}
+        </select>
+      </div>
+      <table className="text-[10px]">
+        <thead>
+          <tr>
+            <th className="p-1 text-left text-slate-500 font-medium">{monthLabel(fromMonth)} ↓ / {monthLabel(toMonth)} →</th>
+            {tiers.map(t => (
+              <th key={t.key} className="p-1 text-center min-w-[64px]"><TierBadge tier={t} title={describeTier(t)} /></th>
+            ))}
+            <th className="p-1 text-center text-slate-500 font-medium">Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {tiers.map((from, i) => (
+            <tr key={from.key} className="border-t border-white/5">
+              <td className="p-1"><TierBadge tier={from} title={describeTier(from)} /></td>
+              {tiers.map((to, j) => {
+                const count = matrix[from.key][to.key];
+                const tone = !count ? 'text-slate-600' : i === j ? 'text-slate-300' : j < i ? 'text-emerald-400 bg-emerald-500/10' : 'text-rose-400 bg-rose-500/10';
+                return <td key={to.key} className={`p-1 text-center ${tone}`}>{count || '-'}</td>;
+              })}
+              <td className="p-1 text-center text-slate-400">{fromTotal(from.key)}</td>
+            </tr>
+          ))}
+          <tr className="border-t border-white/10">
+            <td className="p-1 text-slate-500">Total</td>
+            {tiers.map(t => <td key={t.key} className="p-1 text-center text-slate-400">{toTotal(t.key)}</td>)}
+            <td className="p-1 text-center text-slate-400">{stores.length}</td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,264 @@
+/**
+ * Small presentational building blocks shared across the dashboard views
+ */
+
+import React from 'react';
+import { TrendingUp, TrendingDown, Minus, ArrowUpDown, ChevronUp, ChevronDown, RefreshCw, Wifi, WifiOff, Download } from 'lucide-react';
+import { pctChange } from '../utils';
+
+export const TrendIcon = ({ current, previous, className = "" }) => {
+  if (previous === undefined || previous === null || current === previous) 
+    return <Minus className={`w-2.5 h-2.5 text-slate-500 ${className}`} />;
+  if (current > previous) 
+    return <TrendingUp className={`w-2.5 h-2.5 text-emerald-400 ${className}`} />;
+  return <TrendingDown className={`w-2.5 h-2.5 text-rose-400 ${className}`} />;
+};
+
+export const RateBadge = ({ value, thresholds = [60, 50] }) => {
+  if (value === null || value === undefined) return <span className="text-slate-600">-</span>;
+  const color = value >= thresholds[0] 
+    ? 'bg-emerald-500/20 text-emerald-400' 
+    : value >= thresholds[1] 
+      ? 'bg-amber-500/20 text-amber-400' 
+      : 'bg-rose-500/20 text-rose-400';
+  return <span className={`px-1.5 py-0.5 rounded text-[10px] ${color}`}>{value.toFixed(0)}%</span>;
+};
+
+// What the RateBadge colors mean under the given bands (thresholds.js)
+export const ThresholdLegend = ({ thresholds, metrics }) => (
+  <span className="inline-flex flex-wrap items-center gap-x-3 gap-y-1">
+    <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-sm bg-emerald-500/40" /> at or above green</span>
+    <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-sm bg-amber-500/40" /> at or above amber</span>
+    <span className="flex items-center gap-1"><span className="w-2 h-2 rounded-sm bg-rose-500/40" /> below amber</span>
+    {metrics.map(m => (
+      <span key={m.key}>{m.label} {thresholds[m.key][0]}% / {thresholds[m.key][1]}%</span>
+    ))}
+  </span>
+);
+
+// Store tier from tiers.js; title explains the rule
+export const TierBadge = ({ tier, title }) => (
+  <span className={`px-1 rounded text-[8px] font-medium uppercase tracking-wide ${tier.badge}`} title={title}>{tier.label}</span>
+);
+
+// Places gained / lost since the previous ranking (leaderboard.js rankChange): ▲3, ▼2, = or new
+export const RankChange = ({ change, title, className = 'text-[9px]' }) => {
+  if (change === null || change === undefined) return null;
+  if (change === 'new') return <span title={title} className={`${className} text-violet-300`}>new</span>;
+  if (change === 0) return <span title={title} className={`${className} text-slate-500`}>=</span>;
+  return (
+    <span title={title} className={`${className} ${change > 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
+      {change > 0 ? '▲' : '▼'}{Math.abs(change)}
+    </span>
+  );
+};
+
+// Year-over-year change; rates compare in percentage points, everything else in %.
+// label names the comparison when it isn't last year (e.g. 'vs prev').
+export const YoYDelta = ({ current, previous, points = false, label = 'YoY' }) => {
+  if (current === null || current === undefined || previous === null || previous === undefined) return null;
+  const change = points ? current - previous : pctChange(current, previous);
+  if (change === null || !isFinite(change)) return null;
+  const color = change > 0 ? 'text-emerald-400' : change < 0 ? 'text-rose-400' : 'text-slate-500';
+  return (
+    <span className={`block text-[9px] font-normal ${color}`}>
+      {change > 0 ? '+' : ''}{change.toFixed(0)}{points ? 'pp' : '%'} {label}
+    </span>
+  );
+};
+
+// Attainment vs a target. For the month in progress (progress = share of the month
+// elapsed) it shows pace instead: actual vs the target pro-rated to today.
+export const TargetBadge = ({ actual, target, progress = null }) => {
+  if (!target || actual === null || actual === undefined) return null;
+  const attainment = (actual / target) * 100;
+  const pace = progress ? (actual / (target * progress)) * 100 : null;
+  const score = pace ?? attainment;
+  const color = score >= 100 ? 'text-emerald-400' : score >= 90 ? 'text-amber-400' : 'text-rose-400';
+  const title = `Target ${target.toLocaleString(undefined, { maximumFractionDigits: 1 })} • ${attainment.toFixed(0)}% attained`
+    + (pace === null ? '' : ` • ${(progress * 100).toFixed(0)}% of the month elapsed`);
+  return (
+    <span className={`block text-[9px] font-normal ${color}`} title={title}>
+      {pace === null ? `${attainment.toFixed(0)}% tgt` : `${pace.toFixed(0)}% pace`}
+    </span>
+  );
+};
+
+const formatCount = (value) => Math.round(value).toLocaleString();
+
+// Projection shown under an actual (e.g. the month in progress), set apart in violet italics
+export const Projection = ({ forecast, format = formatCount, label = 'proj.' }) => {
+  if (!forecast) return null;
+  return (
+    <span className="block text-[9px] italic text-violet-300" title={`80% band ${format(forecast.low)} – ${format(forecast.high)}`}>
+      ≈ {format(forecast.value)} {label}
+    </span>
+  );
+};
+
+// A forecast standing in for an actual, with its band underneath
+export const ForecastValue = ({ forecast, format = formatCount }) => {
+  if (!forecast) return <span className="text-slate-600">-</span>;
+  return (
+    <span className="italic text-violet-300">
+      ≈ {format(forecast.value)}
+      <span className="block text-[9px] text-violet-400/70">{format(forecast.low)} – {format(forecast.high)}</span>
+    </span>
+  );
+};
+
+const REALTIME_BADGES = {
+  connected: { label: 'Live', Icon: Wifi, className: 'bg-emerald-500/20 text-emerald-400' },
+  connecting: { label: 'Connecting', Icon: Wifi, className: 'bg-slate-500/20 text-slate-400' },
+  reconnecting: { label: 'Reconnecting', Icon: RefreshCw, className: 'bg-amber-500/20 text-amber-400' },
+  offline: { label: 'Offline', Icon: WifiOff, className: 'bg-rose-500/20 text-rose-400' },
+};
+
+export const RealtimeBadge = ({ status }) => {
+  const { label, Icon, className } = REALTIME_BADGES[status];
+  return (
+    <span
+      className={`px-2 py-0.5 rounded-full text-[10px] flex items-center gap-1 ${className}`}
+      title={status === 'connected' ? 'Receiving changes as they happen' : 'Polling every 5 min until the realtime connection is back'}
+    >
+      <Icon className={`w-2.5 h-2.5 ${status === 'reconnecting' ? 'animate-spin' : ''}`} /> {label}
+    </span>
+  );
+};
+
+export const MiniSparkline = ({ data, color = "#22d3ee" }) => {
+  if (!data || data.length < 2) return <div className="w-10 h-5" />;
+  const max = Math.max(...data);
+  const min = Math.min(...data);
+  const range = max - min || 1;
+  const points = data.map((v, i) => `${(i / (data.length - 1)) * 40},${20 - ((v - min) / range) * 16}`).join(' ');
+  
+  return (
+    <svg viewBox="0 0 40 20" className="w-10 h-5 flex-shrink-0">
+      <polyline fill="none" stroke={color} strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round" points={points} />
+    </svg>
+  );
+};
+
+export const SortIcon = ({ field, sortConfig }) => {
+  if (sortConfig.key !== field) return <ArrowUpDown className="w-2.5 h-2.5 text-slate-600" />;
+  return sortConfig.direction === 'desc' 
+    ? <ChevronDown className="w-2.5 h-2.5 text-cyan-400" />
+    : <ChevronUp className="w-2.5 h-2.5 text-cyan-400" />;
+};
+
+// CSV / XLSX download buttons shown next to a section title
+export const ExportButtons = ({ onExport }) => (
+  <div className="flex items-center gap-1">
+    {['csv', 'xlsx'].map(format => (
+      <button
+        key={format}
+        onClick={() => onExport(format)}
+        className="flex items-center gap-1 px-1.5 py-0.5 bg-white/5 hover:bg-white/10 border border-white/10 rounded text-[9px] text-slate-400 hover:text-white uppercase transition-colors"
+      >
+        <Download className="w-2.5 h-2.5" /> {format}
+      </button>
+    ))}
+  </div>
+);
+
+// Page background and centered container shared by the dashboard and summary views
+export const PageShell = ({ children, contentRef }) => (
+  <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 text-white text-xs">
+    {/* Background Effects */}
+    <div className="fixed inset-0 overflow-hidden pointer-events-none">
+      <div className="absolute top-0 right-0 w-[600px] h-[600px] bg-cyan-500/5 rounded-full blur-3xl" />
+      <div className="absolute bottom-0 left-0 w-[400px] h-[400px] bg-blue-600/5 rounded-full blur-3xl" />
+    </div>
+
+    <div ref={contentRef} className="relative max-w-[1900px] mx-auto p-4">
+      {children}
+    </div>
+  </div>
+);
+
+// Monthly bars with an optional dashed benchmark line (e.g. network average).
+// data: [{ label, value, benchmark }]
+export const MonthlyBarChart = ({ data, barClassName = 'fill-cyan-400', format = (v) => v.toLocaleString() }) => {
+  const width = 320;
+  const height = 110;
+  const pad = 12;
+  const max = Math.max(...data.map(d => Math.max(d.value || 0, d.benchmark || 0)), 1);
+  const slot = width / Math.max(data.length, 1);
+  const y = (v) => height - pad - (v / max) * (height - 2 * pad);
+  const benchmark = data
+    .map((d, i) => (d.benchmark === null || d.benchmark === undefined ? null : `${i * slot + slot / 2},${y(d.benchmark)}`))
+    .filter(Boolean)
+    .join(' ');
+  
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-28">
+      {data.map((d, i) => (
+        <g key={d.label}>
+          <rect
+            x={i * slot + slot * 0.15}
+            y={y(d.value || 0)}
+            width={slot * 0.7}
+            height={height - pad - y(d.value || 0)}
+            rx="1"
+            className={barClassName}
+          >
+            <title>{`${d.label}: ${format(d.value || 0)}`}</title>
+          </rect>
+          {/* Thin out labels on long histories */}
+          {(data.length <= 12 || i % 3 === 0) && (
+            <text x={i * slot + slot / 2} y={height - 2} textAnchor="middle" fontSize="7" className="fill-slate-500">{d.label}</text>
+          )}
+        </g>
+      ))}
+      {benchmark && (
+        <polyline points={benchmark} fill="none" stroke="#94a3b8" strokeWidth="1" strokeDasharray="3 2" />
+      )}
+    </svg>
+  );
+};
+
+// Overlaid lines, one per series, with an optional dashed benchmark line.
+// labels: x-axis labels; series: [{ key, label, values, className }], values aligned to labels (null = gap)
+// and className a text color (the lines draw in currentColor)
+export const TrendLinesChart = ({ labels, series, benchmark = null, format = (v) => v.toLocaleString() }) => {
+  const width = 320;
+  const height = 110;
+  const pad = 12;
+  const all = [...series.flatMap(s => s.values), ...(benchmark || [])].filter(v => v !== null && v !== undefined);
+  const max = Math.max(...all, 1);
+  const slot = width / Math.max(labels.length, 1);
+  const x = (i) => i * slot + slot / 2;
+  const y = (v) => height - pad - (v / max) * (height - 2 * pad);
+  // Polyline segments split at missing values
+  const segments = (values) => values
+    .reduce((parts, v, i) => {
+      if (v === null || v === undefined) parts.push([]);
+      else parts[parts.length - 1].push(`${x(i)},${y(v)}`);
+      return parts;
+    }, [[]])
+    .filter(part => part.length);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-28">
+      {labels.map((label, i) => (labels.length <= 12 || i % 3 === 0) && (
+        <text key={label} x={x(i)} y={height - 2} textAnchor="middle" fontSize="7" className="fill-slate-500">{label}</text>
+      ))}
+      {benchmark && segments(benchmark).map((part, i) => (
+        <polyline key={`benchmark-${i}`} points={part.join(' ')} fill="none" stroke="#94a3b8" strokeWidth="1" strokeDasharray="3 2" />
+      ))}
+      {series.map(s => (
+        <g key={s.key} className={s.className}>
+          {segments(s.values).map((part, i) => (
+            <polyline key={i} points={part.join(' ')} fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round" />
+          ))}
+          {s.values.map((v, i) => v !== null && v !== undefined && (
+            <circle key={`dot-${i}`} cx={x(i)} cy={y(v)} r="1.5" className="fill-current">
+              <title>{`${s.label} • ${labels[i]}: ${format(v)}`}</title>
+            </circle>
+          ))}
+        </g>
+      ))}
+    </svg>
+  );
+};
@@ -0,0 +1,107 @@
+/**
+ * Data-quality checks for the diagnostics panel
+ *
+ * Two sources of findings:
+ * - the raw store-level table, checked in Postgres by sf_data_quality
+ *   (supabase/migrations/*_sf_data_quality.sql): rows without a month or store
+ *   code, missing or negative values, approved > incoming, trx > approved and
+ *   several rows for one store and month
+ * - the loaded data, checked here: store-month and realtime rows the dashboard
+ *   had to leave out or zero, impossible ratios per store-month, and months
+ *   where the stores don't add up to the network totals
+ *
+ * A finding is { check, count, samples } with at most SAMPLE_LIMIT samples.
+ */
+
+export const SAMPLE_LIMIT = 5;
+
+export const DATA_CHECKS = {
+  missing_month: { label: 'No month', description: 'Rows without an application month; the dashboard leaves them out' },
+  missing_dealer: { label: 'No store code', description: 'Rows without a dealer code; the dashboard leaves them out' },
+  missing_value: { label: 'Missing values', description: 'Null incoming, approved, trx or GMV, counted as zero' },
+  bad_number: { label: 'Unreadable values', description: 'Values that aren\'t numbers, counted as zero' },
+  negative: { label: 'Negative values', description: 'Incoming, approved, trx or GMV below zero' },
+  approved_gt_incoming: { label: 'Approved > incoming', description: 'More approvals than applications' },
+  trx_gt_approved: { label: 'Trx > approved', description: 'More settled transactions than approvals' },
+  duplicate: { label: 'Duplicate store-months', description: 'Several rows for one store and month; the totals add them up' },
+  totals_mismatch: { label: 'Totals disagree', description: 'The stores\' months don\'t add up to the network total of that month' },
+};
+
+const METRICS = ['incoming', 'approved', 'trx', 'gmv'];
+
+// 'YYYY-MM' from a month key or a date ('2025-01-01'), null when there is none
+export const toMonthKey = (value) =>
+  (typeof value === 'string' && /^\d{4}-\d{2}/.test(value) ? value.substring(0, 7) : null);
+
+// A store code as text: strings, and numbers from XLSX cells or JSON exports;
+// null when there is none (blank after trimming), which is also what the row
+// sources' missing_dealer check counts
+export const toStoreCode = (value) =>
+  ((typeof value === 'string' || Number.isFinite(value)) && String(value).trim() ? String(value) : null);
+
+const isNumber = (value) => value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value));
+
+// A store-month row as { code, name, month, incoming, approved, trx, gmv, problems }.
+// Unreadable values become 0; `month` or `code` is null when the row can't be placed.
+// raw = a table row (realtime) rather than an sf_store_months row. Problems a
+// row source found in the raw rows behind a store-month (`row.problems`) count too.
+export function readStoreRow(row, raw = false) {
+  const values = raw
+    ? { incoming: row.net_incoming, approved: row.approved, trx: row.trx_settled, gmv: row.gmv }
+    : { incoming: row.incoming, approved: row.approved, trx: row.trx, gmv: row.gmv };
+  const code = toStoreCode(row.dealer_code);
+  const month = toMonthKey(raw ? row.application_month : row.month);
+  const problems = [...(row.problems || [])];
+  if (!month) problems.push('missing_month');
+  if (!code) problems.push('missing_dealer');
+  const invalid = METRICS.filter(key => !isNumber(values[key]));
+  if (invalid.length) problems.push(invalid.some(key => values[key] === null || values[key] === undefined) ? 'missing_value' : 'bad_number');
+  METRICS.forEach(key => { values[key] = isNumber(values[key]) ? Number(values[key]) : 0; });
+  return { code, name: row.submerchant || code, month, ...values, problems };
+}
+
+// Store-month checks on what's loaded: the values themselves are already numbers
+const cellProblems = (d) => [
+  METRICS.some(key => d[key] < 0) && 'negative',
+  d.approved > d.incoming && 'approved_gt_incoming',
+  d.trx > d.approved && 'trx_gt_approved',
+].filter(Boolean);
+
+// Findings on the loaded dataset. `rejected` holds the rows readStoreRow
+// flagged while loading: [{ check, row }].
+export function checkDataset({ storeMonthlyData, monthlyData, rejected = [] }) {
+  const findings = {};
+  const add = (check, sample) => {
+    const finding = findings[check] ||= { check, count: 0, samples: [] };
+    finding.count++;
+    if (finding.samples.length < SAMPLE_LIMIT) finding.samples.push(sample);
+  };
+
+  rejected.forEach(({ check, row }) => add(check, row));
+
+  const sums = {};
+  Object.entries(storeMonthlyData).forEach(([code, months]) => {
+    Object.entries(months).forEach(([month, d]) => {
+      cellProblems(d).forEach(check => add(check, { dealer_code: code, month, ...d }));
+      const sum = sums[month] ||= { incoming: 0, approved: 0, trx: 0, gmv: 0 };
+      METRICS.forEach(key => { sum[key] += d[key]; });
+    });
+  });
+
+  monthlyData.forEach(m => {
+    const sum = sums[m.month] || { incoming: 0, approved: 0, trx: 0, gmv: 0 };
+    // GMV is numeric in Postgres, so allow for rounding
+    const off = METRICS.filter(key => Math.abs(sum[key] - m[key]) > (key === 'gmv' ? 1 : 0));
+    if (off.length) {
+      add('totals_mismatch', Object.fromEntries([['month', m.month], ...off.flatMap(key => [[`network_${key}`, m[key]], [`stores_${key}`, sum[key]]])]));
+    }
+  });
+
+  return Object.values(findings);
+}
+
+// sf_data_quality rows as findings
+export const sourceFindings = (rows) =>
+  rows.map(row => ({ check: row.check_key, count: Number(row.row_count), samples: row.samples || [] }));
+
+export const countIssues = (findings) => findings.reduce((sum, f) => sum + f.count, 0);
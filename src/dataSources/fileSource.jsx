@@ -0,0 +1,122 @@
+/**
+ * Local file data source: a CSV or XLSX the user drops into the app
+ *
+ * The file holds raw store-level rows with a header row:
+ *
+ *   application_month,dealer_code,submerchant,net_incoming,approved,trx_settled,gmv
+ *   2026-01-01,FRT0001,FPT Shop 1,15,8,4,30000000
+ *
+ * application_month may also be called month, and may be 'YYYY-MM' or a date
+ * (Excel dates work). With a merchant column the rows are split by merchant
+ * id; without one every merchant shows the whole file. The file stays in
+ * memory only: reloading the page asks for it again.
+ */
+
+import React, { useState } from 'react';
+import { FileSpreadsheet, Upload, X } from 'lucide-react';
+import { createRowSource, rowsFromRecords, parseRowsCsv } from './rowSource';
+
+let loadedFile = null; // { name, rows, loadedAt }
+
+// ExcelJS cell values: dates, formulas ({ result }), rich text ({ richText }) or plain values
+const cellValue = (value) => {
+  if (value instanceof Date) return value.toISOString().substring(0, 10);
+  if (value && typeof value === 'object') return value.result ?? value.text ?? value.richText?.map(part => part.text).join('') ?? null;
+  return value ?? null;
+};
+
+async function parseXlsx(buffer) {
+  const { default: ExcelJS } = await import('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet || sheet.rowCount === 0) throw new Error('The workbook\'s first sheet is empty');
+  const records = [];
+  sheet.eachRow(row => records.push(row.values.slice(1).map(cellValue))); // row.values is 1-based
+  return rowsFromRecords(records[0], records.slice(1));
+}
+
+export async function readDataFile(file) {
+  const rows = /\.xlsx$/i.test(file.name) ? await parseXlsx(await file.arrayBuffer()) : parseRowsCsv(await file.text());
+  if (rows.length === 0) throw new Error('The file has a header but no rows');
+  return rows;
+}
+
+const fileSource = createRowSource({
+  id: 'file',
+  label: 'Local file',
+  load: (merchant) => {
+    if (!loadedFile) throw new Error('No data file loaded');
+    const split = loadedFile.rows.some(row => row.merchant);
+    return { rows: split ? loadedFile.rows.filter(row => row.merchant === merchant.id) : loadedFile.rows };
+  },
+});
+
+// Asks for the file before the dashboard renders; a new file restarts the dashboard
+function FileGate({ children }) {
+  const [file, setFile] = useState(loadedFile);
+  const [status, setStatus] = useState('idle'); // idle | reading | dragging
+  const [error, setError] = useState(null);
+
+  const open = async (picked) => {
+    if (!picked) return;
+    setStatus('reading');
+    setError(null);
+    try {
+      loadedFile = { name: picked.name, rows: await readDataFile(picked), loadedAt: Date.now() };
+      setFile(loadedFile);
+    } catch (err) {
+      setError(err.message);
+    }
+    setStatus('idle');
+  };
+
+  const close = () => {
+    loadedFile = null;
+    setFile(null);
+  };
+
+  if (file) {
+    return (
+      <>
+        <React.Fragment key={`${file.name}:${file.loadedAt}`}>{children}</React.Fragment>
+        <div className="fixed bottom-4 left-4 z-40 flex items-center gap-1.5 px-2 py-1 bg-slate-900 border border-white/10 rounded-lg text-[10px] text-slate-400">
+          <FileSpreadsheet className="w-3 h-3 text-cyan-400" />
+          {file.name} • {file.rows.length.toLocaleString()} rows
+          <button onClick={close} title="Load another file" className="p-0.5 rounded hover:bg-white/10 hover:text-white">
+            <X className="w-3 h-3" />
+          </button>
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 flex items-center justify-center text-xs">
+      <label
+        onDragOver={(e) => { e.preventDefault(); setStatus(s => (s === 'reading' ? s : 'dragging')); }}
+        onDragLeave={() => setStatus(s => (s === 'dragging' ? 'idle' : s))}
+        onDrop={(e) => { e.preventDefault(); open(e.dataTransfer.files[0]); }}
+        className={`w-full max-w-md p-8 text-center border-2 border-dashed rounded-xl cursor-pointer transition-colors ${status === 'dragging' ? 'border-cyan-400 bg-cyan-500/5' : 'border-white/10 bg-slate-900/50 hover:border-white/20'}`}
+      >
+        <Upload className="w-8 h-8 text-cyan-400 mx-auto mb-3" />
+        <p className="text-slate-300">{status === 'reading' ? 'Reading...' : 'Drop a CSV or XLSX with store-level rows, or click to pick one'}</p>
+        <p className="text-[10px] text-slate-500 mt-1">application_month, dealer_code, submerchant, net_incoming, approved, trx_settled, gmv</p>
+        {error && <p className="text-rose-400 mt-3">{error}</p>}
+        <input
+          type="file"
+          accept=".csv,.xlsx,text/csv"
+          className="hidden"
+          onChange={(e) => {
+            open(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+      </label>
+    </div>
+  );
+}
+
+fileSource.Gate = FileGate;
+
+export default fileSource;
@@ -0,0 +1,87 @@
+/**
+ * Bundled sample data, for demos and offline development
+ *
+ * The same deterministic numbers as supabase/seed.sql: 40 stores x 18 months
+ * (Jan 2025 - Jun 2026) per merchant, targets and a store master for the
+ * first 36 stores. FRT matches the seed exactly; the other merchants are
+ * shifted so the merchant summary has something to compare.
+ */
+
+import { MERCHANTS } from '../merchants';
+import { createRowSource } from './rowSource';
+
+const STORES = 40;
+const MONTHS = Array.from({ length: 18 }, (_, i) => `${2025 + Math.floor(i / 12)}-${String(i % 12 + 1).padStart(2, '0')}`);
+const UPDATED_AT = '2026-07-01T00:00:00Z';
+
+const REGIONS = ['North', 'Central', 'South'];
+const AREAS = [
+  { area: 'Hanoi 1', manager: 'Nguyen Van An', province: 'Ha Noi' },
+  { area: 'Hanoi 2', manager: 'Tran Thi Binh', province: 'Ha Noi' },
+  { area: 'Da Nang', manager: 'Le Van Cuong', province: 'Da Nang' },
+  { area: 'Hue', manager: 'Pham Thi Dung', province: 'Thua Thien Hue' },
+  { area: 'HCMC 1', manager: 'Hoang Van Em', province: 'Ho Chi Minh' },
+  { area: 'Can Tho', manager: 'Vo Thi Giang', province: 'Can Tho' },
+];
+
+const dealerCode = (merchant, store) => `${merchant.name}${String(store).padStart(4, '0')}`;
+
+function buildFixture(merchant) {
+  const shift = MERCHANTS.findIndex(m => m.id === merchant.id) * 11;
+  const rows = [];
+  for (let store = 1; store <= STORES; store++) {
+    MONTHS.forEach(month => {
+      // Every 8th store only starts in 2026; every 13th goes dormant after mid-2025
+      const incoming = (store % 8 === 0 && month < '2026-01') || (store % 13 === 0 && month > '2025-06')
+        ? 0
+        : 5 + (store * 7 + Number(month.substring(5)) * 3 + shift) % 25;
+      const trx = Math.floor(incoming * (30 + store % 15) / 100);
+      rows.push({
+        application_month: `${month}-01`,
+        dealer_code: dealerCode(merchant, store),
+        submerchant: `${merchant.fullName} ${store}`,
+        net_incoming: incoming,
+        approved: Math.floor(incoming * (55 + store % 20) / 100),
+        trx_settled: trx,
+        gmv: trx * (6000000 + (store % 7) * 1500000),
+        updated_at: UPDATED_AT,
+      });
+    });
+  }
+
+  // Network: +10% on each month's actuals and 80% store penetration; stores: +10% trx, up to a multiple of 5
+  const targets = MONTHS.map(month => {
+    const monthRows = rows.filter(row => row.application_month.startsWith(month));
+    const sum = (key) => monthRows.reduce((total, row) => total + row[key], 0);
+    return { month, dealer_code: null, trx: Math.round(sum('trx_settled') * 1.1), gmv: Math.round(sum('gmv') * 1.1 / 1e6) * 1e6, pct_stores_with_trx: 80 };
+  });
+  rows.filter(row => row.trx_settled > 0).forEach(row => targets.push({
+    month: row.application_month.substring(0, 7),
+    dealer_code: row.dealer_code,
+    trx: Math.ceil(row.trx_settled * 1.1 / 5) * 5,
+    gmv: null,
+    pct_stores_with_trx: null,
+  }));
+
+  // 3 regions x 2 areas, 6 stores per area; the last 4 stores stay unassigned
+  const storeMaster = Array.from({ length: 36 }, (_, i) => ({
+    dealer_code: dealerCode(merchant, i + 1),
+    region: REGIONS[Math.floor(i / 12)],
+    ...AREAS[Math.floor(i / 6)],
+  }));
+
+  return { rows, targets, storeMaster };
+}
+
+const fixtures = new Map();
+
+const fixtureSource = createRowSource({
+  id: 'fixture',
+  label: 'Sample data',
+  load: (merchant) => {
+    if (!fixtures.has(merchant.id)) fixtures.set(merchant.id, buildFixture(merchant));
+    return fixtures.get(merchant.id);
+  },
+});
+
+export default fixtureSource;
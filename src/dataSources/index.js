@@ -0,0 +1,49 @@
+/**
+ * Data sources: where the store-level rows come from
+ *
+ * Picked with VITE_DATA_SOURCE (.env or the Vercel project settings):
+ * - supabase (default): the live project; sign-in, row-level security, realtime
+ * - rest:    a JSON endpoint, VITE_DATA_SOURCE_URL (restSource.js)
+ * - file:    a CSV or XLSX the user drops into the app (fileSource.jsx)
+ * - fixture: the bundled sample data (fixtureSource.js)
+ *
+ * Every source answers with the row shapes of the Supabase RPCs and tables, so
+ * the dashboard's pipeline (App.jsx) works the same on top of any of them:
+ *
+ *   monthlyTotals(merchant)              sf_monthly_totals rows
+ *   storeCounts(merchant)                sf_store_counts rows
+ *   storeMonths(merchant, since)         sf_store_months rows; since = only store-months changed after it
+ *   dataQuality(merchant, samples)       sf_data_quality rows
+ *   targets(merchant)                    sf_targets rows
+ *   storeMaster(merchant)                sf_store_master rows
+ *   thresholdSettings(merchant)          sf_threshold_settings rows, and
+ *   saveThresholdSettings(merchant, userId, settings, email) / deleteThresholdSettings(merchant, userId)
+ *   subscribe(merchant, onChange, onStatus)
+ *                                        optional: postgres_changes-style payloads and
+ *                                        connected | reconnecting | offline; returns the unsubscribe function
+ *
+ * plus id, label, requiresAuth (false = no sign-in, every merchant fully
+ * visible), incremental (true = storeMonths with `since` also returns the
+ * store-months that lost rows, flagged `deleted` once empty; refreshes of
+ * other sources reload every store-month) and an optional Gate component
+ * rendered around the dashboard.
+ */
+
+import supabaseSource from './supabaseSource';
+import { createRestSource } from './restSource';
+import fileSource from './fileSource';
+import fixtureSource from './fixtureSource';
+
+const SOURCES = {
+  supabase: () => supabaseSource,
+  rest: () => createRestSource(import.meta.env.VITE_DATA_SOURCE_URL),
+  file: () => fileSource,
+  fixture: () => fixtureSource,
+};
+
+const configured = import.meta.env.VITE_DATA_SOURCE || 'supabase';
+if (!SOURCES[configured]) {
+  console.error(`Unknown VITE_DATA_SOURCE "${configured}", using supabase. Options: ${Object.keys(SOURCES).join(', ')}`);
+}
+
+export const dataSource = (SOURCES[configured] || SOURCES.supabase)();
@@ -0,0 +1,36 @@
+/**
+ * REST / JSON data source
+ *
+ * VITE_DATA_SOURCE_URL is fetched once per merchant load, with {merchant} and
+ * {table} replaced by the merchant's id and table from merchants.js, e.g.
+ *
+ *   https://reports.example.com/sf/{merchant}.json
+ *
+ * The endpoint returns the table's raw rows, either as an array or as
+ *
+ *   { "rows": [...], "targets": [...], "store_master": [...] }
+ *
+ * where targets and store_master are optional and shaped like sf_targets and
+ * sf_store_master rows.
+ */
+
+import { createRowSource } from './rowSource';
+
+export function createRestSource(urlTemplate) {
+  return createRowSource({
+    id: 'rest',
+    label: 'REST',
+    load: async (merchant) => {
+      if (!urlTemplate) throw new Error('Set VITE_DATA_SOURCE_URL to use the REST data source');
+      const url = urlTemplate
+        .replaceAll('{merchant}', encodeURIComponent(merchant.id))
+        .replaceAll('{table}', encodeURIComponent(merchant.table));
+      const response = await fetch(url, { headers: { Accept: 'application/json' } });
+      if (!response.ok) throw new Error(`${url} answered ${response.status} ${response.statusText}`);
+      const body = await response.json();
+      if (Array.isArray(body)) return { rows: body };
+      if (!Array.isArray(body?.rows)) throw new Error(`${url} returned neither an array of rows nor { rows: [...] }`);
+      return { rows: body.rows, targets: body.targets, storeMaster: body.store_master };
+    },
+  });
+}
@@ -0,0 +1,185 @@
+/**
+ * Data source over raw store-level rows held in the browser
+ *
+ * The REST, file and fixture sources only have to produce the rows of a
+ * merchant's table (application_month, dealer_code, submerchant, net_incoming,
+ * approved, trx_settled, gmv, optional updated_at). The functions below do in
+ * JavaScript what the Supabase RPCs do in Postgres
+ * (supabase/migrations/*_sf_aggregations.sql, *_sf_data_quality.sql), with the
+ * same result rows, so the dashboard can't tell the sources apart. Store-month
+ * rows also carry `problems`: raw rows here can hold blanks and text, which a
+ * database column would have refused or left null.
+ *
+ * Rate bands edited in the app are kept in localStorage instead of
+ * sf_threshold_settings. The rest runs in Node too (scripts/sf-report.js).
+ */
+
+import { toMonthKey, toStoreCode } from '../dataQuality.js';
+import { parseCsvLine } from '../utils.js';
+
+const SETTINGS_STORAGE_PREFIX = 'sf-dashboard:threshold-settings:';
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+// sum() in Postgres skips nulls; values that aren't numbers count like nulls here
+const num = (value) => (isBlank(value) || !Number.isFinite(Number(value)) ? 0 : Number(value));
+
+const rowMonth = (row) => toMonthKey(row.application_month);
+
+// Store codes as text like the table's column, whatever type the file or JSON gave
+const rowCode = (row) => (isBlank(row.dealer_code) ? row.dealer_code : String(row.dealer_code));
+
+// Rows of one merchant: the merchant filter applies like the RPCs' WHERE clause
+export const merchantRows = (rows, merchant) =>
+  (merchant.filter ? rows.filter(row => String(row[merchant.filter.column]) === String(merchant.filter.value)) : rows);
+
+const METRIC_COLUMNS = ['net_incoming', 'approved', 'trx_settled', 'gmv'];
+const FILE_COLUMNS = ['application_month', 'dealer_code', 'submerchant', ...METRIC_COLUMNS, 'merchant'];
+
+// dataQuality's checks on a raw row's values
+const VALUE_CHECKS = {
+  missing_value: row => METRIC_COLUMNS.some(col => isBlank(row[col])),
+  bad_number: row => METRIC_COLUMNS.some(col => !isBlank(row[col]) && !Number.isFinite(Number(row[col]))),
+};
+
+const groupBy = (rows, keyOf) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return groups;
+};
+
+// A file's header and records (strings, numbers, dates) as raw table rows.
+// application_month may be called month.
+export function rowsFromRecords(header, records) {
+  const names = header.map(h => String(h ?? '').trim().toLowerCase()).map(h => (h === 'month' ? 'application_month' : h));
+  if (!names.includes('application_month') || !names.includes('dealer_code') || !METRIC_COLUMNS.some(c => names.includes(c))) {
+    throw new Error(`The file needs application_month (or month), dealer_code and at least one of: ${METRIC_COLUMNS.join(', ')}`);
+  }
+  return records
+    .filter(cells => cells.some(cell => cell !== null && cell !== ''))
+    .map(cells => Object.fromEntries(FILE_COLUMNS.filter(c => names.includes(c)).map(c => {
+      const value = cells[names.indexOf(c)];
+      if (value === '' || value === undefined || value === null) return [c, null];
+      return [c, c === 'dealer_code' ? String(value) : value];
+    })));
+}
+
+export function parseRowsCsv(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) throw new Error('The file is empty');
+  return rowsFromRecords(parseCsvLine(lines[0]), lines.slice(1).map(parseCsvLine));
+}
+
+const countDistinct = (rows, where) => new Set(rows.filter(where).map(rowCode)).size;
+
+// sf_monthly_totals
+export const monthlyTotals = (rows) =>
+  [...groupBy(rows, rowMonth)].map(([month, group]) => ({
+    month,
+    incoming: group.reduce((sum, row) => sum + num(row.net_incoming), 0),
+    approved: group.reduce((sum, row) => sum + num(row.approved), 0),
+    trx: group.reduce((sum, row) => sum + num(row.trx_settled), 0),
+    gmv: group.reduce((sum, row) => sum + num(row.gmv), 0),
+    stores_with_incoming: countDistinct(group, row => num(row.net_incoming) > 0),
+    stores_with_trx: countDistinct(group, row => num(row.trx_settled) > 0),
+  })).sort((a, b) => String(a.month).localeCompare(String(b.month)));
+
+// sf_store_counts: one row per year, plus year = null over every row
+export const storeCounts = (rows) => [
+  ...[...groupBy(rows.filter(rowMonth), row => Number(rowMonth(row).substring(0, 4)))].map(([year, group]) => ({
+    year,
+    stores: countDistinct(group, () => true),
+    stores_with_sf: countDistinct(group, row => num(row.net_incoming) > 0),
+  })),
+  { year: null, stores: countDistinct(rows, () => true), stores_with_sf: countDistinct(rows, row => num(row.net_incoming) > 0) },
+];
+
+// sf_store_months. Rows without updated_at always count as changed. `problems`
+// holds a check key per raw row and value check it fails, so the dashboard
+// reports values it counted as zero (readStoreRow).
+export const storeMonths = (rows, since = null) =>
+  [...groupBy(rows, row => `${rowCode(row)}|${rowMonth(row)}`).values()]
+    .map(group => {
+      const stamps = group.map(row => row.updated_at).filter(Boolean).sort();
+      return {
+        dealer_code: rowCode(group[0]),
+        submerchant: group.map(row => row.submerchant).filter(Boolean).sort().pop() ?? null,
+        month: rowMonth(group[0]),
+        incoming: group.reduce((sum, row) => sum + num(row.net_incoming), 0),
+        approved: group.reduce((sum, row) => sum + num(row.approved), 0),
+        trx: group.reduce((sum, row) => sum + num(row.trx_settled), 0),
+        gmv: group.reduce((sum, row) => sum + num(row.gmv), 0),
+        updated_at: stamps.length === group.length ? stamps[stamps.length - 1] : null,
+        problems: group.flatMap(row => Object.keys(VALUE_CHECKS).filter(check => VALUE_CHECKS[check](row))),
+      };
+    })
+    .filter(row => !since || !row.updated_at || Date.parse(row.updated_at) > Date.parse(since))
+    .sort((a, b) => String(a.dealer_code).localeCompare(String(b.dealer_code)) || String(a.month).localeCompare(String(b.month)));
+
+// sf_data_quality, plus 'bad_number' for text that isn't a number (a database column can't hold it)
+export const dataQuality = (rows, samples) => {
+  const copies = groupBy(rows, row => `${rowCode(row)}|${rowMonth(row)}`);
+  const checks = {
+    missing_month: row => !rowMonth(row),
+    missing_dealer: row => !toStoreCode(row.dealer_code),
+    ...VALUE_CHECKS,
+    negative: row => METRIC_COLUMNS.some(col => num(row[col]) < 0),
+    approved_gt_incoming: row => !isBlank(row.approved) && !isBlank(row.net_incoming) && num(row.approved) > num(row.net_incoming),
+    trx_gt_approved: row => !isBlank(row.trx_settled) && !isBlank(row.approved) && num(row.trx_settled) > num(row.approved),
+    duplicate: row => copies.get(`${rowCode(row)}|${rowMonth(row)}`).length > 1,
+  };
+  return Object.entries(checks)
+    .map(([check_key, failed]) => {
+      const flagged = rows.filter(failed);
+      return { check_key, row_count: flagged.length, samples: flagged.slice(0, samples) };
+    })
+    .filter(finding => finding.row_count > 0);
+};
+
+// load(merchant) resolves to { rows, targets?, storeMaster? }. Concurrent calls
+// for one merchant (totals and store-months are fetched together) share a load.
+export function createRowSource({ id, label, load }) {
+  const pending = new Map();
+  const loadOnce = (merchant) => {
+    if (!pending.has(merchant.id)) {
+      const promise = Promise.resolve().then(() => load(merchant)).finally(() => pending.delete(merchant.id));
+      pending.set(merchant.id, promise);
+    }
+    return pending.get(merchant.id);
+  };
+  const rowsOf = async (merchant) => merchantRows((await loadOnce(merchant)).rows, merchant);
+
+  const settingsKey = (merchant) => `${SETTINGS_STORAGE_PREFIX}${id}:${merchant.id}`;
+  const readSettings = (merchant) => {
+    try {
+      return JSON.parse(localStorage.getItem(settingsKey(merchant))) || [];
+    } catch {
+      return [];
+    }
+  };
+  const writeSettings = (merchant, rows) => localStorage.setItem(settingsKey(merchant), JSON.stringify(rows));
+
+  return {
+    id,
+    label,
+    requiresAuth: false,
+    monthlyTotals: async (merchant) => monthlyTotals(await rowsOf(merchant)),
+    storeCounts: async (merchant) => storeCounts(await rowsOf(merchant)),
+    storeMonths: async (merchant, since) => storeMonths(await rowsOf(merchant), since),
+    dataQuality: async (merchant, samples) => dataQuality(await rowsOf(merchant), samples),
+    targets: async (merchant) => (await loadOnce(merchant)).targets || [],
+    storeMaster: async (merchant) => (await loadOnce(merchant)).storeMaster || [],
+    thresholdSettings: async (merchant) => readSettings(merchant),
+    saveThresholdSettings: async (merchant, userId, settings, email) => {
+      const row = { user_id: userId, settings, updated_by: email, updated_at: new Date().toISOString() };
+      writeSettings(merchant, [...readSettings(merchant).filter(r => r.user_id !== userId), row]);
+    },
+    deleteThresholdSettings: async (merchant, userId) => {
+      writeSettings(merchant, readSettings(merchant).filter(r => r.user_id !== userId));
+    },
+  };
+}
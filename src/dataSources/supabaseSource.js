@@ -0,0 +1,127 @@
+/**
+ * Supabase data source (the default)
+ *
+ * Aggregation runs in Postgres (supabase/migrations/*_sf_aggregations.sql),
+ * changes stream in over Realtime, and users sign in so row-level security
+ * can limit what they see (AuthGate).
+ */
+
+import { supabase } from '../supabase';
+
+async function fetchAllPages(buildQuery) {
+  // Fetch ALL rows using pagination (Supabase has 1000 row default limit).
+  // buildQuery returns a fresh, ordered query so pages don't overlap.
+  const allData = [];
+  const pageSize = 1000;
+  let offset = 0;
+  let hasMore = true;
+
+  while (hasMore) {
+    const { data, error } = await buildQuery().range(offset, offset + pageSize - 1);
+
+    if (error) throw error;
+
+    if (data && data.length > 0) {
+      allData.push(...data);
+      offset += pageSize;
+      hasMore = data.length === pageSize;
+    } else {
+      hasMore = false;
+    }
+  }
+
+  return allData;
+}
+
+// Arguments shared by the aggregation RPCs
+const rpcParams = (merchant) => ({
+  p_table: merchant.table,
+  p_filter_column: merchant.filter?.column ?? null,
+  p_filter_value: merchant.filter?.value ?? null
+});
+
+async function callRpc(fn, params) {
+  const { data, error } = await supabase.rpc(fn, params);
+  if (error) throw error;
+  return data || [];
+}
+
+// Channel states mapped onto the dashboard's: connected | reconnecting | offline
+const CHANNEL_STATUS = {
+  SUBSCRIBED: 'connected',
+  CLOSED: 'offline',
+  CHANNEL_ERROR: 'reconnecting', // The client keeps retrying
+  TIMED_OUT: 'reconnecting',
+};
+
+const supabaseSource = {
+  id: 'supabase',
+  label: 'Supabase',
+  requiresAuth: true,
+  // sf_store_months reports deletes from the tombstones (*_sf_change_tracking.sql)
+  incremental: true,
+
+  monthlyTotals: (merchant) => callRpc('sf_monthly_totals', rpcParams(merchant)),
+
+  storeCounts: (merchant) => callRpc('sf_store_counts', rpcParams(merchant)),
+
+  storeMonths: (merchant, since = null) => fetchAllPages(() => supabase
+    .rpc('sf_store_months', { ...rpcParams(merchant), p_since: since })
+    .order('dealer_code')
+    .order('month')),
+
+  dataQuality: (merchant, samples) => callRpc('sf_data_quality', { ...rpcParams(merchant), p_samples: samples }),
+
+  targets: (merchant) => fetchAllPages(() => supabase
+    .from('sf_targets')
+    .select('month, dealer_code, trx, gmv, pct_stores_with_trx')
+    .eq('merchant', merchant.id)
+    .order('month')
+    .order('dealer_code')),
+
+  storeMaster: (merchant) => fetchAllPages(() => supabase
+    .from('sf_store_master')
+    .select('dealer_code, region, area, manager, province')
+    .eq('merchant', merchant.id)
+    .order('dealer_code')),
+
+  // The row for everyone (user_id null) and the caller's own
+  thresholdSettings: async (merchant) => {
+    const { data, error } = await supabase
+      .from('sf_threshold_settings')
+      .select('user_id, settings, updated_by, updated_at')
+      .eq('merchant', merchant.id);
+    if (error) throw error;
+    return data || [];
+  },
+
+  // userId null = the shared row
+  saveThresholdSettings: async (merchant, userId, settings, email) => {
+    const { error } = await supabase
+      .from('sf_threshold_settings')
+      .upsert({ merchant: merchant.id, user_id: userId, settings, updated_by: email }, { onConflict: 'merchant,user_id' });
+    if (error) throw error;
+  },
+
+  deleteThresholdSettings: async (merchant, userId) => {
+    const query = supabase.from('sf_threshold_settings').delete().eq('merchant', merchant.id);
+    const { error } = await (userId ? query.eq('user_id', userId) : query.is('user_id', null));
+    if (error) throw error;
+  },
+
+  // postgres_changes payloads on the merchant's table; returns the unsubscribe function
+  subscribe: (merchant, onChange, onStatus) => {
+    const channel = supabase
+      .channel(`sf-changes-${merchant.id}`)
+      .on('postgres_changes', {
+        event: '*',
+        schema: 'public',
+        table: merchant.table,
+        ...(merchant.filter && { filter: `${merchant.filter.column}=eq.${merchant.filter.value}` })
+      }, onChange)
+      .subscribe((status) => onStatus(CHANNEL_STATUS[status] || 'reconnecting'));
+    return () => supabase.removeChannel(channel);
+  },
+};
+
+export default supabaseSource;
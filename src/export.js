@@ -0,0 +1,173 @@
+/**
+ * Table export (CSV / XLSX) and PDF snapshot
+ *
+ * Tables are plain arrays of rows (first `headerRows` rows are headers) with
+ * raw numbers, so spreadsheets get values they can sum rather than "1.2M".
+ * The XLSX and PDF libraries are loaded on first use to keep them out of the
+ * main bundle.
+ */
+
+import { ACTIVITY_ROWS } from './cohorts';
+
+const round1 = (value) => (value === null || value === undefined || !isFinite(value) ? null : Math.round(value * 10) / 10);
+const ratio = (num, den) => (den ? (num / den) * 100 : null);
+
+// ============================================================================
+// TABLE BUILDERS
+// ============================================================================
+
+// Quarterly Overview / Monthly Metrics: one column per period plus the total column.
+// periods: [{ label, storesWithSF, storesWithIncoming, storesWithTrx, incoming, approved, trx, gmv }]
+export function buildPeriodTable(totalLabel, total, periods, totalStores) {
+  const columns = [total, ...periods];
+  const row = (label, value) => [label, ...columns.map(value)];
+  return [
+    ['Metric', totalLabel, ...periods.map(p => p.label)],
+    row('# Stores', () => totalStores),
+    row('# Stores w/ SF+', p => p.storesWithSF ?? null),
+    row('# Stores w/ Incoming', p => p.storesWithIncoming ?? null),
+    row('# Stores w/ Trx', p => p.storesWithTrx ?? null),
+    row('% Stores w/ Trx', p => (p.storesWithTrx === undefined ? null : round1(ratio(p.storesWithTrx, totalStores)))),
+    row('Incoming', p => p.incoming),
+    row('Trx', p => p.trx),
+    row('GMV', p => p.gmv),
+    row('AOV', p => (p.trx ? Math.round(p.gmv / p.trx) : null)),
+    row('Appr %', p => round1(ratio(p.approved, p.incoming))),
+    row('Conv %', p => round1(ratio(p.trx, p.incoming))),
+  ];
+}
+
+// Store Performance columns per period, keyed like the grid's column chooser
+const STORE_COLUMNS = {
+  incoming: { header: 'Inc', total: s => s.totalIncoming, month: d => d.incoming },
+  trx: { header: 'Trx', total: s => s.totalTrx, month: d => d.trx },
+  gmv: { header: 'GMV', total: s => s.totalGMV, month: d => d.gmv },
+  appr: { header: 'Apr%', total: s => round1(s.totalIncoming ? s.avgApproval : null), month: d => round1(ratio(d.approved, d.incoming)) },
+  conv: { header: 'Cnv%', total: s => round1(s.totalIncoming ? s.avgConversion : null), month: d => round1(ratio(d.trx, d.incoming)) },
+};
+
+// Store Performance: two header rows (group, metric) like the on-screen grid
+export function buildStoreTable(stores, months, monthLabels, metricKeys = Object.keys(STORE_COLUMNS), totalLabel = 'Total') {
+  const columns = metricKeys.map(key => STORE_COLUMNS[key]);
+  const groupHeader = ['Store', 'Name'];
+  const subHeader = ['', ''];
+  [totalLabel, ...monthLabels].forEach(label => {
+    groupHeader.push(label, ...columns.slice(1).map(() => ''));
+    subHeader.push(...columns.map(c => c.header));
+  });
+
+  const rows = stores.map(store => {
+    const row = [store.code, store.name, ...columns.map(c => c.total(store))];
+    months.forEach(m => {
+      const d = store.data[m];
+      row.push(...columns.map(c => (d ? c.month(d) : null)));
+    });
+    return row;
+  });
+
+  return [groupHeader, subHeader, ...rows];
+}
+
+// Activation cohorts: retention % per month since activation, then the monthly store flows
+export function buildCohortTable(cohorts, activity, metric, monthLabel) {
+  const maxOffset = Math.max(0, ...cohorts.map(c => c.retention[metric].length));
+  return [
+    ['Cohort', 'Stores', ...Array.from({ length: maxOffset }, (_, k) => `M${k}`)],
+    ...cohorts.map((c, i) => [`${i === 0 ? '≤ ' : ''}${monthLabel(c.month)}`, c.size, ...c.retention[metric].map(share => round1(share * 100))]),
+    [],
+    ['Stores', '', ...activity.map(a => monthLabel(a.month))],
+    ...ACTIVITY_ROWS.map(row => [row.label, '', ...activity.map(a => a[row.key])]),
+  ];
+}
+
+// ============================================================================
+// DOWNLOADS
+// ============================================================================
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function downloadCsv(filename, rows) {
+  // BOM so Excel opens Vietnamese store names as UTF-8
+  const csv = '\uFEFF' + rows.map(row => row.map(csvCell).join(',')).join('\r\n');
+  downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `${filename}.csv`);
+}
+
+export async function downloadXlsx(filename, sheetName, rows, headerRows = 1) {
+  const { default: ExcelJS } = await import('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName, {
+    views: [{ state: 'frozen', xSplit: 1, ySplit: headerRows }]
+  });
+  sheet.addRows(rows);
+  for (let i = 1; i <= headerRows; i++) sheet.getRow(i).font = { bold: true };
+  sheet.getColumn(1).width = 22;
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  downloadBlob(
+    new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+    `${filename}.xlsx`
+  );
+}
+
+export async function downloadTable(format, filename, sheetName, rows, headerRows = 1) {
+  if (format === 'xlsx') return downloadXlsx(filename, sheetName, rows, headerRows);
+  return downloadCsv(filename, rows);
+}
+
+// Renders the element (with its horizontally scrolling tables fully expanded)
+// to an A4 landscape PDF, slicing the image across as many pages as needed
+export async function downloadPdfSnapshot(element, filename) {
+  const [{ default: html2canvas }, { jsPDF }] = await Promise.all([import('html2canvas'), import('jspdf')]);
+
+  // Widest table decides the snapshot width so no month columns get cut off
+  const fullWidth = Math.max(
+    element.scrollWidth,
+    ...[...element.querySelectorAll('table')].map(table => table.scrollWidth + 32)
+  );
+
+  const canvas = await html2canvas(element, {
+    backgroundColor: '#020617', // slate-950, the page background
+    scale: Math.min(2, 10000 / fullWidth), // Stay under browser canvas size limits
+    width: fullWidth,
+    windowWidth: fullWidth,
+    onclone: (doc, clonedElement) => {
+      clonedElement.style.width = `${fullWidth}px`;
+      clonedElement.style.maxWidth = 'none';
+      clonedElement.querySelectorAll('.overflow-x-auto, .overflow-auto, .overflow-hidden').forEach(el => {
+        el.style.overflow = 'visible';
+        el.style.maxHeight = 'none';
+      });
+    }
+  });
+
+  const pdf = new jsPDF({ orientation: 'landscape', unit: 'pt', format: 'a4' });
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const scale = pageWidth / canvas.width;
+  const sliceHeight = Math.floor(pageHeight / scale);
+
+  for (let y = 0; y < canvas.height; y += sliceHeight) {
+    const slice = document.createElement('canvas');
+    slice.width = canvas.width;
+    slice.height = Math.min(sliceHeight, canvas.height - y);
+    slice.getContext('2d').drawImage(canvas, 0, y, canvas.width, slice.height, 0, 0, canvas.width, slice.height);
+    if (y > 0) pdf.addPage();
+    pdf.addImage(slice.toDataURL('image/png'), 'PNG', 0, 0, pageWidth, slice.height * scale);
+  }
+
+  pdf.save(`${filename}.pdf`);
+}
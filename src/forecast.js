@@ -0,0 +1,123 @@
+/**
+ * Month-end projection and rest-of-year forecast
+ *
+ * - The month in progress is projected to month-end by run-rate (actual / share
+ *   of the month elapsed).
+ * - Months after the data, through December, are forecast seasonally: the same
+ *   month last year × this year's like-for-like growth. Without last year's
+ *   month, the average of the last three complete months is used instead.
+ * - Bands are ~80%: ±1.28 standard deviations of how far complete months
+ *   strayed from that model.
+ */
+
+import { getYear, shiftMonth, monthProgress } from './utils.js';
+
+export const FORECAST_METRICS = ['incoming', 'trx', 'gmv'];
+
+const Z_80 = 1.28;
+const MIN_SPREAD = 0.05; // Never claim better than ±5%
+const DEFAULT_SPREAD = 0.15; // Too few months to measure the error
+
+const sum = (values) => values.reduce((s, v) => s + v, 0);
+const mean = (values) => (values.length ? sum(values) / values.length : 0);
+const stdDev = (values) => {
+  const avg = mean(values);
+  return Math.sqrt(sum(values.map(v => (v - avg) ** 2)) / (values.length - 1));
+};
+
+const spreadFrom = (relativeErrors) =>
+  relativeErrors.length >= 3 ? Math.max(MIN_SPREAD, Z_80 * stdDev(relativeErrors)) : DEFAULT_SPREAD;
+
+// Per-metric model fitted on the complete months
+function fitModel(complete, index, key) {
+  const year = getYear(complete[complete.length - 1].month);
+  const recent = complete.slice(-3).map(m => m[key]);
+  const runRate = mean(recent);
+
+  const pairs = complete
+    .filter(m => m.year === year)
+    .map(m => [m[key], index[shiftMonth(m.month, -12)]?.[key]])
+    .filter(([, prev]) => prev > 0);
+
+  if (pairs.length > 0) {
+    const growth = sum(pairs.map(([actual]) => actual)) / sum(pairs.map(([, prev]) => prev));
+    return {
+      growth,
+      runRate,
+      spread: spreadFrom(pairs.map(([actual, prev]) => actual / (prev * growth) - 1)),
+    };
+  }
+
+  const window = complete.slice(-6).map(m => m[key]);
+  const avg = mean(window);
+  return {
+    growth: null,
+    runRate,
+    spread: avg ? spreadFrom(window.map(v => v / avg - 1)) : DEFAULT_SPREAD,
+  };
+}
+
+const band = (value, spread) => ({ value, low: value * (1 - spread), high: value * (1 + spread) });
+
+// monthlyData sorted by month. Returns { partialMonth, progress, months } where
+// months['YYYY-MM'] = { incoming|trx|gmv: { value, low, high } } for the month in
+// progress and every later month of its year; null without enough history.
+export function buildForecast(monthlyData, today = new Date()) {
+  if (monthlyData.length === 0) return null;
+  const index = Object.fromEntries(monthlyData.map(m => [m.month, m]));
+  const last = monthlyData[monthlyData.length - 1];
+  const progress = monthProgress(last.month, today);
+  const complete = progress ? monthlyData.slice(0, -1) : monthlyData;
+  if (complete.length === 0) return null;
+
+  const models = Object.fromEntries(FORECAST_METRICS.map(key => [key, fitModel(complete, index, key)]));
+  const months = {};
+
+  if (progress) {
+    months[last.month] = Object.fromEntries(FORECAST_METRICS.map(key => {
+      const actual = last[key];
+      const projected = actual / progress;
+      // Only the part still to come is uncertain
+      const rest = projected - actual;
+      const { spread } = models[key];
+      return [key, { value: projected, low: actual + rest * (1 - spread), high: actual + rest * (1 + spread) }];
+    }));
+  }
+
+  const yearEnd = `${getYear(last.month)}-12`;
+  for (let month = shiftMonth(last.month, 1); month <= yearEnd; month = shiftMonth(month, 1)) {
+    months[month] = Object.fromEntries(FORECAST_METRICS.map(key => {
+      const { growth, runRate, spread } = models[key];
+      const prevYear = index[shiftMonth(month, -12)];
+      const value = growth !== null && prevYear ? prevYear[key] * growth : runRate;
+      return [key, band(value, spread)];
+    }));
+  }
+
+  return { partialMonth: progress ? last.month : null, progress, months };
+}
+
+// Actuals plus projections over a set of months (a quarter, the year).
+// null when none of the months is projected, or a month has neither.
+export function forecastPeriod(forecast, monthKeys, index) {
+  if (!forecast || !monthKeys.some(m => forecast.months[m])) return null;
+  const result = Object.fromEntries(FORECAST_METRICS.map(key => [key, { value: 0, low: 0, high: 0 }]));
+  for (const month of monthKeys) {
+    const projected = forecast.months[month];
+    const actual = index[month];
+    if (!projected && !actual) return null;
+    FORECAST_METRICS.forEach(key => {
+      const part = projected ? projected[key] : { value: actual[key], low: actual[key], high: actual[key] };
+      result[key].value += part.value;
+      result[key].low += part.low;
+      result[key].high += part.high;
+    });
+  }
+  return result;
+}
+
+// 'YYYY-MM' keys of a calendar quarter ('Q1'..'Q4')
+export const quarterMonths = (year, quarter) => {
+  const first = (parseInt(quarter.substring(1), 10) - 1) * 3 + 1;
+  return [0, 1, 2].map(i => `${year}-${String(first + i).padStart(2, '0')}`);
+};
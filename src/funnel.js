@@ -0,0 +1,63 @@
+/**
+ * Incoming → approved → settled funnel over a set of stores and months
+ *
+ * Each stage after the first has a rate (share of the previous stage that made
+ * it through) and a drop-off (how many were lost on the way). Drop-off
+ * contributors rank stores by how much of that loss they account for.
+ */
+
+import { shiftMonth } from './utils';
+
+export const FUNNEL_STAGES = [
+  { key: 'incoming', label: 'Incoming', bar: 'bg-slate-400' },
+  { key: 'approved', label: 'Approved', bar: 'bg-blue-400', rateLabel: 'Appr %', dropLabel: 'not approved' },
+  { key: 'trx', label: 'Trx settled', bar: 'bg-cyan-400', rateLabel: 'of approved', dropLabel: 'approved, not settled' },
+];
+
+const sumStores = (stores, months) => {
+  const totals = { incoming: 0, approved: 0, trx: 0 };
+  stores.forEach(store => months.forEach(m => {
+    const d = store.data[m];
+    if (!d) return;
+    totals.incoming += d.incoming;
+    totals.approved += d.approved;
+    totals.trx += d.trx;
+  }));
+  return totals;
+};
+
+// [{ key, label, value, rate, dropOff }] where rate / dropOff are vs the previous stage (null on the first)
+export function buildFunnel(stores, months) {
+  const totals = sumStores(stores, months);
+  return FUNNEL_STAGES.map((stage, i) => {
+    const previous = i > 0 ? totals[FUNNEL_STAGES[i - 1].key] : null;
+    return {
+      ...stage,
+      value: totals[stage.key],
+      rate: previous ? (totals[stage.key] / previous) * 100 : null,
+      dropOff: previous === null ? null : previous - totals[stage.key],
+    };
+  });
+}
+
+// The same number of months immediately before `months` (Apr–Jun → Jan–Mar)
+export const previousPeriod = (months) =>
+  months.map((_, i) => shiftMonth(months[0], i - months.length));
+
+// Stores losing the most between the stage before `stageKey` and it, with their own rate
+export function dropOffContributors(stores, months, stageKey, limit = 10) {
+  const at = FUNNEL_STAGES.findIndex(s => s.key === stageKey);
+  if (at < 1) return [];
+  const fromKey = FUNNEL_STAGES[at - 1].key;
+
+  const rows = stores.map(store => {
+    const t = sumStores([store], months);
+    return { code: store.code, name: store.name, from: t[fromKey], to: t[stageKey], lost: t[fromKey] - t[stageKey] };
+  }).filter(r => r.lost > 0);
+  const totalLost = rows.reduce((s, r) => s + r.lost, 0);
+
+  return rows
+    .sort((a, b) => b.lost - a.lost)
+    .slice(0, limit)
+    .map(r => ({ ...r, rate: (r.to / r.from) * 100, share: (r.lost / totalLost) * 100 }));
+}
@@ -0,0 +1,74 @@
+/**
+ * Store rankings: rank history per metric and month, rank movement, top movers
+ *
+ * A store is ranked on a metric over a set of months when it has something to
+ * rank: volumes need more than zero, conversion needs MIN_RATE_INCOMING
+ * incoming so a store with two applications can't top the board. Ties share a
+ * rank (1, 2, 2, 4).
+ */
+
+import { formatCurrency } from './utils';
+import { conversionRate } from './metrics';
+import { sumMonths } from './compare';
+
+export const MIN_RATE_INCOMING = 10;
+
+export const RANK_METRICS = [
+  { key: 'trx', label: 'Trx', value: t => t.trx || null, format: v => v.toLocaleString() },
+  { key: 'gmv', label: 'GMV', value: t => t.gmv || null, format: formatCurrency },
+  { key: 'conversion', label: 'Conv %', value: t => (t.incoming >= MIN_RATE_INCOMING ? conversionRate(t) : null), format: v => `${v.toFixed(1)}%` },
+];
+
+export const getRankMetric = (key) => RANK_METRICS.find(metric => metric.key === key) || RANK_METRICS[0];
+
+// Store grid sort key → ranked metric it orders by, trx for anything else
+export const rankMetricForSort = (sortKey) => {
+  if (/gmv$/i.test(sortKey)) return getRankMetric('gmv');
+  if (/conv(ersion)?$/i.test(sortKey)) return getRankMetric('conversion');
+  return getRankMetric('trx');
+};
+
+// { ranks: { [code]: { rank, value } }, count } for `metric` over `months`
+export function rankStores(storeData, months, metric) {
+  const ranked = storeData
+    .map(store => ({ code: store.code, value: metric.value(sumMonths(store.data, months)) }))
+    .filter(entry => entry.value !== null)
+    .sort((a, b) => b.value - a.value);
+  const ranks = {};
+  ranked.forEach((entry, i) => {
+    const tied = i > 0 && entry.value === ranked[i - 1].value;
+    ranks[entry.code] = { rank: tied ? ranks[ranked[i - 1].code].rank : i + 1, value: entry.value };
+  });
+  return { ranks, count: ranked.length };
+}
+
+// { [metric key]: { [month]: rankStores(...) } }, one ranking per month
+export const rankHistory = (storeData, months) => Object.fromEntries(RANK_METRICS.map(metric => [
+  metric.key,
+  Object.fromEntries(months.map(month => [month, rankStores(storeData, [month], metric)])),
+]));
+
+// Places gained (positive) or lost since `previous`; 'new' when unranked there, null when unranked now
+export const rankChange = (current, previous) => {
+  if (!current) return null;
+  if (!previous) return 'new';
+  return previous.rank - current.rank;
+};
+
+// Stores ranked in both rankings, by places gained (up) and lost (down), at most `limit` each
+export function topMovers(current, previous, limit = 5) {
+  const moves = Object.entries(current.ranks)
+    .filter(([code]) => previous.ranks[code])
+    .map(([code, { rank, value }]) => ({
+      code,
+      rank,
+      value,
+      prevRank: previous.ranks[code].rank,
+      prevValue: previous.ranks[code].value,
+      change: previous.ranks[code].rank - rank,
+    }));
+  return {
+    up: moves.filter(m => m.change > 0).sort((a, b) => b.change - a.change || a.rank - b.rank).slice(0, limit),
+    down: moves.filter(m => m.change < 0).sort((a, b) => a.change - b.change || a.rank - b.rank).slice(0, limit),
+  };
+}
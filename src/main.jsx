@@ -1,10 +1,20 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import AuthGate, { LocalSession } from './components/AuthGate.jsx'
+import { dataSource } from './dataSources'
 import './index.css'
 
+// Sign-in only where the data source enforces access; the file source asks for its file first
+const Session = dataSource.requiresAuth ? AuthGate : LocalSession
+const SourceGate = dataSource.Gate || React.Fragment
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <Session>
+      <SourceGate>
+        <App />
+      </SourceGate>
+    </Session>
   </React.StrictMode>,
 )
@@ -0,0 +1,73 @@
+/**
+ * Merchant Registry
+ *
+ * One entry per Samsung Finance+ merchant partner. Adding a merchant is a
+ * registry entry, not a fork of the app:
+ * - id:          URL key (?merchant=frt)
+ * - table:       Supabase table holding the store-level rows
+ * - filter:      optional { column, value } when several merchants share one table
+ * - totalStores: size of the store universe; null = count distinct dealer codes in the data
+ * - thresholds:  RateBadge bands [green, yellow] for this merchant; the starting point for
+ *                the bands edited in the app (thresholds.js)
+ * - tiers:       store tier rules, best first (see tiers.js)
+ * - branding:    Tailwind classes (full class names so Tailwind picks them up)
+ *
+ * The database keeps a copy of id / table / filter in sf_merchants for its
+ * per-table setup (change tracking, realtime, row-level security): register a
+ * new entry there with sf_register_merchant (see the README).
+ */
+
+export const DEFAULT_THRESHOLDS = {
+  approval: [60, 50],
+  conversion: [40, 30],
+  storePenetration: [70, 50]
+};
+
+// A store's tier in a month is the first whose minimums it all meets
+// (incoming, trx, gmv, conversion %); the last tier catches everything else
+export const DEFAULT_TIERS = [
+  { key: 'champion', label: 'Champion', min: { trx: 10, gmv: 100000000, conversion: 35 }, badge: 'bg-emerald-500/20 text-emerald-300' },
+  { key: 'active', label: 'Active', min: { trx: 3 }, badge: 'bg-cyan-500/20 text-cyan-300' },
+  { key: 'low', label: 'Low', min: { incoming: 1 }, badge: 'bg-amber-500/20 text-amber-300' },
+  { key: 'dormant', label: 'Dormant', min: {}, badge: 'bg-slate-500/20 text-slate-400' }
+];
+
+export const MERCHANTS = [
+  {
+    id: 'frt',
+    name: 'FRT',
+    fullName: 'FPT Retail',
+    table: 'KVVN_SF_FRT_Store_Level',
+    filter: null,
+    totalStores: 625, // Fixed total number of FRT stores
+    thresholds: DEFAULT_THRESHOLDS,
+    tiers: DEFAULT_TIERS,
+    branding: { gradient: 'from-cyan-400 to-blue-500', bar: 'bg-cyan-400' }
+  },
+  {
+    id: 'mwg',
+    name: 'MWG',
+    fullName: 'Mobile World',
+    table: 'KVVN_SF_MWG_Store_Level',
+    filter: null,
+    totalStores: null,
+    thresholds: DEFAULT_THRESHOLDS,
+    tiers: DEFAULT_TIERS,
+    branding: { gradient: 'from-amber-400 to-yellow-500', bar: 'bg-amber-400' }
+  },
+  {
+    id: 'cps',
+    name: 'CPS',
+    fullName: 'CellphoneS',
+    table: 'KVVN_SF_CPS_Store_Level',
+    filter: null,
+    totalStores: null,
+    thresholds: DEFAULT_THRESHOLDS,
+    tiers: DEFAULT_TIERS,
+    branding: { gradient: 'from-rose-400 to-red-500', bar: 'bg-rose-400' }
+  }
+];
+
+export const DEFAULT_MERCHANT_ID = MERCHANTS[0].id;
+
+export const getMerchant = (id) => MERCHANTS.find(m => m.id === id) || MERCHANTS[0];
@@ -0,0 +1,325 @@
+/**
+ * Metrics engine: store-level rows in, monthly / quarterly / store metrics out
+ *
+ * No React and no browser APIs, so the dashboard (App.jsx) and the command-line
+ * report (scripts/sf-report.js) compute every number the same way. Imports
+ * carry their .js extension so Node can load the module without a bundler.
+ *
+ * - monthlyData: one entry per month (toMonthEntry), from the data source's
+ *   monthly totals and store counts, or recounted from store-months for a scope
+ * - storeMonthlyData: { [dealer_code]: { 'YYYY-MM': { incoming, approved, trx, gmv } } }
+ * - store rows: a store's totals over a set of months plus per-month sort keys
+ */
+
+import { getYear, getQuarter, shiftMonth } from './utils.js';
+import { readStoreRow, toMonthKey } from './dataQuality.js';
+import { forecastPeriod, quarterMonths } from './forecast.js';
+
+export const QUARTERS = ['Q1', 'Q2', 'Q3', 'Q4'];
+
+// ============================================================================
+// RATES
+// ============================================================================
+// null when the base is zero (or there is no row), so badges and deltas show "-"
+export const aov = (m) => (m?.trx ? m.gmv / m.trx : null);
+
+export const approvalRate = (m) => (m?.incoming ? (m.approved / m.incoming) * 100 : null);
+
+export const conversionRate = (m) => (m?.incoming ? (m.trx / m.incoming) * 100 : null);
+
+// % Stores w/ Trx
+export const penetrationRate = (storesWithTrx, totalStores) => (totalStores ? (storesWithTrx / totalStores) * 100 : null);
+
+// A month, quarter or total with its rates alongside
+export const withRates = (m, totalStores = m.totalStores) => ({
+  ...m,
+  aov: aov(m),
+  approval: approvalRate(m),
+  conversion: conversionRate(m),
+  penetration: penetrationRate(m.storesWithTrx, totalStores),
+});
+
+// ============================================================================
+// MONTHLY
+// ============================================================================
+// One entry of monthlyData, from summed metrics of that month
+export const toMonthEntry = (month, m, totalStores, storesWithSF) => ({
+  month,
+  label: new Date(month + '-01').toLocaleDateString('en-US', { month: 'short', year: '2-digit' }),
+  year: getYear(month),
+  quarter: getQuarter(month),
+  period: `${getYear(month)}-${getQuarter(month)}`, // e.g. 2025-Q2
+  totalStores,
+  storesWithSF, // Unique stores with incoming in that year
+  storesWithIncoming: m.storesWithIncoming, // Monthly: stores with incoming > 0
+  storesWithTrx: m.storesWithTrx, // Monthly: stores with trx > 0
+  incoming: m.incoming,
+  approved: m.approved,
+  trx: m.trx,
+  gmv: m.gmv
+});
+
+// monthlyData from sf_monthly_totals and sf_store_counts rows
+export function buildMonthlyData(totals, storeCounts, merchant = {}) {
+  // # Stores w/ SF+ = unique stores with incoming in each calendar year;
+  // the row with year = null counts every store across all years
+  const storesWithSFByYear = {};
+  let allStores = 0;
+  storeCounts.forEach(row => {
+    if (row.year === null) allStores = row.stores;
+    else storesWithSFByYear[row.year] = row.stores_with_sf;
+  });
+
+  // Store universe: fixed per merchant, or every dealer code seen in the data
+  const totalStores = merchant.totalStores || allStores;
+
+  // A month without application_month can't be placed; sf_data_quality reports its rows
+  return totals
+    .filter(m => toMonthKey(m.month))
+    .map(m => toMonthEntry(m.month, {
+      storesWithIncoming: m.stores_with_incoming,
+      storesWithTrx: m.stores_with_trx,
+      incoming: m.incoming,
+      approved: m.approved,
+      trx: m.trx,
+      gmv: Number(m.gmv) || 0
+    }, totalStores, storesWithSFByYear[getYear(m.month)] || 0))
+    .sort((a, b) => a.month.localeCompare(b.month));
+}
+
+// Sums a list of monthly rows; store counts are averaged like the quarterly view always did
+export const summarizeMonths = (rows) => ({
+  incoming: rows.reduce((s, m) => s + m.incoming, 0),
+  approved: rows.reduce((s, m) => s + m.approved, 0),
+  trx: rows.reduce((s, m) => s + m.trx, 0),
+  gmv: rows.reduce((s, m) => s + m.gmv, 0),
+  storesWithIncoming: rows.length ? Math.round(rows.reduce((s, m) => s + m.storesWithIncoming, 0) / rows.length) : 0,
+  storesWithTrx: rows.length ? Math.round(rows.reduce((s, m) => s + m.storesWithTrx, 0) / rows.length) : 0,
+});
+
+// Like-for-like prior year: only the same calendar months that exist in the current period
+export const priorYearSummary = (rows, monthlyIndex) => {
+  const prevRows = rows.map(m => monthlyIndex[shiftMonth(m.month, -12)]).filter(Boolean);
+  return prevRows.length ? summarizeMonths(prevRows) : null;
+};
+
+// One month summed over several stores' months ({ 'YYYY-MM': values } each)
+export const sumMonth = (storeMonths, month) => {
+  const m = { storesWithIncoming: 0, storesWithTrx: 0, incoming: 0, approved: 0, trx: 0, gmv: 0 };
+  storeMonths.forEach(months => {
+    const d = months[month];
+    if (!d) return;
+    if (d.incoming > 0) m.storesWithIncoming++;
+    if (d.trx > 0) m.storesWithTrx++;
+    m.incoming += d.incoming;
+    m.approved += d.approved;
+    m.trx += d.trx;
+    m.gmv += d.gmv;
+  });
+  return m;
+};
+
+// monthlyData for a subset of stores (a region, an area manager...), recounted
+// from their store-months over the network's months
+export const buildScopedMonthlyData = (storeData, months, totalStores) => {
+  const storesWithSFByYear = {};
+  storeData.forEach(store => {
+    new Set(Object.keys(store.data).filter(m => store.data[m].incoming > 0).map(getYear))
+      .forEach(year => { storesWithSFByYear[year] = (storesWithSFByYear[year] || 0) + 1; });
+  });
+  const storeMonths = storeData.map(store => store.data);
+  return months.map(month => toMonthEntry(month, sumMonth(storeMonths, month), totalStores, storesWithSFByYear[getYear(month)] || 0));
+};
+
+// The year's quarters that have data, with the prior year's same months and,
+// given a forecast (forecast.js), the quarter's projection
+export const buildQuarterlyData = (yearMonthlyData, { year, totalStores, monthlyIndex, forecast = null }) => QUARTERS
+  .map(q => {
+    const qMonths = yearMonthlyData.filter(m => m.quarter === q);
+    if (qMonths.length === 0) return null;
+    const lastMonth = qMonths[qMonths.length - 1];
+    return {
+      quarter: q,
+      year,
+      months: qMonths.map(m => m.month),
+      period: lastMonth.period,
+      ...summarizeMonths(qMonths),
+      totalStores,
+      storesWithSF: lastMonth.storesWithSF, // Same for all months of the year (YTD unique)
+      prev: priorYearSummary(qMonths, monthlyIndex),
+      forecast: forecastPeriod(forecast, quarterMonths(year, q), monthlyIndex),
+    };
+  })
+  .filter(Boolean);
+
+// Headline numbers for one merchant's latest year, used by the cross-merchant summary
+export function summarizeMerchant(monthlyData) {
+  const latestYear = monthlyData[monthlyData.length - 1]?.year;
+  const yearMonths = monthlyData.filter(m => m.year === latestYear);
+  const latest = yearMonths[yearMonths.length - 1];
+  const totals = summarizeMonths(yearMonths);
+
+  return {
+    year: latestYear,
+    latestLabel: latest?.label,
+    totalStores: latest?.totalStores || 0,
+    storesWithSF: latest?.storesWithSF || 0,
+    penetration: latest ? penetrationRate(latest.storesWithTrx, latest.totalStores) : null,
+    ...totals,
+    approval: approvalRate(totals),
+    conversion: conversionRate(totals),
+    aov: aov(totals),
+  };
+}
+
+// ============================================================================
+// STORES
+// ============================================================================
+const storeMonthKey = (row) => `${row.dealer_code}|${row.month}`;
+
+// Folds sf_store_months rows into the {code, name} list and the storeMonthlyData
+// lookup, on top of a previous load when refreshing incrementally. Rows the
+// data-quality checks flag go to `rejected`; those without a month or store
+// code are left out, unreadable values count as zero. A `deleted` row drops
+// its store-month, and the store once it has no months left.
+export function mergeStoreRows(rows, previous = { stores: [], storeMonthlyData: {}, syncedAt: null }) {
+  const storeMap = Object.fromEntries(previous.stores.map(store => [store.code, store]));
+  const storeMonthlyData = { ...previous.storeMonthlyData };
+  let syncedAt = previous.syncedAt;
+  // Earlier findings stand unless their store-month came back in this batch
+  const refetched = new Set(rows.map(storeMonthKey));
+  const rejected = (previous.rejected || []).filter(({ row }) => !refetched.has(storeMonthKey(row)));
+
+  rows.forEach(row => {
+    // Server timestamps, so the next `since` doesn't depend on the browser clock
+    if (!syncedAt || Date.parse(row.updated_at) > Date.parse(syncedAt)) syncedAt = row.updated_at;
+
+    if (row.deleted) {
+      const { [row.month]: _, ...months } = storeMonthlyData[row.dealer_code] || {};
+      if (Object.keys(months).length) {
+        storeMonthlyData[row.dealer_code] = months;
+      } else {
+        delete storeMonthlyData[row.dealer_code];
+        delete storeMap[row.dealer_code];
+      }
+      return;
+    }
+
+    const cell = readStoreRow(row);
+    cell.problems.forEach(check => rejected.push({ check, row }));
+    if (!cell.code || !cell.month) return;
+
+    if (!storeMap[cell.code]) {
+      storeMap[cell.code] = { code: cell.code, name: cell.name };
+    }
+
+    // Copy the touched store's months so React sees a new object
+    storeMonthlyData[cell.code] = {
+      ...storeMonthlyData[cell.code],
+      [cell.month]: {
+        incoming: cell.incoming,
+        approved: cell.approved,
+        trx: cell.trx,
+        gmv: cell.gmv
+      }
+    };
+  });
+
+  return { stores: Object.values(storeMap), storeMonthlyData, syncedAt, rejected };
+}
+
+// Attaches each store's months for the table rows
+export const enrichStores = (stores, storeMonthlyData) => stores.map(store => ({
+  ...store,
+  data: storeMonthlyData[store.code] || {}
+}));
+
+// Store rows with totals over `months`, per-month sort keys and the same months
+// of the previous year for YoY
+export const buildStoreRows = (storeData, months, monthlyIndex) => {
+  const sumMetric = (data, monthKeys, key) => monthKeys.reduce((sum, m) => sum + (data[m]?.[key] || 0), 0);
+  const prevMonths = months.map(m => shiftMonth(m, -12));
+  const hasPrevYear = prevMonths.some(m => monthlyIndex[m]);
+
+  return storeData.map(store => {
+    const totalIncoming = sumMetric(store.data, months, 'incoming');
+    const totalApproved = sumMetric(store.data, months, 'approved');
+    const totalTrx = sumMetric(store.data, months, 'trx');
+    const totalGMV = sumMetric(store.data, months, 'gmv');
+
+    const monthlyMetrics = {};
+    months.forEach(m => {
+      const d = store.data[m];
+      monthlyMetrics[`${m}_incoming`] = d?.incoming || 0;
+      monthlyMetrics[`${m}_trx`] = d?.trx || 0;
+      monthlyMetrics[`${m}_gmv`] = d?.gmv || 0;
+      monthlyMetrics[`${m}_appr`] = approvalRate(d) ?? 0;
+      monthlyMetrics[`${m}_conv`] = conversionRate(d) ?? 0;
+    });
+
+    return {
+      ...store,
+      totalIncoming,
+      totalApproved,
+      totalTrx,
+      totalGMV,
+      avgConversion: totalIncoming ? (totalTrx / totalIncoming) * 100 : 0,
+      avgApproval: totalIncoming ? (totalApproved / totalIncoming) * 100 : 0,
+      // Same months of the previous year, null when the data doesn't go back that far
+      prevIncoming: hasPrevYear ? sumMetric(store.data, prevMonths, 'incoming') : null,
+      prevTrx: hasPrevYear ? sumMetric(store.data, prevMonths, 'trx') : null,
+      prevGMV: hasPrevYear ? sumMetric(store.data, prevMonths, 'gmv') : null,
+      ...monthlyMetrics,
+    };
+  });
+};
+
+// Per-month sums of several stores' months
+export const sumStoreData = (stores) => {
+  const data = {};
+  stores.forEach(store => Object.entries(store.data).forEach(([month, d]) => {
+    const sum = data[month] ||= { incoming: 0, approved: 0, trx: 0, gmv: 0 };
+    sum.incoming += d.incoming;
+    sum.approved += d.approved;
+    sum.trx += d.trx;
+    sum.gmv += d.gmv;
+  }));
+  return data;
+};
+
+// ============================================================================
+// HEADLESS
+// ============================================================================
+// A dataset as the dashboard holds it, from the data source's answers:
+// sf_monthly_totals, sf_store_counts and sf_store_months rows
+export const buildDataset = ({ totals, storeCounts, storeMonths }, merchant = {}) => ({
+  monthlyData: buildMonthlyData(totals, storeCounts, merchant),
+  ...mergeStoreRows(storeMonths),
+});
+
+// One year's numbers as the dashboard shows them unscoped, with no month
+// range: the Quarterly, Monthly and store tables (stores by trx, highest first)
+export function yearMetrics({ monthlyData, stores, storeMonthlyData }, year = monthlyData[monthlyData.length - 1]?.year) {
+  const monthlyIndex = Object.fromEntries(monthlyData.map(m => [m.month, m]));
+  const months = monthlyData.filter(m => m.year === year);
+  const totalStores = monthlyData[0]?.totalStores || 0;
+  const totals = summarizeMonths(months);
+  const prevTotals = priorYearSummary(months, monthlyIndex);
+
+  return {
+    year,
+    years: [...new Set(monthlyData.map(m => m.year))],
+    totalStores,
+    totals: { ...withRates(totals, totalStores), prev: prevTotals && withRates(prevTotals, totalStores) },
+    quarters: buildQuarterlyData(months, { year, totalStores, monthlyIndex }).map(({ forecast, prev, ...q }) => ({
+      ...withRates(q),
+      prev: prev && withRates(prev, totalStores),
+    })),
+    months: months.map(m => {
+      const prev = monthlyIndex[shiftMonth(m.month, -12)];
+      return { ...withRates(m), prev: prev ? withRates(prev) : null };
+    }),
+    stores: buildStoreRows(enrichStores(stores, storeMonthlyData), months.map(m => m.month), monthlyIndex)
+      .sort((a, b) => b.totalTrx - a.totalTrx),
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * Store master: region → area → store hierarchy, plus area manager and province
+ *
+ * Comes from the sf_store_master table or an uploaded CSV with the same columns:
+ *
+ *   dealer_code,region,area,manager,province
+ *   FRT0001,North,Hanoi 1,Nguyen Van A,Ha Noi
+ *
+ * Stores missing from the master are grouped as "Unassigned".
+ */
+
+import { parseCsvLine } from './utils';
+
+export const MASTER_FIELDS = [
+  { key: 'region', label: 'Region' },
+  { key: 'area', label: 'Area' },
+  { key: 'manager', label: 'Manager' },
+  { key: 'province', label: 'Province' },
+];
+export const MASTER_KEYS = MASTER_FIELDS.map(f => f.key);
+
+// Grid grouping levels: region → store, or region → area → store
+export const GROUPINGS = {
+  region: ['region'],
+  area: ['region', 'area'],
+};
+
+export const UNASSIGNED = 'Unassigned';
+
+// Returns rows shaped like sf_store_master; throws when the header lacks dealer_code or every field
+export function parseStoreMasterCsv(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) throw new Error('The store master file is empty');
+
+  const header = parseCsvLine(lines[0]).map(h => h.toLowerCase());
+  if (!header.includes('dealer_code') || !MASTER_KEYS.some(k => header.includes(k))) {
+    throw new Error(`Store master CSV needs a dealer_code column and at least one of: ${MASTER_KEYS.join(', ')}`);
+  }
+
+  return lines.slice(1).map((line, i) => {
+    const cells = parseCsvLine(line);
+    const row = Object.fromEntries(header.map((h, j) => [h, cells[j] ?? '']));
+    if (!row.dealer_code) throw new Error(`Row ${i + 2}: dealer_code is empty`);
+    return Object.fromEntries([['dealer_code', row.dealer_code], ...MASTER_KEYS.map(k => [k, row[k] || null])]);
+  });
+}
+
+// { code: { region, area, manager, province } }
+export const indexStoreMaster = (rows) =>
+  Object.fromEntries(rows.map(row => [row.dealer_code, Object.fromEntries(MASTER_KEYS.map(k => [k, row[k] || null]))]));
+
+// scope: { region, area, manager, province }, null = any
+export const isScoped = (scope) => MASTER_KEYS.some(k => scope[k]);
+
+export const inScope = (info, scope) => MASTER_KEYS.every(k => !scope[k] || info?.[k] === scope[k]);
+
+// Choices for each filter among the stores matching the other filters (so an area
+// list follows the picked region)
+export function scopeOptions(master, scope) {
+  const entries = Object.values(master);
+  return Object.fromEntries(MASTER_KEYS.map(key => {
+    const others = { ...scope, [key]: null };
+    const values = new Set(entries.filter(info => inScope(info, others)).map(info => info[key]).filter(Boolean));
+    return [key, [...values].sort((a, b) => a.localeCompare(b))];
+  }));
+}
+
+// Group row keys from the top level down, e.g. ['region:North', 'region:North/area:Hanoi 1']
+export const groupPath = (info, levels) => levels.map((_, depth) =>
+  levels.slice(0, depth + 1).map(level => `${level}:${info?.[level] || UNASSIGNED}`).join('/')
+);
@@ -0,0 +1,17 @@
+/**
+ * Shared Supabase client
+ *
+ * URL and anon key come from the environment (.env locally, project settings
+ * on Vercel). Without them the app shows a setup message instead of guessing a
+ * project. The client keeps the signed-in session in localStorage and attaches
+ * its token to every query, so row-level security sees who is asking.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL;
+const SUPABASE_ANON_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY;
+
+export const isSupabaseConfigured = Boolean(SUPABASE_URL && SUPABASE_ANON_KEY);
+
+export const supabase = isSupabaseConfigured ? createClient(SUPABASE_URL, SUPABASE_ANON_KEY) : null;
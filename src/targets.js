@@ -0,0 +1,73 @@
+/**
+ * Monthly targets: parsing and lookup
+ *
+ * Targets come from the sf_targets table or an uploaded CSV with the same
+ * columns:
+ *
+ *   month,dealer_code,trx,gmv,pct_stores_with_trx
+ *   2026-07,,1250,9800000000,80          <- network (empty dealer_code)
+ *   2026-07,FRT0001,40,,                 <- one store
+ *
+ * month may be 'YYYY-MM' or a full date; empty cells mean "no target".
+ */
+
+import { parseCsvLine } from './utils';
+
+export const TARGET_METRICS = ['trx', 'gmv', 'pct_stores_with_trx'];
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return isFinite(number) ? number : null;
+};
+
+// Returns rows shaped like sf_targets; throws when the header lacks month or every metric
+export function parseTargetsCsv(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) throw new Error('The targets file is empty');
+
+  const header = parseCsvLine(lines[0]).map(h => h.toLowerCase());
+  if (!header.includes('month') || !TARGET_METRICS.some(m => header.includes(m))) {
+    throw new Error(`Targets CSV needs a month column and at least one of: ${TARGET_METRICS.join(', ')}`);
+  }
+
+  return lines.slice(1).map((line, i) => {
+    const cells = parseCsvLine(line);
+    const row = Object.fromEntries(header.map((h, j) => [h, cells[j] ?? '']));
+    if (!/^\d{4}-\d{2}/.test(row.month)) throw new Error(`Row ${i + 2}: month "${row.month}" is not YYYY-MM`);
+    return {
+      month: row.month,
+      dealer_code: row.dealer_code || null,
+      trx: toNumber(row.trx),
+      gmv: toNumber(row.gmv),
+      pct_stores_with_trx: toNumber(row.pct_stores_with_trx),
+    };
+  });
+}
+
+// { network: { 'YYYY-MM': { trx, gmv, pctStoresWithTrx } }, stores: { code: { 'YYYY-MM': {...} } } }
+export function indexTargets(rows) {
+  const network = {};
+  const stores = {};
+  rows.forEach(row => {
+    const month = String(row.month).substring(0, 7);
+    const target = {
+      trx: toNumber(row.trx),
+      gmv: toNumber(row.gmv),
+      pctStoresWithTrx: toNumber(row.pct_stores_with_trx),
+    };
+    if (row.dealer_code) (stores[row.dealer_code] ||= {})[month] = target;
+    else network[month] = target;
+  });
+  return { network, stores, count: rows.length };
+}
+
+// Target over several months: counts are summed, the % target averaged.
+// null unless every month has a target, so partial coverage never looks like a miss.
+export function sumTargets(byMonth, months, key) {
+  if (!byMonth || months.length === 0) return null;
+  const values = months.map(m => byMonth[m]?.[key]);
+  if (values.some(v => v === null || v === undefined)) return null;
+  const total = values.reduce((s, v) => s + v, 0);
+  return key === 'pctStoresWithTrx' ? total / values.length : total;
+}
@@ -0,0 +1,75 @@
+/**
+ * RateBadge bands: green at or above the first value, amber at or above the
+ * second, red below.
+ *
+ * The merchant's bands in merchants.js are the starting point. Settings edited
+ * in the dashboard (sf_threshold_settings) replace them and can add partial
+ * overrides per region or per store tier:
+ *
+ *   {
+ *     default: { approval: [60, 50], conversion: [40, 30], storePenetration: [70, 50] },
+ *     regions: { North: { conversion: [45, 35] } },
+ *     tiers: { champion: { approval: [70, 60] } }
+ *   }
+ *
+ * A store gets its tier's override, else its region's, else the default, metric
+ * by metric.
+ */
+
+export const THRESHOLD_METRICS = [
+  { key: 'approval', label: 'Appr %' },
+  { key: 'conversion', label: 'Conv %' },
+  { key: 'storePenetration', label: '% Stores w/ Trx' },
+];
+
+// Override groups in the settings, with the field of a row's segment they match
+export const SEGMENT_TYPES = [
+  { key: 'regions', label: 'Region', field: 'region' },
+  { key: 'tiers', label: 'Tier', field: 'tier' },
+];
+
+export const defaultSettings = (base) => ({ default: { ...base }, regions: {}, tiers: {} });
+
+// Fills in whatever a stored settings object lacks (older rows, hand-edited JSON)
+export const normalizeSettings = (settings, base) => ({
+  default: { ...base, ...settings?.default },
+  regions: settings?.regions || {},
+  tiers: settings?.tiers || {},
+});
+
+// null when [green, amber] is usable, otherwise what's wrong
+export const bandsError = (bands) => {
+  if (!Array.isArray(bands) || bands.length !== 2 || bands.some(v => typeof v !== 'number' || Number.isNaN(v))) return 'Enter both values';
+  if (bands.some(v => v < 0 || v > 100)) return 'Values are percentages (0–100)';
+  if (bands[0] < bands[1]) return 'Green must be at or above amber';
+  return null;
+};
+
+// First problem in the whole settings object, as '<where>: <what>'
+export const settingsError = (settings) => {
+  const sets = [
+    ['Default', settings.default],
+    ...SEGMENT_TYPES.flatMap(type => Object.entries(settings[type.key]).map(([name, set]) => [`${type.label} ${name}`, set])),
+  ];
+  for (const [where, set] of sets) {
+    for (const metric of THRESHOLD_METRICS) {
+      const error = set[metric.key] !== undefined && bandsError(set[metric.key]);
+      if (error) return `${where} ${metric.label}: ${error}`;
+    }
+  }
+  return null;
+};
+
+// Returns ({ region, tier }) => bands. Results are cached per segment so every
+// store in one segment shares the same object (the grid rows are memoized on it).
+export function createThresholdResolver(base, settings) {
+  const { default: defaults, regions, tiers } = normalizeSettings(settings, base);
+  const cache = new Map();
+  return ({ region = null, tier = null } = {}) => {
+    const key = `${region}|${tier}`;
+    if (!cache.has(key)) {
+      cache.set(key, { ...defaults, ...(region && regions[region]), ...(tier && tiers[tier]) });
+    }
+    return cache.get(key);
+  };
+}
@@ -0,0 +1,50 @@
+/**
+ * Store tiers: each store-month is classified by the merchant's tier rules
+ * (merchants.js), best tier first. Counts per month and the month-over-month
+ * migration matrix are built from the same classification.
+ */
+
+import { formatCurrency } from './utils';
+
+const METRIC_LABELS = {
+  incoming: (v) => `incoming ≥ ${v}`,
+  trx: (v) => `trx ≥ ${v}`,
+  gmv: (v) => `GMV ≥ ${formatCurrency(v)}`,
+  conversion: (v) => `conv ≥ ${v}%`,
+};
+
+// The values rules look at for one store-month; missing months count as zero
+export const monthMetrics = (store, month) => {
+  const d = store.data[month];
+  if (!d) return { incoming: 0, trx: 0, gmv: 0, conversion: 0 };
+  return { incoming: d.incoming, trx: d.trx, gmv: d.gmv, conversion: d.incoming ? (d.trx / d.incoming) * 100 : 0 };
+};
+
+export const tierOf = (metrics, tiers) =>
+  tiers.find(t => Object.entries(t.min).every(([key, min]) => metrics[key] >= min)) ?? tiers[tiers.length - 1];
+
+export const storeTier = (store, month, tiers) => tierOf(monthMetrics(store, month), tiers);
+
+// 'trx ≥ 10 • GMV ≥ 100.0M • conv ≥ 35%', or 'everything else' for the catch-all tier
+export const describeTier = (tier) => {
+  const rules = Object.entries(tier.min).map(([key, min]) => METRIC_LABELS[key](min));
+  return rules.length ? rules.join(' • ') : 'everything else';
+};
+
+// { 'YYYY-MM': { tierKey: stores } }
+export function tierCounts(stores, months, tiers) {
+  return Object.fromEntries(months.map(month => {
+    const counts = Object.fromEntries(tiers.map(t => [t.key, 0]));
+    stores.forEach(store => counts[storeTier(store, month, tiers).key]++);
+    return [month, counts];
+  }));
+}
+
+// { fromTierKey: { toTierKey: stores } } between two months
+export function tierMigration(stores, fromMonth, toMonth, tiers) {
+  const matrix = Object.fromEntries(tiers.map(from => [from.key, Object.fromEntries(tiers.map(to => [to.key, 0]))]));
+  stores.forEach(store => {
+    matrix[storeTier(store, fromMonth, tiers).key][storeTier(store, toMonth, tiers).key]++;
+  });
+  return matrix;
+}
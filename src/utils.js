@@ -0,0 +1,99 @@
+/**
+ * Shared helpers: formatting, 'YYYY-MM' period math and URL params
+ */
+
+export const formatCurrency = (value) => {
+  if (!value) return '-';
+  if (value >= 1e9) return `${(value / 1e9).toFixed(1)}B`;
+  if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e3) return `${(value / 1e3).toFixed(0)}K`;
+  return value.toLocaleString();
+};
+
+export const readUrlParam = (key) => new URLSearchParams(window.location.search).get(key);
+
+const buildUrl = (params, pathname) => {
+  const url = new URL(window.location.href);
+  if (pathname !== undefined) url.pathname = pathname;
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === null || value === undefined) url.searchParams.delete(key);
+    else url.searchParams.set(key, value);
+  });
+  return url;
+};
+
+// Pushes a history entry so the back button steps through merchant/view/store switches
+export const pushUrlParams = (params, pathname) => {
+  window.history.pushState(null, '', buildUrl(params, pathname));
+};
+
+// Rewrites the current entry, for state that changes too often to be worth a back-button step
+export const replaceUrlParams = (params) => {
+  const url = buildUrl(params);
+  if (url.href !== window.location.href) window.history.replaceState(null, '', url);
+};
+
+// Store drill-down route: /store/:dealer_code (vercel.json serves index.html for every path)
+export const storePath = (code) => `/store/${encodeURIComponent(code)}`;
+
+export const readStoreRoute = () => {
+  const match = window.location.pathname.match(/^\/store\/([^/]+)\/?$/);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+export const formatTime = (date) => {
+  return date.toLocaleTimeString('vi-VN', { hour: '2-digit', minute: '2-digit' });
+};
+
+export const formatDateTime = (date) => {
+  return date.toLocaleString('vi-VN', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+};
+
+// Period helpers work on 'YYYY-MM' keys so a month never depends on the local timezone
+export const getYear = (month) => parseInt(month.substring(0, 4), 10);
+
+export const getQuarter = (month) => `Q${Math.ceil(parseInt(month.substring(5, 7), 10) / 3)}`;
+
+export const shiftMonth = (month, delta) => {
+  const index = getYear(month) * 12 + parseInt(month.substring(5, 7), 10) - 1 + delta;
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+};
+
+// Share of the month elapsed when `month` is the current calendar month, else null
+export const monthProgress = (month, today = new Date()) => {
+  const current = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}`;
+  if (month !== current) return null;
+  const daysInMonth = new Date(today.getFullYear(), today.getMonth() + 1, 0).getDate();
+  return today.getDate() / daysInMonth;
+};
+
+export const pctChange = (current, previous) => {
+  if (!previous || current === null || current === undefined) return null;
+  return ((current - previous) / previous) * 100;
+};
+
+export const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Minimal CSV reader: comma separated, double-quoted fields may contain commas and "" escapes
+export const parseCsvLine = (line) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { cells.push(cell); cell = ''; }
+    else cell += ch;
+  }
+  cells.push(cell);
+  return cells.map(c => c.trim());
+};
@@ -0,0 +1,16 @@
+-- Store-level source tables, one per merchant (see src/merchants.js).
+-- These already exist on the hosted project; `if not exists` makes the
+-- migration a no-op there and creates them for the local stack.
+
+create table if not exists "KVVN_SF_FRT_Store_Level" (
+  application_month date not null,    -- First day of month (2025-01-01)
+  dealer_code       text not null,    -- Unique store ID
+  submerchant       text,             -- Store name
+  net_incoming      integer,          -- SF+ applications
+  approved          integer,          -- Approved applications
+  trx_settled       integer,          -- Successful transactions
+  gmv               numeric           -- Gross Merchandise Value
+);
+
+create index if not exists "KVVN_SF_FRT_Store_Level_month_dealer_idx"
+  on "KVVN_SF_FRT_Store_Level" (application_month, dealer_code);
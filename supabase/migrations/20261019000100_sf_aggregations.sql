@@ -0,0 +1,177 @@
+-- Server-side aggregation for the dashboard.
+--
+-- The functions take the merchant's table (and optional filter column/value
+-- for merchants sharing a table) from the registry in src/merchants.js, so
+-- one set of functions serves every merchant. They run as the calling role
+-- (security invoker), so row-level security on the source table still applies.
+
+-- ----------------------------------------------------------------------------
+-- Change tracking: updated_at lets follow-up refreshes fetch only changed rows
+-- ----------------------------------------------------------------------------
+create or replace function sf_touch_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+create or replace function sf_enable_change_tracking(p_table text)
+returns void
+language plpgsql
+as $$
+begin
+  execute format('alter table %I add column if not exists updated_at timestamptz not null default now()', p_table);
+  execute format('create index if not exists %I on %I (updated_at)', p_table || '_updated_at_idx', p_table);
+  execute format('drop trigger if exists sf_touch_updated_at on %I', p_table);
+  execute format(
+    'create trigger sf_touch_updated_at before update on %I for each row execute function sf_touch_updated_at()',
+    p_table
+  );
+end;
+$$;
+
+select sf_enable_change_tracking('KVVN_SF_FRT_Store_Level');
+
+-- Only the dashboard tables may be passed in as p_table
+create or replace function sf_assert_store_table(p_table text)
+returns void
+language plpgsql
+immutable
+as $$
+begin
+  if p_table !~ '^KVVN_SF_[A-Za-z0-9]+_Store_Level$' then
+    raise exception 'Not a store-level table: %', p_table;
+  end if;
+end;
+$$;
+
+-- WHERE clause for the optional merchant filter; the value is bound as $1
+create or replace function sf_filter_clause(p_filter_column text)
+returns text
+language sql
+immutable
+as $$
+  select case when p_filter_column is null then 'true' else format('%I = $1', p_filter_column) end;
+$$;
+
+-- ----------------------------------------------------------------------------
+-- Monthly network totals
+-- ----------------------------------------------------------------------------
+create or replace function sf_monthly_totals(
+  p_table text,
+  p_filter_column text default null,
+  p_filter_value text default null
+)
+returns table (
+  month text,
+  incoming bigint,
+  approved bigint,
+  trx bigint,
+  gmv numeric,
+  stores_with_incoming bigint,
+  stores_with_trx bigint
+)
+language plpgsql
+stable
+security invoker
+as $$
+begin
+  perform sf_assert_store_table(p_table);
+  return query execute format($q$
+    select to_char(application_month, 'YYYY-MM'),
+           coalesce(sum(net_incoming), 0)::bigint,
+           coalesce(sum(approved), 0)::bigint,
+           coalesce(sum(trx_settled), 0)::bigint,
+           coalesce(sum(gmv), 0)::numeric,
+           count(distinct dealer_code) filter (where net_incoming > 0),
+           count(distinct dealer_code) filter (where trx_settled > 0)
+      from %I
+     where %s
+     group by 1
+     order by 1
+  $q$, p_table, sf_filter_clause(p_filter_column))
+  using p_filter_value;
+end;
+$$;
+
+-- ----------------------------------------------------------------------------
+-- Distinct-store counts per year; the row with year = null covers all years
+-- ----------------------------------------------------------------------------
+create or replace function sf_store_counts(
+  p_table text,
+  p_filter_column text default null,
+  p_filter_value text default null
+)
+returns table (
+  year integer,
+  stores bigint,
+  stores_with_sf bigint
+)
+language plpgsql
+stable
+security invoker
+as $$
+begin
+  perform sf_assert_store_table(p_table);
+  return query execute format($q$
+    select extract(year from application_month)::integer,
+           count(distinct dealer_code),
+           count(distinct dealer_code) filter (where net_incoming > 0)
+      from %I
+     where %s
+     group by grouping sets ((extract(year from application_month)), ())
+  $q$, p_table, sf_filter_clause(p_filter_column))
+  using p_filter_value;
+end;
+$$;
+
+-- ----------------------------------------------------------------------------
+-- Per-store monthly rows. With p_since, only store-months that had a row
+-- inserted or updated after that time (still summed over all their rows).
+-- ----------------------------------------------------------------------------
+create or replace function sf_store_months(
+  p_table text,
+  p_filter_column text default null,
+  p_filter_value text default null,
+  p_since timestamptz default null
+)
+returns table (
+  dealer_code text,
+  submerchant text,
+  month text,
+  incoming bigint,
+  approved bigint,
+  trx bigint,
+  gmv numeric,
+  updated_at timestamptz
+)
+language plpgsql
+stable
+security invoker
+as $$
+begin
+  perform sf_assert_store_table(p_table);
+  return query execute format($q$
+    select dealer_code,
+           max(submerchant),
+           to_char(application_month, 'YYYY-MM'),
+           coalesce(sum(net_incoming), 0)::bigint,
+           coalesce(sum(approved), 0)::bigint,
+           coalesce(sum(trx_settled), 0)::bigint,
+           coalesce(sum(gmv), 0)::numeric,
+           max(updated_at)
+      from %I
+     where %s
+     group by dealer_code, to_char(application_month, 'YYYY-MM')
+    having $2::timestamptz is null or max(updated_at) > $2::timestamptz
+  $q$, p_table, sf_filter_clause(p_filter_column))
+  using p_filter_value, p_since;
+end;
+$$;
+
+grant execute on function sf_monthly_totals(text, text, text) to anon, authenticated;
+grant execute on function sf_store_counts(text, text, text) to anon, authenticated;
+grant execute on function sf_store_months(text, text, text, timestamptz) to anon, authenticated;
@@ -0,0 +1,28 @@
+-- Realtime: stream inserts/updates on the store-level tables to the dashboard.
+--
+-- replica identity full makes UPDATE/DELETE events carry the previous row, so
+-- the client can subtract the old values and add the new ones without refetching.
+-- That only holds without row-level security: on a table with RLS (every store
+-- table since *_sf_access.sql) Realtime leaves the old values out, and these
+-- tables have no primary key to send instead. Inserts still apply as deltas;
+-- an update makes the client fetch the store-months changed since its last
+-- sync (sf_store_months with p_since) and a delete reloads every store-month.
+
+create or replace function sf_enable_realtime(p_table text)
+returns void
+language plpgsql
+as $$
+begin
+  execute format('alter table %I replica identity full', p_table);
+  
+  if exists (select 1 from pg_publication where pubname = 'supabase_realtime')
+     and not exists (
+       select 1 from pg_publication_tables
+        where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = p_table
+     ) then
+    execute format('alter publication supabase_realtime add table %I', p_table);
+  end if;
+end;
+$$;
+
+select sf_enable_realtime('KVVN_SF_FRT_Store_Level');
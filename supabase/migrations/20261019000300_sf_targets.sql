@@ -0,0 +1,16 @@
+-- Monthly targets from Samsung Finance+, per merchant.
+--
+-- One row per month for the network (dealer_code is null) and optionally one
+-- per store. A missing value means "no target" for that metric.
+
+create table if not exists sf_targets (
+  merchant            text not null,    -- Merchant id from src/merchants.js
+  month               date not null,    -- First day of month (2026-01-01)
+  dealer_code         text,             -- null = network-level target
+  trx                 numeric,          -- Settled transactions
+  gmv                 numeric,          -- Gross Merchandise Value
+  pct_stores_with_trx numeric,          -- % of the store universe with trx (network only)
+  unique nulls not distinct (merchant, month, dealer_code)
+);
+
+grant select on sf_targets to anon, authenticated;
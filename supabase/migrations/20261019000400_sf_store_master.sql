@@ -0,0 +1,17 @@
+-- Store master: where each store sits in the sales organisation, per merchant.
+--
+-- region → area → store is the roll-up hierarchy in the store grid; manager
+-- (the area manager) and province are extra filters. Stores without a row
+-- show up as "Unassigned".
+
+create table if not exists sf_store_master (
+  merchant    text not null,    -- Merchant id from src/merchants.js
+  dealer_code text not null,    -- Store ID
+  region      text,
+  area        text,
+  manager     text,             -- Area manager
+  province    text,
+  primary key (merchant, dealer_code)
+);
+
+grant select on sf_store_master to anon, authenticated;
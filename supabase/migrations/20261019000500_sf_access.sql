@@ -0,0 +1,121 @@
+-- Per-user access, enforced with row-level security.
+--
+-- Users sign in with Supabase Auth (email magic link) and are matched by email,
+-- so access can be granted before someone's first sign-in. One row per grant:
+-- region and area null = every store of the merchant (partner staff); a region,
+-- or a region and area, = the stores sf_store_master puts there (regional and
+-- area managers). The anon role sees no store data at all.
+--
+-- The aggregation RPCs run as the caller (security invoker), so totals and
+-- store-months only ever cover the rows these policies let through.
+
+create table if not exists sf_user_access (
+  email    text not null,    -- Supabase Auth email, lower case
+  merchant text not null,    -- Merchant id from src/merchants.js
+  region   text,             -- null = every region
+  area     text,             -- null = every area in the region
+  unique nulls not distinct (email, merchant, region, area)
+);
+
+alter table sf_user_access enable row level security;
+
+drop policy if exists sf_user_access_own on sf_user_access;
+create policy sf_user_access_own on sf_user_access
+  for select to authenticated
+  using (email = lower(auth.jwt() ->> 'email'));
+
+revoke all on sf_user_access from anon;
+grant select on sf_user_access to authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Access checks used by the policies. Security definer: they read the caller's
+-- grants and the store master without the caller needing those rows.
+-- ----------------------------------------------------------------------------
+create or replace function sf_can_see_store(p_merchant text, p_dealer_code text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+      from sf_user_access a
+      left join sf_store_master m on m.merchant = a.merchant and m.dealer_code = p_dealer_code
+     where a.email = lower(auth.jwt() ->> 'email')
+       and a.merchant = p_merchant
+       and (a.region is null or a.region = m.region)
+       and (a.area is null or a.area = m.area)
+  );
+$$;
+
+create or replace function sf_has_full_access(p_merchant text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+      from sf_user_access
+     where email = lower(auth.jwt() ->> 'email')
+       and merchant = p_merchant
+       and region is null
+       and area is null
+  );
+$$;
+
+revoke execute on function sf_can_see_store(text, text) from public, anon;
+revoke execute on function sf_has_full_access(text) from public, anon;
+grant execute on function sf_can_see_store(text, text) to authenticated;
+grant execute on function sf_has_full_access(text) to authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Store-level tables: one policy per merchant table
+-- ----------------------------------------------------------------------------
+create or replace function sf_enable_store_access(p_table text, p_merchant text)
+returns void
+language plpgsql
+as $$
+begin
+  perform sf_assert_store_table(p_table);
+  execute format('alter table %I enable row level security', p_table);
+  execute format('drop policy if exists sf_store_access on %I', p_table);
+  execute format(
+    'create policy sf_store_access on %I for select to authenticated using (sf_can_see_store(%L, dealer_code))',
+    p_table, p_merchant
+  );
+  execute format('revoke all on %I from anon', p_table);
+  execute format('grant select on %I to authenticated', p_table);
+end;
+$$;
+
+select sf_enable_store_access('KVVN_SF_FRT_Store_Level', 'frt');
+
+-- ----------------------------------------------------------------------------
+-- Targets and store master follow the stores; network targets (dealer_code
+-- null) only make sense next to network totals, so they need full access
+-- ----------------------------------------------------------------------------
+alter table sf_targets enable row level security;
+
+drop policy if exists sf_targets_access on sf_targets;
+create policy sf_targets_access on sf_targets
+  for select to authenticated
+  using (
+    case when dealer_code is null
+      then sf_has_full_access(merchant)
+      else sf_can_see_store(merchant, dealer_code)
+    end
+  );
+
+revoke all on sf_targets from anon;
+
+alter table sf_store_master enable row level security;
+
+drop policy if exists sf_store_master_access on sf_store_master;
+create policy sf_store_master_access on sf_store_master
+  for select to authenticated
+  using (sf_can_see_store(merchant, dealer_code));
+
+revoke all on sf_store_master from anon;
@@ -0,0 +1,41 @@
+-- RateBadge bands edited in the dashboard (src/thresholds.js), per merchant.
+--
+-- One optional row for everyone (user_id null) and one per user who saved their
+-- own; a user's row wins for them, otherwise the shared row, otherwise the
+-- bands in src/merchants.js. Anyone with access to the merchant reads the
+-- shared row; only users with access to every store may change it.
+
+create table if not exists sf_threshold_settings (
+  merchant   text not null,                                    -- Merchant id from src/merchants.js
+  user_id    uuid references auth.users (id) on delete cascade, -- null = everyone
+  settings   jsonb not null,                                   -- { default, regions, tiers }
+  updated_by text,                                             -- Email of the last editor
+  updated_at timestamptz not null default now(),
+  unique nulls not distinct (merchant, user_id)
+);
+
+drop trigger if exists sf_touch_updated_at on sf_threshold_settings;
+create trigger sf_touch_updated_at before update on sf_threshold_settings
+  for each row execute function sf_touch_updated_at();
+
+alter table sf_threshold_settings enable row level security;
+
+drop policy if exists sf_threshold_settings_read on sf_threshold_settings;
+create policy sf_threshold_settings_read on sf_threshold_settings
+  for select to authenticated
+  using (
+    user_id = auth.uid()
+    or (user_id is null and exists (
+      select 1 from sf_user_access a
+       where a.email = lower(auth.jwt() ->> 'email') and a.merchant = sf_threshold_settings.merchant
+    ))
+  );
+
+drop policy if exists sf_threshold_settings_write on sf_threshold_settings;
+create policy sf_threshold_settings_write on sf_threshold_settings
+  for all to authenticated
+  using (user_id = auth.uid() or (user_id is null and sf_has_full_access(merchant)))
+  with check (user_id = auth.uid() or (user_id is null and sf_has_full_access(merchant)));
+
+revoke all on sf_threshold_settings from anon;
+grant select, insert, update, delete on sf_threshold_settings to authenticated;
@@ -0,0 +1,104 @@
+-- Data-quality checks on a store-level table, for the dashboard's diagnostics
+-- panel (src/dataQuality.js).
+--
+-- The aggregation RPCs sum whatever is in the table, so problems in the raw
+-- rows don't show up as errors: null values count as zero, two rows for the
+-- same store and month are silently added up, and a row without a month lands
+-- in a month of its own. This function reports them instead, one row per check
+-- that found something, with up to p_samples of the offending rows.
+--
+-- Security invoker like the aggregations: users only see problems in the rows
+-- row-level security lets them read.
+
+create or replace function sf_data_quality(
+  p_table text,
+  p_filter_column text default null,
+  p_filter_value text default null,
+  p_samples integer default 5
+)
+returns table (
+  check_key text,
+  row_count bigint,
+  samples jsonb
+)
+language plpgsql
+stable
+security invoker
+as $$
+begin
+  perform sf_assert_store_table(p_table);
+  return query execute format($q$
+    with src as (
+      select application_month, dealer_code, submerchant, net_incoming, approved, trx_settled, gmv,
+             count(*) over (partition by dealer_code, application_month) as copies
+        from %I
+       where %s
+    ),
+    flagged as (
+      select c.check_key, s as row_values
+        from src s
+       cross join lateral (values
+         ('missing_month', s.application_month is null),
+         ('missing_dealer', nullif(trim(s.dealer_code), '') is null),
+         ('missing_value', s.net_incoming is null or s.approved is null or s.trx_settled is null or s.gmv is null),
+         ('negative', s.net_incoming < 0 or s.approved < 0 or s.trx_settled < 0 or s.gmv < 0),
+         ('approved_gt_incoming', s.approved > s.net_incoming),
+         ('trx_gt_approved', s.trx_settled > s.approved),
+         ('duplicate', s.copies > 1)
+       ) as c (check_key, failed)
+       where c.failed
+    ),
+    ranked as (
+      select check_key, row_values,
+             row_number() over (
+               partition by check_key
+               order by (row_values).dealer_code, (row_values).application_month
+             ) as n
+        from flagged
+    )
+    select check_key,
+           count(*)::bigint,
+           jsonb_agg(to_jsonb(row_values) order by n) filter (where n <= $2)
+      from ranked
+     group by check_key
+     order by check_key
+  $q$, p_table, sf_filter_clause(p_filter_column))
+  using p_filter_value, p_samples;
+end;
+$$;
+
+revoke execute on function sf_data_quality(text, text, text, integer) from public, anon;
+grant execute on function sf_data_quality(text, text, text, integer) to authenticated;
+
+-- ----------------------------------------------------------------------------
+-- Rows without a month used to form a year = null group in sf_store_counts,
+-- indistinguishable from the all-years row; keep them out of the per-year counts
+-- ----------------------------------------------------------------------------
+create or replace function sf_store_counts(
+  p_table text,
+  p_filter_column text default null,
+  p_filter_value text default null
+)
+returns table (
+  year integer,
+  stores bigint,
+  stores_with_sf bigint
+)
+language plpgsql
+stable
+security invoker
+as $$
+begin
+  perform sf_assert_store_table(p_table);
+  return query execute format($q$
+    select extract(year from application_month)::integer,
+           count(distinct dealer_code),
+           count(distinct dealer_code) filter (where net_incoming > 0)
+      from %I
+     where %s
+     group by grouping sets ((extract(year from application_month)), ())
+    having grouping(extract(year from application_month)) = 1 or extract(year from application_month) is not null
+  $q$, p_table, sf_filter_clause(p_filter_column))
+  using p_filter_value;
+end;
+$$;
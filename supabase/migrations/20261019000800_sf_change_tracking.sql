@@ -0,0 +1,230 @@
+-- Change tracking for every merchant table, deletes included.
+--
+-- Only the FRT table used to be set up: the MWG and CPS tables had no
+-- updated_at, so sf_store_months failed on them. sf_merchants mirrors the
+-- registry in src/merchants.js, so the migrations can set up the table of
+-- every entry; a new registry entry needs a row here too.
+--
+-- updated_at can't show a deleted row: a store-month that lost one of its
+-- rows (or all of them) looked unchanged to incremental refreshes and kept its
+-- old totals. Deleted rows, and rows an update moves to another store, month
+-- or merchant, now leave a tombstone in sf_store_month_deletions, and
+-- sf_store_months counts the store-months they left as changed.
+
+create table if not exists sf_merchants (
+  id            text primary key,    -- Merchant id from src/merchants.js
+  store_table   text not null,       -- Its store-level table
+  filter_column text,                -- Set when several merchants share the table
+  filter_value  text,
+  check (store_table ~ '^KVVN_SF_[A-Za-z0-9]+_Store_Level$'),
+  check ((filter_column is null) = (filter_value is null))
+);
+
+insert into sf_merchants (id, store_table) values
+  ('frt', 'KVVN_SF_FRT_Store_Level'),
+  ('mwg', 'KVVN_SF_MWG_Store_Level'),
+  ('cps', 'KVVN_SF_CPS_Store_Level')
+on conflict (id) do nothing;
+
+-- The registry holds no store data; policies below read it as the caller
+revoke all on sf_merchants from anon;
+grant select on sf_merchants to authenticated;
+
+-- Same layout as the FRT table (first migration): a no-op where the table
+-- exists, the table itself on the local stack
+create or replace function sf_create_store_table(p_table text)
+returns void
+language plpgsql
+as $$
+begin
+  perform sf_assert_store_table(p_table);
+  execute format($q$
+    create table if not exists %I (
+      application_month date not null,
+      dealer_code       text not null,
+      submerchant       text,
+      net_incoming      integer,
+      approved          integer,
+      trx_settled       integer,
+      gmv               numeric
+    )
+  $q$, p_table);
+  execute format('create index if not exists %I on %I (application_month, dealer_code)', p_table || '_month_dealer_idx', p_table);
+end;
+$$;
+
+-- ----------------------------------------------------------------------------
+-- Tombstones: the row as it was, so the merchant filter still applies to it
+-- ----------------------------------------------------------------------------
+create table if not exists sf_store_month_deletions (
+  store_table       text not null,
+  dealer_code       text not null,
+  application_month date not null,
+  old_row           jsonb not null,
+  deleted_at        timestamptz not null default now()
+);
+
+create index if not exists sf_store_month_deletions_table_deleted_at_idx
+  on sf_store_month_deletions (store_table, deleted_at);
+
+-- Security definer: rows are deleted by loaders, not by dashboard users, and
+-- nobody gets write access to the tombstones
+create or replace function sf_track_deletion()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  -- A row without a store or month was never on the dashboard
+  if old.dealer_code is null or old.application_month is null then
+    return null;
+  end if;
+  -- An update that keeps the store, month and merchant changes nothing updated_at misses
+  if tg_op = 'UPDATE'
+     and old.dealer_code is not distinct from new.dealer_code
+     and old.application_month is not distinct from new.application_month
+     and not exists (
+       select 1
+         from sf_merchants m
+        where m.store_table = tg_table_name
+          and m.filter_column is not null
+          and (to_jsonb(old) ->> m.filter_column) is distinct from (to_jsonb(new) ->> m.filter_column)
+     ) then
+    return null;
+  end if;
+  insert into sf_store_month_deletions (store_table, dealer_code, application_month, old_row)
+  values (tg_table_name, old.dealer_code, old.application_month, to_jsonb(old));
+  return null;
+end;
+$$;
+
+alter table sf_store_month_deletions enable row level security;
+
+-- A tombstone is visible to whoever could see the row it stands for
+drop policy if exists sf_store_month_deletions_access on sf_store_month_deletions;
+create policy sf_store_month_deletions_access on sf_store_month_deletions
+  for select to authenticated
+  using (exists (
+    select 1
+      from sf_merchants m
+     where m.store_table = sf_store_month_deletions.store_table
+       and (m.filter_column is null or sf_store_month_deletions.old_row ->> m.filter_column = m.filter_value)
+       and sf_can_see_store(m.id, sf_store_month_deletions.dealer_code)
+  ));
+
+revoke all on sf_store_month_deletions from anon;
+grant select on sf_store_month_deletions to authenticated;
+
+-- ----------------------------------------------------------------------------
+-- updated_at plus the tombstone trigger, on every registry table
+-- ----------------------------------------------------------------------------
+create or replace function sf_enable_change_tracking(p_table text)
+returns void
+language plpgsql
+as $$
+begin
+  perform sf_assert_store_table(p_table);
+  execute format('alter table %I add column if not exists updated_at timestamptz not null default now()', p_table);
+  execute format('create index if not exists %I on %I (updated_at)', p_table || '_updated_at_idx', p_table);
+  execute format('drop trigger if exists sf_touch_updated_at on %I', p_table);
+  execute format(
+    'create trigger sf_touch_updated_at before update on %I for each row execute function sf_touch_updated_at()',
+    p_table
+  );
+  execute format('drop trigger if exists sf_track_deletion on %I', p_table);
+  execute format(
+    'create trigger sf_track_deletion after delete or update on %I for each row execute function sf_track_deletion()',
+    p_table
+  );
+end;
+$$;
+
+do $$
+declare
+  v_table text;
+begin
+  for v_table in select distinct store_table from sf_merchants loop
+    perform sf_create_store_table(v_table);
+    perform sf_enable_change_tracking(v_table);
+  end loop;
+end;
+$$;
+
+-- ----------------------------------------------------------------------------
+-- Per-store monthly rows. With p_since, the store-months that had a row
+-- inserted, updated or deleted after that time (still summed over all their
+-- rows); deleted = true for a store-month that has no rows left.
+-- ----------------------------------------------------------------------------
+drop function if exists sf_store_months(text, text, text, timestamptz);
+
+create function sf_store_months(
+  p_table text,
+  p_filter_column text default null,
+  p_filter_value text default null,
+  p_since timestamptz default null
+)
+returns table (
+  dealer_code text,
+  submerchant text,
+  month text,
+  incoming bigint,
+  approved bigint,
+  trx bigint,
+  gmv numeric,
+  updated_at timestamptz,
+  deleted boolean
+)
+language plpgsql
+stable
+security invoker
+as $$
+begin
+  perform sf_assert_store_table(p_table);
+  return query execute format($q$
+    with months as (
+      select dealer_code,
+             max(submerchant) as submerchant,
+             to_char(application_month, 'YYYY-MM') as month,
+             coalesce(sum(net_incoming), 0)::bigint as incoming,
+             coalesce(sum(approved), 0)::bigint as approved,
+             coalesce(sum(trx_settled), 0)::bigint as trx,
+             coalesce(sum(gmv), 0)::numeric as gmv,
+             max(updated_at) as updated_at
+        from %I
+       where %s
+       group by dealer_code, to_char(application_month, 'YYYY-MM')
+    ),
+    removed as (
+      select d.dealer_code,
+             to_char(d.application_month, 'YYYY-MM') as month,
+             max(d.deleted_at) as deleted_at
+        from sf_store_month_deletions d
+       where $2::timestamptz is not null
+         and d.store_table = %L
+         and d.deleted_at > $2::timestamptz
+         and %s
+       group by d.dealer_code, to_char(d.application_month, 'YYYY-MM')
+    )
+    select coalesce(m.dealer_code, r.dealer_code),
+           m.submerchant,
+           coalesce(m.month, r.month),
+           coalesce(m.incoming, 0)::bigint,
+           coalesce(m.approved, 0)::bigint,
+           coalesce(m.trx, 0)::bigint,
+           coalesce(m.gmv, 0)::numeric,
+           greatest(m.updated_at, r.deleted_at),
+           m.month is null
+      from months m
+      full join removed r on r.dealer_code = m.dealer_code and r.month = m.month
+     where $2::timestamptz is null or m.updated_at > $2::timestamptz or r.month is not null
+  $q$,
+    p_table,
+    sf_filter_clause(p_filter_column),
+    p_table,
+    case when p_filter_column is null then 'true' else format('d.old_row ->> %L = $1', p_filter_column) end)
+  using p_filter_value, p_since;
+end;
+$$;
+
+grant execute on function sf_store_months(text, text, text, timestamptz) to anon, authenticated;
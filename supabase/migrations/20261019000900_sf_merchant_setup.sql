@@ -0,0 +1,82 @@
+-- Realtime and row-level security for every merchant in sf_merchants.
+--
+-- Both used to be applied to the FRT table only, so MWG and CPS had no live
+-- updates and no policy. The old sf_enable_store_access(p_table, p_merchant)
+-- also tied a table to a single merchant, which doesn't work for merchants
+-- sharing a table through a filter: the policy is now built from every
+-- registry entry on the table, each matched by its filter value.
+
+-- ----------------------------------------------------------------------------
+-- Store-level tables: a row is visible under the merchant whose filter it
+-- matches (every merchant on the table when there's no filter)
+-- ----------------------------------------------------------------------------
+drop function if exists sf_enable_store_access(text, text);
+
+create or replace function sf_enable_store_access(p_table text)
+returns void
+language plpgsql
+as $$
+declare
+  v_check text;
+begin
+  perform sf_assert_store_table(p_table);
+  -- No registry entry: nobody sees the table
+  select coalesce(string_agg(
+           case when filter_column is null
+             then format('sf_can_see_store(%L, dealer_code)', id)
+             else format('(%I = %L and sf_can_see_store(%L, dealer_code))', filter_column, filter_value, id)
+           end,
+           ' or ' order by id
+         ), 'false')
+    into v_check
+    from sf_merchants
+   where store_table = p_table;
+
+  execute format('alter table %I enable row level security', p_table);
+  execute format('drop policy if exists sf_store_access on %I', p_table);
+  execute format('create policy sf_store_access on %I for select to authenticated using (%s)', p_table, v_check);
+  execute format('revoke all on %I from anon', p_table);
+  execute format('grant select on %I to authenticated', p_table);
+end;
+$$;
+
+do $$
+declare
+  v_table text;
+begin
+  for v_table in select distinct store_table from sf_merchants loop
+    perform sf_enable_realtime(v_table);
+    perform sf_enable_store_access(v_table);
+  end loop;
+end;
+$$;
+
+-- ----------------------------------------------------------------------------
+-- A new registry entry in one call: its sf_merchants row, then the table, change
+-- tracking, realtime and access setup (the table's policy is rebuilt with it)
+-- ----------------------------------------------------------------------------
+create or replace function sf_register_merchant(
+  p_id text,
+  p_table text,
+  p_filter_column text default null,
+  p_filter_value text default null
+)
+returns void
+language plpgsql
+as $$
+begin
+  insert into sf_merchants (id, store_table, filter_column, filter_value)
+  values (p_id, p_table, p_filter_column, p_filter_value)
+  on conflict (id) do update
+    set store_table = excluded.store_table,
+        filter_column = excluded.filter_column,
+        filter_value = excluded.filter_value;
+
+  perform sf_create_store_table(p_table);
+  perform sf_enable_change_tracking(p_table);
+  perform sf_enable_realtime(p_table);
+  perform sf_enable_store_access(p_table);
+end;
+$$;
+
+revoke execute on function sf_register_merchant(text, text, text, text) from public, anon, authenticated;
@@ -0,0 +1,19 @@
+-- Housekeeping for the tombstones in sf_store_month_deletions.
+--
+-- Dashboards reload every store-month at least hourly (CONFIG.FULL_RESYNC_MS
+-- in src/App.jsx) and after any longer gap, so a tombstone only matters for a
+-- while. Schedule this daily, e.g. with pg_cron:
+--
+--   select cron.schedule('sf-prune-deletions', '0 3 * * *', 'select sf_prune_store_month_deletions()');
+
+create or replace function sf_prune_store_month_deletions(p_keep interval default interval '30 days')
+returns bigint
+language sql
+as $$
+  with pruned as (
+    delete from sf_store_month_deletions where deleted_at < now() - p_keep returning 1
+  )
+  select count(*) from pruned;
+$$;
+
+revoke execute on function sf_prune_store_month_deletions(interval) from public, anon, authenticated;
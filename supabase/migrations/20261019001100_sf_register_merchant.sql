@@ -0,0 +1,39 @@
+-- sf_register_merchant used to rebuild only the policy of the table it was
+-- given. Moving a merchant to another table, or changing its filter, left
+-- the old table's policy with the merchant's branch, so its users could still
+-- read rows there: the table the merchant was on before gets its policy
+-- rebuilt too.
+
+create or replace function sf_register_merchant(
+  p_id text,
+  p_table text,
+  p_filter_column text default null,
+  p_filter_value text default null
+)
+returns void
+language plpgsql
+as $$
+declare
+  v_previous_table text;
+begin
+  select store_table into v_previous_table from sf_merchants where id = p_id;
+
+  insert into sf_merchants (id, store_table, filter_column, filter_value)
+  values (p_id, p_table, p_filter_column, p_filter_value)
+  on conflict (id) do update
+    set store_table = excluded.store_table,
+        filter_column = excluded.filter_column,
+        filter_value = excluded.filter_value;
+
+  perform sf_create_store_table(p_table);
+  perform sf_enable_change_tracking(p_table);
+  perform sf_enable_realtime(p_table);
+  perform sf_enable_store_access(p_table);
+
+  if v_previous_table <> p_table then
+    perform sf_enable_store_access(v_previous_table);
+  end if;
+end;
+$$;
+
+revoke execute on function sf_register_merchant(text, text, text, text) from public, anon, authenticated;
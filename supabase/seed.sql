@@ -0,0 +1,53 @@
+-- Sample data for the local stack: 40 stores x 18 months (Jan 2025 - Jun 2026).
+-- Deterministic (no random()) so every `supabase db reset` gives the same numbers.
+
+insert into "KVVN_SF_FRT_Store_Level"
+  (application_month, dealer_code, submerchant, net_incoming, approved, trx_settled, gmv)
+select month,
+       'FRT' || lpad(store::text, 4, '0'),
+       'FPT Shop ' || store,
+       incoming,
+       (incoming * (55 + store % 20) / 100),
+       (incoming * (30 + store % 15) / 100),
+       (incoming * (30 + store % 15) / 100) * (6000000 + (store % 7) * 1500000)
+  from generate_series(1, 40) as store,
+       generate_series('2025-01-01'::date, '2026-06-01'::date, interval '1 month') as month,
+       lateral (
+         -- Every 8th store only starts in 2026; every 13th goes dormant after mid-2025
+         select case
+                  when store % 8 = 0 and month < '2026-01-01' then 0
+                  when store % 13 = 0 and month > '2025-06-01' then 0
+                  else 5 + (store * 7 + extract(month from month)::int * 3) % 25
+                end as incoming
+       ) as volume;
+
+-- Targets: network +10% on each month's actuals and 80% store penetration;
+-- per store +10% on trx, rounded up to a multiple of 5.
+insert into sf_targets (merchant, month, dealer_code, trx, gmv, pct_stores_with_trx)
+select 'frt', application_month, null, round(sum(trx_settled) * 1.1), round(sum(gmv) * 1.1, -6), 80
+  from "KVVN_SF_FRT_Store_Level"
+ group by application_month;
+
+insert into sf_targets (merchant, month, dealer_code, trx, gmv)
+select 'frt', application_month, dealer_code, ceil(trx_settled * 1.1 / 5) * 5, null
+  from "KVVN_SF_FRT_Store_Level"
+ where trx_settled > 0;
+
+-- Store master: 3 regions x 2 areas, 6 stores per area; FRT0037-0040 are left
+-- out so the "Unassigned" group shows up.
+insert into sf_store_master (merchant, dealer_code, region, area, manager, province)
+select 'frt',
+       'FRT' || lpad(store::text, 4, '0'),
+       (array['North', 'Central', 'South'])[(store - 1) / 12 + 1],
+       (array['Hanoi 1', 'Hanoi 2', 'Da Nang', 'Hue', 'HCMC 1', 'Can Tho'])[(store - 1) / 6 + 1],
+       (array['Nguyen Van An', 'Tran Thi Binh', 'Le Van Cuong', 'Pham Thi Dung', 'Hoang Van Em', 'Vo Thi Giang'])[(store - 1) / 6 + 1],
+       (array['Ha Noi', 'Ha Noi', 'Da Nang', 'Thua Thien Hue', 'Ho Chi Minh', 'Can Tho'])[(store - 1) / 6 + 1]
+  from generate_series(1, 36) as store;
+
+-- Sign-in users for the local stack. Magic links land in Inbucket
+-- (http://localhost:54324) instead of a real mailbox; the user is created on
+-- first sign-in.
+insert into sf_user_access (email, merchant, region, area) values
+  ('partner@example.com', 'frt', null, null),      -- Every store
+  ('north@example.com', 'frt', 'North', null),     -- Regional manager: 12 stores
+  ('hanoi1@example.com', 'frt', 'North', 'Hanoi 1'); -- Area manager: 6 stores